@@ -1,5 +1,8 @@
+import { serializePresetLibrary } from "./halfAtwoodPresets.js";
+
 /**
  * @typedef {import("./state.js").TrialRecord} TrialRecord
+ * @typedef {import("./state.js").HalfAtwoodTrialRecord} HalfAtwoodTrialRecord
  */
 
 /**
@@ -68,6 +71,129 @@ export function exportTrialDataCsv(records) {
   downloadBlob("trial_data.csv", blob);
 }
 
+/**
+ * Records are stored newest first; exports list them in trial order.
+ * @param {HalfAtwoodTrialRecord[]} records
+ * @returns {string}
+ */
+export function halfAtwoodTrialsToCsv(records) {
+  const header = [
+    "trial_id",
+    "machine_mode",
+    "table_mass_kg",
+    "hanging_mass_kg",
+    "friction_enabled",
+    "mu_static",
+    "mu_kinetic",
+    "pulley_inertia_kgm2",
+    "rope_mass_per_length_kg_per_m",
+    "gravity_mps2",
+    "incline_deg",
+    "trailing_mass_kg",
+    "trailing_mu_static",
+    "trailing_mu_kinetic",
+    "rolling_resistance",
+    "linear_drag_Ns_per_m",
+    "quadratic_drag_Ns2_per_m2",
+    "floor_height_m",
+    "initial_velocity_mps",
+    "accel_from_rest_mps2",
+    "tension_table_N",
+    "tension_hanging_N",
+    "tension_link_N",
+    "slide_after_landing_m",
+    "sensor_seed",
+    "sensor_rate_hz",
+    "sensor_jitter_ms",
+    "sensor_resolution_mm",
+    "measured_accel_mps2",
+    "result",
+    "predicted_accel_mps2",
+    "predicted_tension_N",
+    "predicted_result",
+    "accel_error_pct",
+    "tension_error_pct",
+    "timestamp_iso"
+  ];
+
+  const lines = [header.join(",")];
+
+  for (const record of [...records].reverse()) {
+    const hasTrailing = typeof record.trailingMassKg === "number";
+    const prediction = record.prediction ?? null;
+    const sensor = record.sensor ?? null;
+    lines.push([
+      record.id,
+      quoteCsv(record.machineMode ?? "half"),
+      record.massTableKg,
+      record.massHangingKg,
+      record.frictionEnabled,
+      record.muStatic,
+      record.muKinetic,
+      record.pulleyInertiaKgM2,
+      record.ropeMassPerLengthKgPerM,
+      record.gravityMps2,
+      record.inclineAngleDeg,
+      hasTrailing ? record.trailingMassKg : "",
+      hasTrailing ? record.trailingMuStatic : "",
+      hasTrailing ? record.trailingMuKinetic : "",
+      typeof record.rollingResistanceCoefficient === "number" ? record.rollingResistanceCoefficient : "",
+      record.linearDragNsPerM ?? 0,
+      record.quadraticDragNs2PerM2 ?? 0,
+      typeof record.floorHeightM === "number" ? record.floorHeightM : "",
+      record.initialVelocityMps ?? 0,
+      record.accel,
+      record.tensionTable,
+      record.tensionHanging,
+      hasTrailing ? record.tensionLink : "",
+      typeof record.slideAfterLandingM === "number" ? record.slideAfterLandingM : "",
+      sensor ? sensor.seed : "",
+      sensor ? sensor.sampleRateHz : "",
+      sensor ? sensor.timingJitterMs : "",
+      sensor ? sensor.positionResolutionMm : "",
+      typeof sensor?.measuredAccelMps2 === "number" ? sensor.measuredAccelMps2 : "",
+      quoteCsv(record.moved ? "moves" : "stuck"),
+      prediction ? prediction.accelerationMps2 : "",
+      prediction ? prediction.tensionN : "",
+      prediction ? quoteCsv(prediction.moves ? "moves" : "stuck") : "",
+      typeof prediction?.accelerationErrorPercent === "number" ? prediction.accelerationErrorPercent : "",
+      typeof prediction?.tensionErrorPercent === "number" ? prediction.tensionErrorPercent : "",
+      quoteCsv(record.timestampIso)
+    ].join(","));
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * @param {HalfAtwoodTrialRecord[]} records
+ */
+export function exportHalfAtwoodTrialsCsv(records) {
+  const blob = new Blob([halfAtwoodTrialsToCsv(records)], { type: "text/csv;charset=utf-8;" });
+  downloadBlob("half_atwood_trials.csv", blob);
+}
+
+/**
+ * The JSON export keeps each trial's run history so it can be re-graphed.
+ * @param {HalfAtwoodTrialRecord[]} records
+ */
+export function exportHalfAtwoodTrialsJson(records) {
+  const payload = {
+    exportedAt: new Date().toISOString(),
+    trials: [...records].reverse()
+  };
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+  downloadBlob("half_atwood_trials.json", blob);
+}
+
+/**
+ * @param {import("./halfAtwoodPresets.js").ScenarioPreset[]} presets
+ */
+export function exportHalfAtwoodPresetsJson(presets) {
+  const blob = new Blob([serializePresetLibrary(presets)], { type: "application/json" });
+  downloadBlob("half_atwood_presets.json", blob);
+}
+
 /**
  * @param {{forceCanvas: HTMLCanvasElement, velocityCanvas: HTMLCanvasElement, fitCanvas: HTMLCanvasElement}} canvases
  * @returns {Promise<void>}
@@ -561,18 +561,33 @@ export class TimeSeriesGraph {
   }
 }
 
+/**
+ * Tick text with about three significant figures, whatever the axis scale.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatTick(value) {
+  return Math.abs(value) < 1e-9 ? "0" : String(Number(value.toPrecision(3)));
+}
+
 /**
  * @typedef {{x: number, y: number}} ScatterPoint
  */
 
 export class ScatterFitGraph {
   /**
-   * @param {{canvas: HTMLCanvasElement, title: string}} options
+   * Axis labels default to the force-versus-acceleration plot; tick values
+   * are only drawn when `showTicks` is set.
+   * @param {{canvas: HTMLCanvasElement, title: string, xLabel?: string, yLabel?: string, emptyMessage?: string, showTicks?: boolean}} options
    */
   constructor(options) {
     this.canvas = options.canvas;
     this.ctx = this.canvas.getContext("2d");
     this.title = options.title;
+    this.xLabel = options.xLabel ?? "Acceleration (m/s^2)";
+    this.yLabel = options.yLabel ?? "Force (N)";
+    this.emptyMessage = options.emptyMessage ?? "Add trials to populate this graph.";
+    this.showTicks = options.showTicks ?? false;
     this.points = [];
     this.fit = null;
 
@@ -580,11 +595,13 @@ export class ScatterFitGraph {
   }
 
   /**
-   * @param {{points: ScatterPoint[], fit: import("./regression.js").FitResult|null}} data
+   * @param {{points: ScatterPoint[], fit: import("./regression.js").FitResult|null, xLabel?: string, yLabel?: string}} data
    */
   setData(data) {
     this.points = data.points;
     this.fit = data.fit;
+    this.xLabel = data.xLabel ?? this.xLabel;
+    this.yLabel = data.yLabel ?? this.yLabel;
     this.render();
   }
 
@@ -655,16 +672,28 @@ export class ScatterFitGraph {
 
     ctx.fillStyle = "#1b4f62";
     ctx.font = `${11 * ratio}px 'Trebuchet MS', 'Segoe UI', sans-serif`;
-    ctx.fillText("Acceleration (m/s^2)", plotRight - 124 * ratio, plotBottom + 30 * ratio);
-    ctx.fillText("Force (N)", plotLeft + 4 * ratio, plotTop - 10 * ratio);
+    ctx.fillText(this.xLabel, plotRight - ctx.measureText(this.xLabel).width, plotBottom + 30 * ratio);
+    ctx.fillText(this.yLabel, plotLeft + 4 * ratio, plotTop - 10 * ratio);
 
     if (!this.points.length) {
       ctx.fillStyle = "#536f7a";
       ctx.font = `${12 * ratio}px 'Trebuchet MS', 'Segoe UI', sans-serif`;
-      ctx.fillText("Add trials to populate this graph.", plotLeft + 10 * ratio, plotTop + 20 * ratio);
+      ctx.fillText(this.emptyMessage, plotLeft + 10 * ratio, plotTop + 20 * ratio);
       return;
     }
 
+    if (this.showTicks) {
+      for (let index = 0; index <= 5; index += 1) {
+        const value = xRange.min + (index / 5) * (xRange.max - xRange.min);
+        ctx.fillText(formatTick(value), xToPx(value) - 10 * ratio, plotBottom + 16 * ratio);
+      }
+
+      for (let index = 0; index <= 4; index += 1) {
+        const value = yRange.max - (index / 4) * (yRange.max - yRange.min);
+        ctx.fillText(formatTick(value), plotLeft - 52 * ratio, yToPx(value) + 3 * ratio);
+      }
+    }
+
     ctx.fillStyle = "#0e8ba8";
     for (const point of this.points) {
       ctx.beginPath();
@@ -689,3 +718,108 @@ export class ScatterFitGraph {
     ctx.stroke();
   }
 }
+
+/**
+ * @typedef {{label: string, color: string}} BarSeries
+ * @typedef {{label: string, values: Array<number|null>}} BarGroup One value per series; null leaves a gap.
+ */
+
+export class GroupedBarChart {
+  /**
+   * Signed bars around a zero line, one cluster per group and one bar per
+   * series within it.
+   * @param {{canvas: HTMLCanvasElement, title: string, yLabel: string, series: BarSeries[]}} options
+   */
+  constructor(options) {
+    this.canvas = options.canvas;
+    this.ctx = this.canvas.getContext("2d");
+    this.title = options.title;
+    this.yLabel = options.yLabel;
+    this.series = options.series;
+    /** @type {BarGroup[]} */
+    this.groups = [];
+
+    this.canvas.setAttribute("role", "img");
+    this.canvas.setAttribute("aria-label", this.title);
+    window.addEventListener("resize", () => this.render());
+  }
+
+  /**
+   * @param {BarGroup[]} groups
+   */
+  setData(groups) {
+    this.groups = groups;
+    this.render();
+  }
+
+  render() {
+    resizeCanvas(this.canvas);
+
+    const ctx = this.ctx;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const ratio = window.devicePixelRatio || 1;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "#f9fcfe";
+    ctx.fillRect(0, 0, width, height);
+
+    const plotLeft = MARGIN.left * ratio;
+    const plotRight = width - MARGIN.right * ratio;
+    const plotTop = MARGIN.top * ratio;
+    const plotBottom = height - MARGIN.bottom * ratio;
+
+    const values = this.groups.flatMap((group) => group.values.filter((value) => value !== null));
+    // Keep zero on the axis and a sensible scale before anything has moved.
+    const largest = Math.max(0.001, ...values.map((value) => Math.abs(value)));
+    const yMax = Math.max(0, ...values) > 0 ? largest * 1.1 : largest * 0.1;
+    const yMin = Math.min(0, ...values) < 0 ? -largest * 1.1 : -largest * 0.1;
+    const yToPx = (y) => plotBottom - ((y - yMin) / (yMax - yMin)) * (plotBottom - plotTop);
+    const zeroY = yToPx(0);
+
+    ctx.fillStyle = "#1b4f62";
+    ctx.font = `${11 * ratio}px 'Trebuchet MS', 'Segoe UI', sans-serif`;
+    ctx.fillText(this.yLabel, plotLeft + 4 * ratio, plotTop - 10 * ratio);
+    for (const value of [yMax, 0, yMin]) {
+      ctx.fillText(formatTick(value), plotLeft - 52 * ratio, yToPx(value) + 3 * ratio);
+    }
+
+    let legendX = plotRight;
+    for (const series of [...this.series].reverse()) {
+      legendX -= ctx.measureText(series.label).width + 22 * ratio;
+      ctx.fillStyle = series.color;
+      ctx.fillRect(legendX, plotTop - 19 * ratio, 10 * ratio, 10 * ratio);
+      ctx.fillStyle = "#1b4f62";
+      ctx.fillText(series.label, legendX + 14 * ratio, plotTop - 10 * ratio);
+    }
+
+    const groupW = (plotRight - plotLeft) / Math.max(1, this.groups.length);
+    const barW = (groupW * 0.7) / Math.max(1, this.series.length);
+
+    this.groups.forEach((group, groupIndex) => {
+      const groupLeft = plotLeft + groupIndex * groupW;
+      group.values.forEach((value, seriesIndex) => {
+        if (value === null) {
+          return;
+        }
+
+        const top = Math.min(zeroY, yToPx(value));
+        ctx.fillStyle = this.series[seriesIndex].color;
+        ctx.fillRect(groupLeft + groupW * 0.15 + seriesIndex * barW, top, barW * 0.9, Math.abs(yToPx(value) - zeroY));
+      });
+
+      ctx.fillStyle = "#1b4f62";
+      const labelW = ctx.measureText(group.label).width;
+      ctx.fillText(group.label, groupLeft + (groupW - labelW) / 2, plotBottom + 18 * ratio);
+    });
+
+    ctx.strokeStyle = "#0c3644";
+    ctx.lineWidth = 1.5 * ratio;
+    ctx.beginPath();
+    ctx.moveTo(plotLeft, plotTop);
+    ctx.lineTo(plotLeft, plotBottom);
+    ctx.moveTo(plotLeft, zeroY);
+    ctx.lineTo(plotRight, zeroY);
+    ctx.stroke();
+  }
+}
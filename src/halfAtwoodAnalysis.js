@@ -0,0 +1,175 @@
+import { linearRegression } from "./regression.js";
+
+/**
+ * @typedef {import("./state.js").HalfAtwoodTrialRecord} HalfAtwoodTrialRecord
+ * @typedef {import("./regression.js").FitResult} FitResult
+ */
+
+/**
+ * A quantity that can be read off each recorded trial. `value` returns null
+ * when the trial has nothing to plot for it.
+ * @typedef {Object} AnalysisColumn
+ * @property {string} label
+ * @property {string} unit
+ * @property {(record: HalfAtwoodTrialRecord) => number|null} value
+ */
+
+/**
+ * @typedef {"none"|"inverse"|"square"|"sqrt"} AxisTransform
+ */
+
+/**
+ * @param {HalfAtwoodTrialRecord} record
+ * @returns {number} Every moving mass except the pulley and rope.
+ */
+function totalMassKg(record) {
+  return record.massTableKg + (record.trailingMassKg ?? 0) + record.massHangingKg;
+}
+
+/** @type {Readonly<Record<string, AnalysisColumn>>} */
+export const ANALYSIS_COLUMNS = Object.freeze({
+  massHangingKg: { label: "mₕ", unit: "kg", value: (record) => record.massHangingKg },
+  massTableKg: { label: "mₜ", unit: "kg", value: (record) => record.massTableKg },
+  totalMassKg: { label: "total mass", unit: "kg", value: totalMassKg },
+  massFraction: { label: "mₕ/(total mass)", unit: "", value: (record) => record.massHangingKg / totalMassKg(record) },
+  hangingWeightN: { label: "mₕg", unit: "N", value: (record) => record.massHangingKg * record.gravityMps2 },
+  muKinetic: { label: "μₖ", unit: "", value: (record) => record.rollingResistanceCoefficient ?? record.muKinetic },
+  initialVelocityMps: { label: "v₀", unit: "m/s", value: (record) => record.initialVelocityMps ?? 0 },
+  accel: { label: "a", unit: "m/s²", value: (record) => record.accel },
+  measuredAccel: { label: "a from sensor", unit: "m/s²", value: (record) => record.sensor?.measuredAccelMps2 ?? null },
+  tensionHanging: { label: "Tₕ", unit: "N", value: (record) => record.tensionHanging },
+  tensionTable: { label: "Tₜ", unit: "N", value: (record) => record.tensionTable },
+  slideAfterLandingM: {
+    label: "slide after landing",
+    unit: "m",
+    value: (record) => (typeof record.slideAfterLandingM === "number" ? record.slideAfterLandingM : null)
+  }
+});
+
+/**
+ * Transforms that straighten common curves, e.g. a against 1/(total mass).
+ * @type {Readonly<Record<AxisTransform, {apply: (value: number) => number, label: (label: string) => string, unit: (unit: string) => string}>>}
+ */
+export const AXIS_TRANSFORMS = Object.freeze({
+  none: { apply: (value) => value, label: (label) => label, unit: (unit) => unit },
+  inverse: { apply: (value) => 1 / value, label: (label) => `1/(${label})`, unit: (unit) => (unit ? `1/${unit}` : "") },
+  square: { apply: (value) => value * value, label: (label) => `(${label})²`, unit: (unit) => (unit ? `(${unit})²` : "") },
+  sqrt: { apply: (value) => Math.sqrt(value), label: (label) => `√(${label})`, unit: (unit) => (unit ? `√(${unit})` : "") }
+});
+
+/**
+ * What the fit means for pairs the model predicts to be straight lines,
+ * keyed by "y|x" on untransformed columns.
+ * @type {Readonly<Record<string, string>>}
+ */
+const MODEL_HINTS = Object.freeze({
+  "accel|massFraction": "With friction off and an ideal pulley, a = g·mₕ/(total mass): the slope estimates g and the intercept should be near 0.",
+  "accel|hangingWeightN": "With the total mass held fixed and friction off, a = mₕg/(total mass): the slope is 1/(total mass).",
+  "accel|muKinetic": "With both masses fixed, a = (mₕg − μₖmₜg)/(total mass): the slope is −mₜg/(total mass) and the intercept is the frictionless acceleration.",
+  "tensionHanging|accel": "For a fixed hanging mass, Tₕ = mₕ(g − a): the slope is −mₕ and the intercept is mₕg.",
+  "tensionHanging|massHangingKg": "Tₕ = mₕ(g − a) curves because a changes with mₕ too; try plotting Tₕ against a with mₕ fixed instead."
+});
+
+/**
+ * @param {string} columnId
+ * @param {AxisTransform} transform
+ * @returns {{label: string, unit: string}}
+ */
+function axisInfo(columnId, transform) {
+  const column = ANALYSIS_COLUMNS[columnId];
+  const axis = AXIS_TRANSFORMS[transform];
+  return { label: axis.label(column.label), unit: axis.unit(column.unit) };
+}
+
+/**
+ * @param {{label: string, unit: string}} axis
+ * @returns {string}
+ */
+export function axisTitle(axis) {
+  return axis.unit ? `${axis.label} (${axis.unit})` : axis.label;
+}
+
+/**
+ * Points for one column against another, skipping trials where either
+ * value is missing or the transform is undefined (e.g. 1/0), plus a
+ * least-squares line through them.
+ * @param {HalfAtwoodTrialRecord[]} records
+ * @param {{x: string, y: string, xTransform?: AxisTransform, yTransform?: AxisTransform}} axes
+ * @returns {{points: Array<{x:number, y:number}>, fit: FitResult|null, skipped: number, x: {label:string, unit:string}, y: {label:string, unit:string}}}
+ */
+export function analysisData(records, axes) {
+  const xTransform = axes.xTransform ?? "none";
+  const yTransform = axes.yTransform ?? "none";
+  const points = [];
+
+  for (const record of records) {
+    const rawX = ANALYSIS_COLUMNS[axes.x].value(record);
+    const rawY = ANALYSIS_COLUMNS[axes.y].value(record);
+    if (rawX === null || rawY === null) {
+      continue;
+    }
+
+    const x = AXIS_TRANSFORMS[xTransform].apply(rawX);
+    const y = AXIS_TRANSFORMS[yTransform].apply(rawY);
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      points.push({ x, y });
+    }
+  }
+
+  return {
+    points,
+    fit: linearRegression(points.map((point) => point.x), points.map((point) => point.y)),
+    skipped: records.length - points.length,
+    x: axisInfo(axes.x, xTransform),
+    y: axisInfo(axes.y, yTransform)
+  };
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+  return String(Number(value.toPrecision(3)));
+}
+
+/**
+ * Plain-language reading of a fit: the slope with its units, the intercept,
+ * how straight the data are, and what the model says the numbers mean.
+ * @param {FitResult|null} fit
+ * @param {{x: string, y: string, xTransform?: AxisTransform, yTransform?: AxisTransform}} axes
+ * @returns {string[]}
+ */
+export function interpretFit(fit, axes) {
+  if (!fit) {
+    return ["Record at least two trials with different x values to fit a line."];
+  }
+
+  const x = axisInfo(axes.x, axes.xTransform ?? "none");
+  const y = axisInfo(axes.y, axes.yTransform ?? "none");
+  let slopeUnit = "";
+  if (y.unit && x.unit) {
+    slopeUnit = ` ${y.unit} per ${x.unit}`;
+  } else if (y.unit) {
+    slopeUnit = ` ${y.unit}`;
+  } else if (x.unit) {
+    slopeUnit = ` per ${x.unit}`;
+  }
+
+  const lines = [
+    `${y.label} = ${formatNumber(fit.slope)}·${x.label} ${fit.intercept < 0 ? "−" : "+"} ${formatNumber(Math.abs(fit.intercept))}`,
+    `Slope: ${formatNumber(fit.slope)}${slopeUnit}. Each extra unit of ${x.label} changes ${y.label} by this much.`,
+    `Intercept: ${formatNumber(fit.intercept)}${y.unit ? ` ${y.unit}` : ""}, the value of ${y.label} the line gives when ${x.label} is 0.`,
+    fit.r2 >= 0.99
+      ? `R² = ${fit.r2.toFixed(3)}: the points lie on a straight line.`
+      : `R² = ${fit.r2.toFixed(3)}: the points curve or scatter. Try a transform to linearize them.`
+  ];
+
+  const untransformed = (axes.xTransform ?? "none") === "none" && (axes.yTransform ?? "none") === "none";
+  const hint = untransformed ? MODEL_HINTS[`${axes.y}|${axes.x}`] : undefined;
+  if (hint) {
+    lines.push(hint);
+  }
+
+  return lines;
+}
@@ -1,11 +1,54 @@
 import {
+  calculateChainFromRest,
+  calculateFullAtwoodFromRest,
   calculateHalfAtwoodFromRest,
   clamp,
+  hangingMassForTimeToDistance,
+  hangingMassFromAcceleration,
+  maximumMuStaticForMotion,
+  minimumHangingMassToStart,
+  muKineticFromAcceleration,
+  resolveChainForces,
   resolveDynamicForces,
+  resolveFullAtwoodForces,
+  resolveSlackStringForces,
+  slackStoppingDistance,
+  terminalSpeedMps,
   VELOCITY_EPSILON
 } from "./halfAtwoodPhysics.js";
-
-const GRAVITY_MPS2 = 10;
+import { exportHalfAtwoodPresetsJson, exportHalfAtwoodTrialsCsv, exportHalfAtwoodTrialsJson } from "./export.js";
+import { GroupedBarChart, ScatterFitGraph } from "./graphs.js";
+import { ANALYSIS_COLUMNS, analysisData, AXIS_TRANSFORMS, axisTitle, interpretFit } from "./halfAtwoodAnalysis.js";
+import { expectedFreeBodyDiagrams } from "./halfAtwoodFbd.js";
+import { createEnergyLedger, energySummary, recordEnergyStep, retensionVelocityRatio } from "./halfAtwoodEnergy.js";
+import { FbdPractice } from "./halfAtwoodFbdPractice.js";
+import { MotionGraphs } from "./halfAtwoodGraphs.js";
+import { detectGatePasses, MAX_PHOTOGATES, stopwatchNoise, stopwatchReadingS } from "./halfAtwoodInstruments.js";
+import { DEFAULT_INPUTS, GRAVITY_OPTIONS, gravityOptionId, NUMERIC_INPUT_LIMITS, sanitizeInputs } from "./halfAtwoodInputs.js";
+import { appendSample, cloneRunHistory, createRunHistory, motionAtTime, runOutcome, SAMPLE_INTERVAL_S } from "./halfAtwoodHistory.js";
+import { buildScenarioLink, parseScenarioParams } from "./halfAtwoodLink.js";
+import { CLOSE_PREDICTION_PERCENT, parsePrediction, scorePrediction } from "./halfAtwoodPrediction.js";
+import { checkAnswer, generateProblem, problemInputs } from "./halfAtwoodProblems.js";
+import {
+  BUILT_IN_PRESETS,
+  createPresetId,
+  loadCustomPresets,
+  mergePresets,
+  normalizePreset,
+  parsePresetLibrary,
+  presetInputs,
+  saveCustomPresets
+} from "./halfAtwoodPresets.js";
+import { createSensorLog, measuredAcceleration, updateSensorLog } from "./halfAtwoodSensor.js";
+import { clearSession, loadSession, saveSession } from "./halfAtwoodSession.js";
+import { advanceMotion, MAX_FRAME_S } from "./halfAtwoodStepper.js";
+import { parseSweep, SWEEP_VARIABLES, sweepChanges } from "./halfAtwoodSweep.js";
+
+const ROPE_TABLE_LENGTH_M = 1.5;
+const ROPE_HANGING_LENGTH_M = 0.4;
+const ROPE_SIDE_LENGTH_M = 0.8;
+/** Sweep runs that have not stopped by now are recorded as they stand. */
+const SWEEP_RUN_LIMIT_S = 20;
 
 /**
  * @param {number} value
@@ -26,31 +69,159 @@ function signed(value) {
 }
 
 const elements = {
+  machineMode: /** @type {HTMLSelectElement} */ (document.querySelector("#machineMode")),
+  directionHint: document.querySelector("#directionHint"),
+  massTableLabel: document.querySelector("#massTableLabel"),
+  massHangingLabel: document.querySelector("#massHangingLabel"),
+  inclineControls: /** @type {HTMLElement} */ (document.querySelector("#inclineControls")),
+  frictionControls: /** @type {HTMLElement} */ (document.querySelector("#frictionControls")),
+  chainControls: /** @type {HTMLElement} */ (document.querySelector("#chainControls")),
+  trailingBlockEnabled: /** @type {HTMLInputElement} */ (document.querySelector("#trailingBlockEnabled")),
+  trailingMass: /** @type {HTMLInputElement} */ (document.querySelector("#trailingMass")),
+  trailingMuStatic: /** @type {HTMLInputElement} */ (document.querySelector("#trailingMuStatic")),
+  trailingMuKinetic: /** @type {HTMLInputElement} */ (document.querySelector("#trailingMuKinetic")),
+  dragControls: /** @type {HTMLElement} */ (document.querySelector("#dragControls")),
+  cartEnabled: /** @type {HTMLInputElement} */ (document.querySelector("#cartEnabled")),
+  rollingResistance: /** @type {HTMLInputElement} */ (document.querySelector("#rollingResistance")),
+  linearDrag: /** @type {HTMLInputElement} */ (document.querySelector("#linearDrag")),
+  quadraticDrag: /** @type {HTMLInputElement} */ (document.querySelector("#quadraticDrag")),
+  dragMetric: /** @type {HTMLElement} */ (document.querySelector("#dragMetric")),
+  dragReadout: document.querySelector("#dragReadout"),
+  frictionLabel: document.querySelector("#frictionLabel"),
+  floorControls: /** @type {HTMLElement} */ (document.querySelector("#floorControls")),
+  floorHeight: /** @type {HTMLInputElement} */ (document.querySelector("#floorHeight")),
+  landingMetric: /** @type {HTMLElement} */ (document.querySelector("#landingMetric")),
+  landingReadout: document.querySelector("#landingReadout"),
+  predictAccel: /** @type {HTMLInputElement} */ (document.querySelector("#predictAccel")),
+  predictTension: /** @type {HTMLInputElement} */ (document.querySelector("#predictTension")),
+  predictTensionLabel: document.querySelector("#predictTensionLabel"),
+  predictOutcome: /** @type {HTMLSelectElement} */ (document.querySelector("#predictOutcome")),
+  lockPredictionBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#lockPredictionBtn")),
+  predictFirst: /** @type {HTMLInputElement} */ (document.querySelector("#predictFirst")),
+  sensorNoise: /** @type {HTMLInputElement} */ (document.querySelector("#sensorNoise")),
+  sensorSampleRate: /** @type {HTMLInputElement} */ (document.querySelector("#sensorSampleRate")),
+  sensorJitter: /** @type {HTMLInputElement} */ (document.querySelector("#sensorJitter")),
+  sensorResolution: /** @type {HTMLInputElement} */ (document.querySelector("#sensorResolution")),
+  sensorSeed: /** @type {HTMLInputElement} */ (document.querySelector("#sensorSeed")),
+  predictionFeedback: document.querySelector("#predictionFeedback"),
+  linkTensionMetric: /** @type {HTMLElement} */ (document.querySelector("#linkTensionMetric")),
+  linkTensionReadout: document.querySelector("#linkTensionReadout"),
+  tensionTableLabel: document.querySelector("#tensionTableLabel"),
+  tensionHangingLabel: document.querySelector("#tensionHangingLabel"),
   massTable: /** @type {HTMLInputElement} */ (document.querySelector("#massTable")),
   massHanging: /** @type {HTMLInputElement} */ (document.querySelector("#massHanging")),
   initialVelocity: /** @type {HTMLInputElement} */ (document.querySelector("#initialVelocity")),
   initialVelocityValue: document.querySelector("#initialVelocityValue"),
   frictionEnabled: /** @type {HTMLInputElement} */ (document.querySelector("#frictionEnabled")),
-  mu: /** @type {HTMLInputElement} */ (document.querySelector("#mu")),
-  muValue: document.querySelector("#muValue"),
+  muStatic: /** @type {HTMLInputElement} */ (document.querySelector("#muStatic")),
+  muStaticValue: document.querySelector("#muStaticValue"),
+  muKinetic: /** @type {HTMLInputElement} */ (document.querySelector("#muKinetic")),
+  muKineticValue: document.querySelector("#muKineticValue"),
+  pulleyInertia: /** @type {HTMLInputElement} */ (document.querySelector("#pulleyInertia")),
+  pulleyRadius: /** @type {HTMLInputElement} */ (document.querySelector("#pulleyRadius")),
+  ropeDensity: /** @type {HTMLInputElement} */ (document.querySelector("#ropeDensity")),
+  gravitySelect: /** @type {HTMLSelectElement} */ (document.querySelector("#gravitySelect")),
+  gravityCustom: /** @type {HTMLInputElement} */ (document.querySelector("#gravityCustom")),
+  gravityNote: document.querySelector("#gravityNote"),
+  inclineAngle: /** @type {HTMLInputElement} */ (document.querySelector("#inclineAngle")),
+  inclineAngleValue: document.querySelector("#inclineAngleValue"),
   showForces: /** @type {HTMLInputElement} */ (document.querySelector("#showForces")),
   startBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#startBtn")),
   pauseBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#pauseBtn")),
   resetBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#resetBtn")),
   recordBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#recordBtn")),
   clearBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#clearBtn")),
+  startFreshBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#startFreshBtn")),
+  copyLinkBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#copyLinkBtn")),
+  sweepBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#sweepBtn")),
+  sweepDialog: /** @type {HTMLDialogElement} */ (document.querySelector("#sweepDialog")),
+  sweepVariable: /** @type {HTMLSelectElement} */ (document.querySelector("#sweepVariable")),
+  sweepFrom: /** @type {HTMLInputElement} */ (document.querySelector("#sweepFrom")),
+  sweepTo: /** @type {HTMLInputElement} */ (document.querySelector("#sweepTo")),
+  sweepTrials: /** @type {HTMLInputElement} */ (document.querySelector("#sweepTrials")),
+  sweepError: document.querySelector("#sweepError"),
+  runSweepBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#runSweepBtn")),
+  cancelSweepBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#cancelSweepBtn")),
+  exportCsvBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#exportCsvBtn")),
+  exportJsonBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#exportJsonBtn")),
   themeToggle: /** @type {HTMLButtonElement} */ (document.querySelector("#themeToggle")),
   statusText: document.querySelector("#statusText"),
+  presetButtons: document.querySelector("#presetButtons"),
+  presetName: /** @type {HTMLInputElement} */ (document.querySelector("#presetName")),
+  presetMessage: /** @type {HTMLInputElement} */ (document.querySelector("#presetMessage")),
+  savePresetBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#savePresetBtn")),
+  customPresetSelect: /** @type {HTMLSelectElement} */ (document.querySelector("#customPresetSelect")),
+  updatePresetBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#updatePresetBtn")),
+  deletePresetBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#deletePresetBtn")),
+  exportPresetsBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#exportPresetsBtn")),
+  importPresetsInput: /** @type {HTMLInputElement} */ (document.querySelector("#importPresetsInput")),
   simCanvas: /** @type {HTMLCanvasElement} */ (document.querySelector("#simCanvas")),
+  replayPlayBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#replayPlayBtn")),
+  replaySpeed: /** @type {HTMLSelectElement} */ (document.querySelector("#replaySpeed")),
+  replaySlider: /** @type {HTMLInputElement} */ (document.querySelector("#replaySlider")),
+  replayTime: /** @type {HTMLElement} */ (document.querySelector("#replayTime")),
+  instrumentsBox: /** @type {HTMLElement} */ (document.querySelector("#instrumentsBox")),
+  addGateBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#addGateBtn")),
+  clearGatesBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#clearGatesBtn")),
+  gateTableBody: /** @type {HTMLElement} */ (document.querySelector("#gateTableBody")),
+  stopwatchReadout: /** @type {HTMLElement} */ (document.querySelector("#stopwatchReadout")),
+  stopwatchToggleBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#stopwatchToggleBtn")),
+  stopwatchResetBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#stopwatchResetBtn")),
+  energyChart: /** @type {HTMLCanvasElement} */ (document.querySelector("#energyChart")),
+  energyTableBody: /** @type {HTMLElement} */ (document.querySelector("#energyTableBody")),
+  thermalTableBody: /** @type {HTMLElement} */ (document.querySelector("#thermalTableBody")),
+  energyCheck: /** @type {HTMLElement} */ (document.querySelector("#energyCheck")),
   accelReadout: document.querySelector("#accelReadout"),
   restAccelReadout: document.querySelector("#restAccelReadout"),
-  tensionReadout: document.querySelector("#tensionReadout"),
+  tensionTableReadout: document.querySelector("#tensionTableReadout"),
+  tensionHangingReadout: document.querySelector("#tensionHangingReadout"),
+  normalReadout: document.querySelector("#normalReadout"),
   frictionReadout: document.querySelector("#frictionReadout"),
   netReadout: document.querySelector("#netReadout"),
   velocityReadout: document.querySelector("#velocityReadout"),
   displacementReadout: document.querySelector("#displacementReadout"),
   timeReadout: document.querySelector("#timeReadout"),
+  positionGraph: /** @type {HTMLCanvasElement} */ (document.querySelector("#positionGraph")),
+  velocityGraph: /** @type {HTMLCanvasElement} */ (document.querySelector("#velocityGraph")),
+  accelerationGraph: /** @type {HTMLCanvasElement} */ (document.querySelector("#accelerationGraph")),
+  graphFitReadout: document.querySelector("#graphFitReadout"),
+  fbdPracticeCanvas: /** @type {HTMLCanvasElement} */ (document.querySelector("#fbdPracticeCanvas")),
+  fbdPracticeFeedback: /** @type {HTMLElement} */ (document.querySelector("#fbdPracticeFeedback")),
+  fbdPracticeNote: document.querySelector("#fbdPracticeNote"),
+  fbdCheckBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#fbdCheckBtn")),
+  fbdUndoBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#fbdUndoBtn")),
+  fbdClearBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#fbdClearBtn")),
+  fbdAnswerBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#fbdAnswerBtn")),
+  solveFor: /** @type {HTMLSelectElement} */ (document.querySelector("#solveFor")),
+  solveAccelField: /** @type {HTMLElement} */ (document.querySelector("#solveAccelField")),
+  solveAccel: /** @type {HTMLInputElement} */ (document.querySelector("#solveAccel")),
+  solveDistanceField: /** @type {HTMLElement} */ (document.querySelector("#solveDistanceField")),
+  solveDistance: /** @type {HTMLInputElement} */ (document.querySelector("#solveDistance")),
+  solveTimeField: /** @type {HTMLElement} */ (document.querySelector("#solveTimeField")),
+  solveTime: /** @type {HTMLInputElement} */ (document.querySelector("#solveTime")),
+  solveBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#solveBtn")),
+  applySolveBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#applySolveBtn")),
+  solveResult: document.querySelector("#solveResult"),
+  problemKind: /** @type {HTMLSelectElement} */ (document.querySelector("#problemKind")),
+  newProblemBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#newProblemBtn")),
+  problemPrompt: document.querySelector("#problemPrompt"),
+  problemNumberField: /** @type {HTMLElement} */ (document.querySelector("#problemNumberField")),
+  problemAnswerLabel: document.querySelector("#problemAnswerLabel"),
+  problemAnswer: /** @type {HTMLInputElement} */ (document.querySelector("#problemAnswer")),
+  problemOutcomeField: /** @type {HTMLElement} */ (document.querySelector("#problemOutcomeField")),
+  problemOutcome: /** @type {HTMLSelectElement} */ (document.querySelector("#problemOutcome")),
+  checkProblemBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#checkProblemBtn")),
+  problemSolutionBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#problemSolutionBtn")),
+  loadProblemBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#loadProblemBtn")),
+  problemFeedback: /** @type {HTMLElement} */ (document.querySelector("#problemFeedback")),
+  problemSolution: /** @type {HTMLOListElement} */ (document.querySelector("#problemSolution")),
   trialTableBody: document.querySelector("#trialTableBody"),
+  analysisX: /** @type {HTMLSelectElement} */ (document.querySelector("#analysisX")),
+  analysisXTransform: /** @type {HTMLSelectElement} */ (document.querySelector("#analysisXTransform")),
+  analysisY: /** @type {HTMLSelectElement} */ (document.querySelector("#analysisY")),
+  analysisYTransform: /** @type {HTMLSelectElement} */ (document.querySelector("#analysisYTransform")),
+  analysisGraph: /** @type {HTMLCanvasElement} */ (document.querySelector("#analysisGraph")),
+  analysisReadout: document.querySelector("#analysisReadout"),
   discoveryTabBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#discoveryTabBtn")),
   theoryTabBtn: /** @type {HTMLButtonElement} */ (document.querySelector("#theoryTabBtn")),
   discoveryTab: document.querySelector("#discoveryTab"),
@@ -59,25 +230,93 @@ const elements = {
 
 const ctx = elements.simCanvas.getContext("2d");
 
+const motionGraphs = new MotionGraphs({
+  positionCanvas: elements.positionGraph,
+  velocityCanvas: elements.velocityGraph,
+  accelerationCanvas: elements.accelerationGraph,
+  fitReadout: elements.graphFitReadout
+});
+
+const fbdPractice = new FbdPractice({
+  canvas: elements.fbdPracticeCanvas,
+  feedback: elements.fbdPracticeFeedback,
+  getKind: () => {
+    const checked = /** @type {HTMLInputElement|null} */ (document.querySelector('input[name="fbdForceKind"]:checked'));
+    return /** @type {import("./halfAtwoodFbd.js").FbdForceKind} */ (checked?.value ?? "weight");
+  }
+});
+
+const analysisGraph = new ScatterFitGraph({
+  canvas: elements.analysisGraph,
+  title: "Trial analysis",
+  emptyMessage: "Record trials to plot them here.",
+  showTicks: true
+});
+
+const energyChart = new GroupedBarChart({
+  canvas: elements.energyChart,
+  title: "Energy of each body: kinetic energy, change in potential energy, and thermal energy",
+  yLabel: "Energy (J)",
+  series: [
+    { label: "K", color: "#0e8ba8" },
+    { label: "ΔU", color: "#3f9a4a" },
+    { label: "E_thermal", color: "#cd5b00" }
+  ]
+});
+
 const state = {
-  massTableKg: 2.5,
-  massHangingKg: 1.2,
-  initialVelocityMps: 0,
-  frictionEnabled: true,
-  mu: 0.2,
-  showForces: true,
+  ...DEFAULT_INPUTS,
+  activeTab: /** @type {"discovery"|"theory"} */ ("discovery"),
+  customPresets: /** @type {import("./halfAtwoodPresets.js").ScenarioPreset[]} */ ([]),
   running: false,
   timeS: 0,
   displacementM: 0,
   velocityMps: 0,
   lastFrameMs: null,
+  stepRemainderS: 0,
+  landing: /** @type {{speedMps:number, timeS:number}|null} */ (null),
+  lastStep: /** @type {{timeS:number, displacementM:number, velocityMps:number}|null} */ (null),
+  photogates: /** @type {import("./halfAtwoodInstruments.js").Photogate[]} */ ([]),
+  nextGateId: 1,
+  draggingGateId: /** @type {number|null} */ (null),
+  gatePasses: /** @type {import("./halfAtwoodInstruments.js").PhotogatePass[]} */ ([]),
+  /** Hand-timed release-to-landing reading, taken for the student when they do not time a run themselves. */
+  stopwatchS: /** @type {number|null} */ (null),
+  /** The student's own stopwatch. It runs on the simulation clock, so pausing a run pauses it too. */
+  stopwatch: { running: false, elapsedS: 0 },
+  /** Thermal energy booked step by step since the run started, for the energy check. */
+  energyLedger: /** @type {import("./halfAtwoodEnergy.js").EnergyLedger|null} */ (null),
+  /** Set while scrubbing a finished run; `end` is the run state to return to. */
+  replay: /** @type {{playing: boolean, lastFrameMs: number|null, end: {timeS:number, displacementM:number, velocityMps:number, landing: {speedMps:number, timeS:number}|null, slideAfterLandingM: number|null}}|null} */ (null),
+  slideAfterLandingM: /** @type {number|null} */ (null),
+  prediction: /** @type {{value: import("./halfAtwoodPrediction.js").StudentPrediction, settingsKey: string}|null} */ (null),
+  problem: /** @type {import("./halfAtwoodProblems.js").PracticeProblem|null} */ (null),
+  solved: /** @type {{key: "muKinetic"|"muStatic"|"rollingResistanceCoefficient"|"massHangingKg", value: number}|null} */ (null),
+  history: createRunHistory(),
   nextTrialId: 1,
-  records: /** @type {Array<{id:number,massTableKg:number,massHangingKg:number,mu:number,accel:number,tension:number,moved:boolean}>} */ ([])
+  records: /** @type {import("./state.js").HalfAtwoodTrialRecord[]} */ ([])
+};
+
+/**
+ * Sensor readings for the run in progress, extended as samples are logged
+ * and started over when the run or the sensor settings change.
+ */
+let sensorCache = {
+  log: /** @type {import("./halfAtwoodSensor.js").SensorLog|null} */ (null),
+  count: 0,
+  settingsKey: ""
 };
 
+/**
+ * Simulation time the energy panel last showed. While a run or replay plays
+ * the panel is redrawn once per logged sample rather than every frame.
+ */
+let energyShownS = /** @type {number|null} */ (null);
+
 let sceneLayout = {
   travelMinM: -1,
-  travelMaxM: 1
+  travelMaxM: 1,
+  floorDropM: Number.POSITIVE_INFINITY
 };
 
 function applyTheme(theme) {
@@ -101,110 +340,1253 @@ function setStatus(message, tone = "default") {
 }
 
 function syncInputsFromState() {
+  elements.machineMode.value = state.machineMode;
   elements.massTable.value = String(state.massTableKg);
   elements.massHanging.value = String(state.massHangingKg);
   elements.initialVelocity.value = String(state.initialVelocityMps);
   elements.frictionEnabled.checked = state.frictionEnabled;
-  elements.mu.value = String(state.mu);
+  elements.muStatic.value = String(state.muStatic);
+  elements.muKinetic.value = String(state.muKinetic);
+  elements.pulleyInertia.value = String(state.pulleyInertiaKgM2);
+  elements.pulleyRadius.value = String(state.pulleyRadiusM);
+  elements.ropeDensity.value = String(state.ropeMassPerLengthKgPerM);
+  elements.gravitySelect.value = gravityOptionId(state.gravityMps2);
+  elements.gravityCustom.value = String(state.gravityMps2);
+  elements.inclineAngle.value = String(state.inclineAngleDeg);
+  elements.trailingBlockEnabled.checked = state.trailingBlockEnabled;
+  elements.trailingMass.value = String(state.trailingMassKg);
+  elements.trailingMuStatic.value = String(state.trailingMuStatic);
+  elements.trailingMuKinetic.value = String(state.trailingMuKinetic);
+  elements.cartEnabled.checked = state.cartEnabled;
+  elements.rollingResistance.value = String(state.rollingResistanceCoefficient);
+  elements.linearDrag.value = String(state.linearDragNsPerM);
+  elements.quadraticDrag.value = String(state.quadraticDragNs2PerM2);
+  elements.floorHeight.value = String(state.floorHeightM);
   elements.showForces.checked = state.showForces;
+  elements.predictFirst.checked = state.predictFirst;
+  elements.sensorNoise.checked = state.sensorNoise;
+  elements.sensorSampleRate.value = String(state.sensorSampleRateHz);
+  elements.sensorJitter.value = String(state.sensorJitterMs);
+  elements.sensorResolution.value = String(state.sensorResolutionMm);
+  elements.sensorSeed.value = String(state.sensorSeed);
+  syncDerivedLabels();
+}
+
+function syncDerivedLabels() {
+  const full = state.machineMode === "full";
+  elements.directionHint.textContent = full
+    ? "Positive direction: right mass m₂ down, left mass m₁ up."
+    : "Positive direction: block right, hanging mass down.";
+  elements.massTableLabel.textContent = full ? "Left mass (m₁), kg" : "Table Mass (mₜ), kg";
+  elements.massHangingLabel.textContent = full ? "Right mass (m₂), kg" : "Hanging Mass (mₕ), kg";
+  elements.tensionTableLabel.textContent = full ? "Tension (left, m₁)" : "Tension (table side)";
+  elements.tensionHangingLabel.textContent = full ? "Tension (right, m₂)" : "Tension (hanging side)";
+  elements.predictTensionLabel.textContent = full ? "Tension (right, m₂), N" : "Tension (hanging side), N";
+  elements.inclineControls.hidden = full;
+  elements.frictionControls.hidden = full;
+  elements.chainControls.hidden = full;
+  elements.dragControls.hidden = full;
+  elements.floorControls.hidden = full;
+  elements.landingMetric.hidden = full;
+  elements.instrumentsBox.hidden = full;
+  elements.linkTensionMetric.hidden = !hasTrailingBlock();
+  elements.dragMetric.hidden = !hasDrag();
+  elements.frictionLabel.textContent = !full && state.cartEnabled ? "Rolling Resistance" : "Friction Force";
+  elements.rollingResistance.disabled = !state.cartEnabled || !state.frictionEnabled;
+  for (const field of [elements.sensorSampleRate, elements.sensorJitter, elements.sensorResolution, elements.sensorSeed]) {
+    field.disabled = !state.sensorNoise;
+  }
+  elements.trailingMass.disabled = !state.trailingBlockEnabled;
+  // The two-block model treats the string as massless.
+  elements.ropeDensity.disabled = hasTrailingBlock();
+  elements.trailingMuStatic.disabled = !state.trailingBlockEnabled || !state.frictionEnabled;
+  elements.trailingMuKinetic.disabled = !state.trailingBlockEnabled || !state.frictionEnabled;
   elements.initialVelocityValue.textContent = `${fmt(state.initialVelocityMps)} m/s`;
-  elements.muValue.textContent = fmt(state.mu, 2);
-  elements.mu.disabled = !state.frictionEnabled;
+  elements.muStaticValue.textContent = fmt(state.muStatic, 2);
+  elements.muKineticValue.textContent = fmt(state.muKinetic, 2);
+  elements.inclineAngleValue.textContent = state.inclineAngleDeg === 0
+    ? "0° (level)"
+    : `${state.inclineAngleDeg > 0 ? "+" : ""}${fmt(state.inclineAngleDeg, 0)}° (${state.inclineAngleDeg > 0 ? "up" : "down"} toward pulley)`;
+  elements.muStatic.disabled = !state.frictionEnabled || state.cartEnabled;
+  elements.muKinetic.disabled = !state.frictionEnabled || state.cartEnabled;
+  elements.gravityCustom.hidden = elements.gravitySelect.value !== "custom";
+  elements.gravityNote.textContent = `Gravity is set to ${fmt(state.gravityMps2, 2)} m/s² for this session. `
+    + "Use 10 m/s² to match the Unit 6 exam convention.";
 }
 
 function resetMotion() {
   state.running = false;
   state.lastFrameMs = null;
+  state.stepRemainderS = 0;
   state.timeS = 0;
   state.displacementM = 0;
   state.velocityMps = state.initialVelocityMps;
+  state.landing = null;
+  state.slideAfterLandingM = null;
+  state.history = createRunHistory();
+  state.lastStep = null;
+  state.gatePasses = [];
+  state.stopwatchS = null;
+  state.energyLedger = null;
+  state.replay = null;
 }
 
 function readInputsIntoState() {
-  state.massTableKg = clamp(Number(elements.massTable.value) || 0, 0.2, 2500);
-  state.massHangingKg = clamp(Number(elements.massHanging.value) || 0, 0.1, 500);
-  state.initialVelocityMps = clamp(Number(elements.initialVelocity.value) || 0, -4, 4);
-  state.frictionEnabled = elements.frictionEnabled.checked;
-  state.mu = clamp(Number(elements.mu.value) || 0, 0, 1);
-  state.showForces = elements.showForces.checked;
+  Object.assign(state, sanitizeInputs({
+    machineMode: elements.machineMode.value,
+    massTableKg: elements.massTable.value,
+    massHangingKg: elements.massHanging.value,
+    initialVelocityMps: elements.initialVelocity.value,
+    frictionEnabled: elements.frictionEnabled.checked,
+    muStatic: elements.muStatic.value,
+    muKinetic: elements.muKinetic.value,
+    pulleyInertiaKgM2: elements.pulleyInertia.value,
+    pulleyRadiusM: elements.pulleyRadius.value,
+    ropeMassPerLengthKgPerM: elements.ropeDensity.value,
+    gravityMps2: elements.gravitySelect.value === "custom"
+      ? elements.gravityCustom.value
+      : GRAVITY_OPTIONS.find((option) => option.id === elements.gravitySelect.value)?.valueMps2,
+    inclineAngleDeg: elements.inclineAngle.value,
+    trailingBlockEnabled: elements.trailingBlockEnabled.checked,
+    trailingMassKg: elements.trailingMass.value,
+    trailingMuStatic: elements.trailingMuStatic.value,
+    trailingMuKinetic: elements.trailingMuKinetic.value,
+    cartEnabled: elements.cartEnabled.checked,
+    rollingResistanceCoefficient: elements.rollingResistance.value,
+    linearDragNsPerM: elements.linearDrag.value,
+    quadraticDragNs2PerM2: elements.quadraticDrag.value,
+    floorHeightM: elements.floorHeight.value,
+    showForces: elements.showForces.checked,
+    predictFirst: elements.predictFirst.checked,
+    sensorNoise: elements.sensorNoise.checked,
+    sensorSampleRateHz: elements.sensorSampleRate.value,
+    sensorJitterMs: elements.sensorJitter.value,
+    sensorResolutionMm: elements.sensorResolution.value,
+    sensorSeed: elements.sensorSeed.value
+  }, currentInputs()));
+
+  const raisedStatic = [[elements.muStatic, state.muStatic], [elements.trailingMuStatic, state.trailingMuStatic]]
+    .filter(([field, value]) => Number(field.value) < value);
+  for (const [field, value] of raisedStatic) {
+    field.value = String(value);
+  }
+  if (raisedStatic.length) {
+    setStatus("Static friction cannot be weaker than kinetic friction, so μₛ was raised to match μₖ.", "warn");
+  }
 
-  elements.initialVelocityValue.textContent = `${fmt(state.initialVelocityMps)} m/s`;
-  elements.muValue.textContent = fmt(state.mu, 2);
-  elements.mu.disabled = !state.frictionEnabled;
+  syncDerivedLabels();
+}
+
+/**
+ * @returns {import("./halfAtwoodInputs.js").HalfAtwoodInputs}
+ */
+function currentInputs() {
+  return {
+    machineMode: state.machineMode,
+    massTableKg: state.massTableKg,
+    massHangingKg: state.massHangingKg,
+    initialVelocityMps: state.initialVelocityMps,
+    frictionEnabled: state.frictionEnabled,
+    muStatic: state.muStatic,
+    muKinetic: state.muKinetic,
+    pulleyInertiaKgM2: state.pulleyInertiaKgM2,
+    pulleyRadiusM: state.pulleyRadiusM,
+    ropeMassPerLengthKgPerM: state.ropeMassPerLengthKgPerM,
+    gravityMps2: state.gravityMps2,
+    inclineAngleDeg: state.inclineAngleDeg,
+    trailingBlockEnabled: state.trailingBlockEnabled,
+    trailingMassKg: state.trailingMassKg,
+    trailingMuStatic: state.trailingMuStatic,
+    trailingMuKinetic: state.trailingMuKinetic,
+    cartEnabled: state.cartEnabled,
+    rollingResistanceCoefficient: state.rollingResistanceCoefficient,
+    linearDragNsPerM: state.linearDragNsPerM,
+    quadraticDragNs2PerM2: state.quadraticDragNs2PerM2,
+    floorHeightM: state.floorHeightM,
+    showForces: state.showForces,
+    predictFirst: state.predictFirst,
+    sensorNoise: state.sensorNoise,
+    sensorSampleRateHz: state.sensorSampleRateHz,
+    sensorJitterMs: state.sensorJitterMs,
+    sensorResolutionMm: state.sensorResolutionMm,
+    sensorSeed: state.sensorSeed
+  };
+}
+
+function persistSession() {
+  const result = saveSession(window.localStorage, {
+    inputs: currentInputs(),
+    records: state.records,
+    nextTrialId: state.nextTrialId,
+    activeTab: state.activeTab
+  });
+
+  if (result === "withoutHistories") {
+    setStatus("Browser storage is full, so run histories were not saved. Export your trials to keep them.", "warn");
+  } else if (result === "failed") {
+    setStatus("Could not save this session in the browser. Export your trials before closing the tab.", "warn");
+  }
+}
+
+/**
+ * @returns {boolean} Whether a saved session was found.
+ */
+function restoreSession() {
+  const session = loadSession(window.localStorage);
+  if (!session) {
+    return false;
+  }
+
+  Object.assign(state, session.inputs);
+  state.records = session.records;
+  state.nextTrialId = session.nextTrialId;
+  state.activeTab = session.activeTab;
+  return true;
+}
+
+/**
+ * Applies scenario parameters from the page URL, if any. A shared link wins
+ * over a restored session's controls but leaves its trials alone. The
+ * parameters are then dropped from the address bar so a reload restores the
+ * student's own changes instead of applying the link again.
+ * @returns {boolean}
+ */
+function applyLinkParams() {
+  const fromLink = parseScenarioParams(window.location.search, currentInputs())
+    ?? parseScenarioParams(window.location.hash, currentInputs());
+  if (!fromLink) {
+    return false;
+  }
+
+  Object.assign(state, fromLink);
+  window.history.replaceState(null, "", window.location.pathname);
+  return true;
+}
+
+async function copyScenarioLink() {
+  const link = buildScenarioLink(window.location, currentInputs());
+
+  try {
+    await navigator.clipboard.writeText(link);
+    setStatus("Link copied. Anyone who opens it starts with these settings.");
+  } catch {
+    window.prompt("Copy this link to share the current settings:", link);
+  }
+}
+
+function startFresh() {
+  if (state.records.length && !window.confirm("Start fresh? This clears all controls and recorded trials.")) {
+    return;
+  }
+
+  clearSession(window.localStorage);
+  Object.assign(state, DEFAULT_INPUTS);
+  state.records = [];
+  state.nextTrialId = 1;
+  state.prediction = null;
+  resetMotion();
+  syncInputsFromState();
+  setTab("discovery");
+  renderTrialTable();
+  updateReadouts();
+  renderScene();
+  setStatus("Started a fresh session with default settings.");
+}
+
+/**
+ * Pulley and rope properties, with the rope split at the pulley according
+ * to how far the system has moved.
+ * @param {number} displacementM
+ * @returns {import("./halfAtwoodPhysics.js").PulleyRopeInput}
+ */
+function pulleyRopeInput(displacementM) {
+  return {
+    pulleyInertiaKgM2: state.pulleyInertiaKgM2,
+    pulleyRadiusM: state.pulleyRadiusM,
+    ropeMassPerLengthKgPerM: state.ropeMassPerLengthKgPerM,
+    ropeTableLengthM: Math.max(0, ROPE_TABLE_LENGTH_M - displacementM),
+    ropeHangingLengthM: Math.max(0, ROPE_HANGING_LENGTH_M + displacementM)
+  };
+}
+
+/**
+ * Full Atwood inputs. The table and hanging mass slots hold the left and
+ * right masses; the rope starts split evenly over the pulley.
+ * @param {number} displacementM
+ * @returns {import("./halfAtwoodPhysics.js").FullAtwoodPulleyRopeInput & {massLeftKg:number, massRightKg:number, gravity:number}}
+ */
+function fullAtwoodInput(displacementM) {
+  return {
+    massLeftKg: state.massTableKg,
+    massRightKg: state.massHangingKg,
+    gravity: state.gravityMps2,
+    pulleyInertiaKgM2: state.pulleyInertiaKgM2,
+    pulleyRadiusM: state.pulleyRadiusM,
+    ropeMassPerLengthKgPerM: state.ropeMassPerLengthKgPerM,
+    ropeLeftLengthM: Math.max(0, ROPE_SIDE_LENGTH_M - displacementM),
+    ropeRightLengthM: Math.max(0, ROPE_SIDE_LENGTH_M + displacementM)
+  };
+}
+
+/**
+ * Puts full Atwood results under the half-Atwood field names (left mass in
+ * the table-side slot) so readouts, arrows and run history share one path.
+ * @template {{tensionLeftN:number, tensionRightN:number}} T
+ * @param {T} result
+ */
+function withHalfAtwoodFields(result) {
+  return {
+    ...result,
+    tensionN: result.tensionRightN,
+    tensionTableN: result.tensionLeftN,
+    tensionHangingN: result.tensionRightN,
+    frictionN: 0,
+    frictionSignedN: 0,
+    frictionMagnitudeN: 0,
+    dragForceN: 0,
+    normalForceN: 0,
+    maxStaticFrictionN: 0
+  };
+}
+
+/**
+ * @returns {boolean} Whether a second block trails the table block.
+ */
+function hasTrailingBlock() {
+  return state.machineMode === "half" && state.trailingBlockEnabled;
+}
+
+/**
+ * The machine as the energy check sees it, matching what dynamicSolution()
+ * models: the trailing-block model has no rope mass, and the full machine
+ * has no floor to land on.
+ * @returns {import("./halfAtwoodEnergy.js").EnergySystem}
+ */
+function energySystem() {
+  const full = state.machineMode === "full";
+  return {
+    machineMode: state.machineMode,
+    massTableKg: state.massTableKg,
+    trailingMassKg: hasTrailingBlock() ? state.trailingMassKg : 0,
+    massHangingKg: state.massHangingKg,
+    gravityMps2: state.gravityMps2,
+    inclineAngleDeg: full ? 0 : state.inclineAngleDeg,
+    pulleyInertiaKgM2: state.pulleyInertiaKgM2,
+    pulleyRadiusM: state.pulleyRadiusM,
+    ropeMassPerLengthKgPerM: hasTrailingBlock() ? 0 : state.ropeMassPerLengthKgPerM,
+    ropeTableLengthM: full ? ROPE_SIDE_LENGTH_M : ROPE_TABLE_LENGTH_M,
+    ropeHangingLengthM: full ? ROPE_SIDE_LENGTH_M : ROPE_HANGING_LENGTH_M,
+    floorDropM: full ? Number.POSITIVE_INFINITY : sceneLayout.floorDropM
+  };
+}
+
+/**
+ * @returns {boolean} Whether air drag acts on the hanging mass.
+ */
+function hasDrag() {
+  return state.machineMode === "half" && (state.linearDragNsPerM > 0 || state.quadraticDragNs2PerM2 > 0);
+}
+
+/**
+ * Surface resistance for the table body: sliding friction for a block, or
+ * rolling resistance in place of both coefficients for a cart.
+ */
+function tableFrictionInput() {
+  return {
+    muStatic: state.muStatic,
+    muKinetic: state.muKinetic,
+    frictionEnabled: state.frictionEnabled,
+    ...(state.cartEnabled ? { rollingResistanceCoefficient: state.rollingResistanceCoefficient } : {})
+  };
+}
+
+/**
+ * @returns {import("./halfAtwoodPhysics.js").DragInput}
+ */
+function dragInput() {
+  return {
+    linearDragNsPerM: state.linearDragNsPerM,
+    quadraticDragNs2PerM2: state.quadraticDragNs2PerM2
+  };
+}
+
+/**
+ * The string is slack from the landing until the block comes back to the
+ * landing point, so the block's position alone says whether the hanging
+ * mass is down; `slackString()` handles the jerk when it comes back.
+ * @param {number} displacementM
+ * @returns {boolean} Whether the hanging mass is resting on the floor.
+ */
+function hangingMassLanded(displacementM) {
+  return state.machineMode === "half" && displacementM >= sceneLayout.floorDropM;
+}
+
+/**
+ * Where the string goes slack, for `advanceMotion`. A block that slides back
+ * to the landing point (e.g. down a ramp) jerks the string taut and has to
+ * share its momentum with the resting hanging mass.
+ * @returns {{fromM:number, velocityRatio:number}|undefined}
+ */
+function slackString() {
+  return state.machineMode === "half"
+    ? { fromM: sceneLayout.floorDropM, velocityRatio: retensionVelocityRatio(energySystem()) }
+    : undefined;
+}
+
+/**
+ * Chain inputs with the table block first, nearest the pulley. Only the
+ * front body becomes a cart; the trailing block always slides.
+ */
+function chainInput() {
+  return {
+    blocks: [
+      {
+        massKg: state.massTableKg,
+        muStatic: state.muStatic,
+        muKinetic: state.muKinetic,
+        ...(state.cartEnabled ? { rollingResistanceCoefficient: state.rollingResistanceCoefficient } : {})
+      },
+      { massKg: state.trailingMassKg, muStatic: state.trailingMuStatic, muKinetic: state.trailingMuKinetic }
+    ],
+    massHangingKg: state.massHangingKg,
+    frictionEnabled: state.frictionEnabled,
+    gravity: state.gravityMps2,
+    inclineAngleDeg: state.inclineAngleDeg,
+    pulleyInertiaKgM2: state.pulleyInertiaKgM2,
+    pulleyRadiusM: state.pulleyRadiusM,
+    ...dragInput()
+  };
+}
+
+/**
+ * Chain results under the single-block field names: the table-side fields
+ * describe the front block and the friction fields sum over the chain. The
+ * per-block values stay available for the FBD panels.
+ * @template {import("./halfAtwoodPhysics.js").ChainForces} T
+ * @param {T} result
+ */
+function withChainFields(result) {
+  return {
+    ...result,
+    tensionN: result.tensionHangingN,
+    tensionTableN: result.linkTensionsN[0],
+    tensionLinkN: result.linkTensionsN[1],
+    frictionN: result.frictionSignedN.reduce((sum, value) => sum + Math.abs(value), 0),
+    frictionSignedN: result.frictionSignedN.reduce((sum, value) => sum + value, 0),
+    frictionMagnitudeN: result.frictionSignedN.reduce((sum, value) => sum + Math.abs(value), 0),
+    normalForceN: result.normalForcesN[0],
+    blockFrictionsN: result.frictionSignedN
+  };
 }
 
 /**
  * @returns {ReturnType<typeof calculateHalfAtwoodFromRest>}
  */
 function fromRestSolution() {
+  if (state.machineMode === "full") {
+    return withHalfAtwoodFields(calculateFullAtwoodFromRest({ ...fullAtwoodInput(0), targetDistanceM: 1 }));
+  }
+
+  if (hasTrailingBlock()) {
+    return withChainFields(calculateChainFromRest({ ...chainInput(), targetDistanceM: 1 }));
+  }
+
   return calculateHalfAtwoodFromRest({
     massTableKg: state.massTableKg,
     massHangingKg: state.massHangingKg,
-    mu: state.mu,
-    frictionEnabled: state.frictionEnabled,
-    gravity: GRAVITY_MPS2,
-    targetDistanceM: 1
+    ...tableFrictionInput(),
+    gravity: state.gravityMps2,
+    inclineAngleDeg: state.inclineAngleDeg,
+    targetDistanceM: 1,
+    ...pulleyRopeInput(0)
   });
 }
 
 /**
+ * @param {{velocityMps:number, displacementM:number}} motion
  * @returns {ReturnType<typeof resolveDynamicForces>}
  */
-function dynamicSolution() {
+function dynamicSolution(motion = state) {
+  if (state.machineMode === "full") {
+    return withHalfAtwoodFields(resolveFullAtwoodForces({
+      ...fullAtwoodInput(motion.displacementM),
+      velocityMps: motion.velocityMps
+    }));
+  }
+
+  if (hasTrailingBlock() && hangingMassLanded(motion.displacementM)) {
+    // Slack string: the blocks slide on with nothing hanging and no pulley to turn.
+    // A negative link tension here means the trailing block is pushing on the front one.
+    return withChainFields({
+      ...resolveChainForces({
+        ...chainInput(),
+        massHangingKg: 0,
+        pulleyInertiaKgM2: 0,
+        linearDragNsPerM: 0,
+        quadraticDragNs2PerM2: 0,
+        velocityMps: motion.velocityMps
+      }),
+      stringSlack: true
+    });
+  }
+
+  if (hasTrailingBlock()) {
+    return withChainFields(resolveChainForces({ ...chainInput(), velocityMps: motion.velocityMps }));
+  }
+
+  if (hangingMassLanded(motion.displacementM)) {
+    return resolveSlackStringForces({
+      massTableKg: state.massTableKg,
+      ...tableFrictionInput(),
+      gravity: state.gravityMps2,
+      inclineAngleDeg: state.inclineAngleDeg,
+      velocityMps: motion.velocityMps
+    });
+  }
+
   return resolveDynamicForces({
     massTableKg: state.massTableKg,
     massHangingKg: state.massHangingKg,
-    mu: state.mu,
-    frictionEnabled: state.frictionEnabled,
-    gravity: GRAVITY_MPS2,
-    velocityMps: state.velocityMps
+    ...tableFrictionInput(),
+    gravity: state.gravityMps2,
+    inclineAngleDeg: state.inclineAngleDeg,
+    velocityMps: motion.velocityMps,
+    ...pulleyRopeInput(motion.displacementM),
+    ...dragInput()
   });
 }
 
+/**
+ * Speed the system would settle at moving forward. Everything except drag
+ * is the same at any forward speed, so one probe at 1 m/s, with its drag
+ * removed, gives the steady force that drag has to balance.
+ * @returns {number|null}
+ */
+function terminalSpeed() {
+  const cruising = dynamicSolution({ velocityMps: 1, displacementM: state.displacementM });
+  return terminalSpeedMps(cruising.netForceN - cruising.dragForceN, dragInput());
+}
+
+/**
+ * @param {{timeS:number, displacementM:number, velocityMps:number}} motion
+ * @param {number} minIntervalS Use 0 to always store the sample.
+ */
+function logSample(motion, minIntervalS) {
+  const forces = dynamicSolution(motion);
+  appendSample(state.history, {
+    timeS: motion.timeS,
+    displacementM: motion.displacementM,
+    velocityMps: motion.velocityMps,
+    accelerationMps2: forces.accelerationMps2,
+    tensionTableN: forces.tensionTableN,
+    tensionHangingN: forces.tensionHangingN,
+    frictionN: forces.frictionSignedN,
+    netForceN: forces.netForceN,
+    mode: forces.mode
+  }, minIntervalS);
+}
+
+/**
+ * @returns {import("./halfAtwoodSensor.js").SensorSettings}
+ */
+function sensorSettings() {
+  return {
+    seed: state.sensorSeed,
+    sampleRateHz: state.sensorSampleRateHz,
+    timingJitterMs: state.sensorJitterMs,
+    positionResolutionMm: state.sensorResolutionMm
+  };
+}
+
+/**
+ * The run as the graphs and trial table see it: the exact history, or what
+ * the motion sensor read when noise is on.
+ * @returns {import("./halfAtwoodHistory.js").RunHistory}
+ */
+function measuredHistory() {
+  if (!state.sensorNoise) {
+    return state.history;
+  }
+
+  const settings = sensorSettings();
+  const settingsKey = JSON.stringify(settings);
+  const count = state.history.timesS.length;
+  if (!sensorCache.log || sensorCache.log.source !== state.history || sensorCache.settingsKey !== settingsKey) {
+    sensorCache = { log: createSensorLog(state.history, settings), count: -1, settingsKey };
+  }
+  if (sensorCache.count !== count) {
+    sensorCache.count = count;
+    updateSensorLog(sensorCache.log);
+  }
+  return sensorCache.log.measured;
+}
+
+/**
+ * Draws a fresh seed so the next trial's readings differ, as a repeated
+ * real measurement would.
+ */
+function nextSensorSeed() {
+  state.sensorSeed = Math.floor(Math.random() * (NUMERIC_INPUT_LIMITS.sensorSeed.max + 1));
+  elements.sensorSeed.value = String(state.sensorSeed);
+}
+
+/**
+ * Landing speed and slide on the slack string: measured once the hanging
+ * mass is down, otherwise predicted from the current acceleration (exact
+ * unless drag or rope mass changes it on the way down).
+ * @param {{accelerationMps2:number}} dynamic
+ * @returns {string}
+ */
+function landingSummary(dynamic) {
+  if (state.machineMode === "full" || !Number.isFinite(sceneLayout.floorDropM)) {
+    return "--";
+  }
+
+  const slidingAccelerationMps2 = dynamicSolution({ velocityMps: 1, displacementM: sceneLayout.floorDropM }).accelerationMps2;
+  const trackLeftM = sceneLayout.travelMaxM - sceneLayout.floorDropM;
+
+  if (state.landing && !hangingMassLanded(state.displacementM)) {
+    return `Landed at ${fmt(state.landing.speedMps)} m/s; the block slid back and lifted it again`;
+  }
+
+  if (state.landing) {
+    const slidM = state.displacementM - sceneLayout.floorDropM;
+    if (state.slideAfterLandingM !== null) {
+      return `Landed at ${fmt(state.landing.speedMps)} m/s; slid ${fmt(state.slideAfterLandingM)} m and stopped`;
+    }
+    const stop = slackStoppingDistance(state.landing.speedMps, slidingAccelerationMps2);
+    return `Landed at ${fmt(state.landing.speedMps)} m/s; slid ${fmt(slidM)} m`
+      + (stop && stop.stoppingDistanceM <= trackLeftM ? ` of ${fmt(stop.stoppingDistanceM)} m` : "");
+  }
+
+  const remainingM = sceneLayout.floorDropM - state.displacementM;
+  const landingSpeedSq = state.velocityMps * state.velocityMps + 2 * dynamic.accelerationMps2 * remainingM;
+  if (landingSpeedSq <= 0 || (state.velocityMps <= 0 && dynamic.accelerationMps2 <= 0)) {
+    return "Does not reach the floor";
+  }
+
+  const landingSpeedMps = Math.sqrt(landingSpeedSq);
+  const stop = slackStoppingDistance(landingSpeedMps, slidingAccelerationMps2);
+  const slide = stop && stop.stoppingDistanceM <= trackLeftM
+    ? `slides ${fmt(stop.stoppingDistanceM)} m in ${fmt(stop.stoppingTimeS)} s`
+    : "slides to the end of the table";
+  return `Lands at ≈${fmt(landingSpeedMps)} m/s, then ${slide}`;
+}
+
 function updateReadouts() {
   const rest = fromRestSolution();
   const dynamic = dynamicSolution();
 
   elements.accelReadout.textContent = `${signed(dynamic.accelerationMps2)} m/s²`;
   elements.restAccelReadout.textContent = `${fmt(rest.accelerationMps2)} m/s²`;
-  elements.tensionReadout.textContent = `${fmt(dynamic.tensionN)} N`;
+  elements.tensionTableReadout.textContent = `${fmt(dynamic.tensionTableN)} N`;
+  elements.tensionHangingReadout.textContent = `${fmt(dynamic.tensionHangingN)} N`;
 
-  if (!state.frictionEnabled) {
+  if (state.machineMode === "full") {
+    elements.frictionReadout.textContent = "-- (no table)";
+  } else if (!state.frictionEnabled) {
     elements.frictionReadout.textContent = "0.00 N (off)";
   } else {
-    const direction = dynamic.frictionSignedN > 0 ? "right" : dynamic.frictionSignedN < 0 ? "left" : "none";
-    elements.frictionReadout.textContent = `${fmt(dynamic.frictionMagnitudeN)} N (${direction})`;
+    const towardPulley = state.inclineAngleDeg > 0 ? "up the ramp" : state.inclineAngleDeg < 0 ? "down the ramp" : "right";
+    const awayFromPulley = state.inclineAngleDeg > 0 ? "down the ramp" : state.inclineAngleDeg < 0 ? "up the ramp" : "left";
+    const direction = dynamic.frictionSignedN > 0 ? towardPulley : dynamic.frictionSignedN < 0 ? awayFromPulley : "none";
+    const kind = state.cartEnabled ? "rolling" : dynamic.mode === "static_hold" ? "static" : "kinetic";
+    const perBlock = hasTrailingBlock()
+      ? `; front ${fmt(Math.abs(dynamic.blockFrictionsN[0]))} N, trailing ${fmt(Math.abs(dynamic.blockFrictionsN[1]))} N`
+      : "";
+    elements.frictionReadout.textContent = `${fmt(dynamic.frictionMagnitudeN)} N (${kind}, ${direction}${perBlock})`;
   }
 
+  elements.linkTensionReadout.textContent = hasTrailingBlock() ? `${fmt(dynamic.tensionLinkN)} N` : "--";
+
+  if (hasDrag()) {
+    const terminal = terminalSpeed();
+    const direction = dynamic.dragForceN < 0 ? "up" : dynamic.dragForceN > 0 ? "down" : "none";
+    elements.dragReadout.textContent = `${fmt(Math.abs(dynamic.dragForceN))} N (${direction}); `
+      + `terminal speed ${terminal === null ? "--" : `${fmt(terminal)} m/s`}`;
+  }
+
+  elements.landingReadout.textContent = landingSummary(dynamic);
+
+  elements.normalReadout.textContent = state.machineMode === "full" ? "-- (no table)" : `${fmt(dynamic.normalForceN)} N`;
   elements.netReadout.textContent = `${signed(dynamic.netForceN)} N`;
   elements.velocityReadout.textContent = `${signed(state.velocityMps)} m/s`;
   elements.displacementReadout.textContent = `${fmt(state.displacementM)} m`;
   elements.timeReadout.textContent = `${fmt(state.timeS)} s`;
+
+  motionGraphs.setHistory(measuredHistory(), rest.accelerationMps2);
+  renderInstruments();
+  renderEnergy();
+  syncReplayControls();
+  updatePredictionPanel(rest);
+  updateFbdPractice(dynamic);
+}
+
+/**
+ * Gate log in track order, the student's stopwatch, and the automatic
+ * hand-timed drop as a fallback.
+ */
+function renderInstruments() {
+  elements.addGateBtn.disabled = state.photogates.length >= MAX_PHOTOGATES;
+  elements.clearGatesBtn.disabled = !state.photogates.length;
+
+  if (!state.photogates.length) {
+    elements.gateTableBody.innerHTML = '<tr><td colspan="5">Add a photogate, then drag it along the track.</td></tr>';
+  } else {
+    let previousS = /** @type {number|null} */ (null);
+    elements.gateTableBody.innerHTML = [...state.photogates]
+      .sort((a, b) => a.positionM - b.positionM)
+      .map((gate) => {
+        // During a replay, only the passes that have happened by the shown time.
+        const pass = state.gatePasses.find((entry) => entry.gateId === gate.id && entry.timeS <= state.timeS + 1e-9);
+        const sincePrevious = pass && previousS !== null ? fmt(pass.timeS - previousS, 3) : "--";
+        previousS = pass ? pass.timeS : null;
+        return `<tr>
+          <td>G${gate.id}</td>
+          <td>${fmt(gate.positionM, 2)}</td>
+          <td>${pass ? fmt(pass.timeS, 3) : "--"}</td>
+          <td>${pass ? fmt(pass.speedMps, 3) : "--"}</td>
+          <td>${sincePrevious}</td>
+        </tr>`;
+      })
+      .join("");
+  }
+
+  const watch = state.stopwatch;
+  elements.stopwatchToggleBtn.textContent = watch.running ? "Stop stopwatch" : "Start stopwatch";
+  elements.stopwatchResetBtn.disabled = !watch.running && watch.elapsedS === 0;
+  const automatic = state.stopwatchS === null || !state.landing
+    ? ""
+    : ` Timed for you from release to landing: ${fmt(state.stopwatchS, 2)} s, reaction time included.`;
+  elements.stopwatchReadout.textContent = `Stopwatch: ${fmt(watch.elapsedS, 2)} s${watch.running ? " (running)" : ""}.${automatic}`;
+}
+
+/**
+ * Adds simulated time that has just played (in a run or a replay) to the
+ * student's stopwatch. Resets and scrubbing move the clock without it
+ * counting.
+ * @param {number} passedS
+ */
+function tickStopwatch(passedS) {
+  if (state.stopwatch.running && passedS > 0) {
+    state.stopwatch.elapsedS += passedS;
+  }
+}
+
+function toggleStopwatch() {
+  state.stopwatch.running = !state.stopwatch.running;
+  renderInstruments();
+}
+
+function resetStopwatch() {
+  state.stopwatch = { running: false, elapsedS: 0 };
+  renderInstruments();
+}
+
+/**
+ * Kinetic energy of each body, potential energy change since release and
+ * the thermal energy booked by the stepper, as bars and tables, with
+ * ΔK + ΔU + E_thermal as the check. During a replay it shows the moment on
+ * screen. Friction heat is shown on the table block and drag heat on the
+ * hanging mass; the trailing block's share is in the table block's bars.
+ */
+function renderEnergy() {
+  const playing = state.running || Boolean(state.replay?.playing);
+  if (playing && energyShownS !== null && Math.abs(state.timeS - energyShownS) < SAMPLE_INTERVAL_S) {
+    return;
+  }
+  energyShownS = state.timeS;
+
+  const system = energySystem();
+  const summary = energySummary(state.energyLedger ?? createEnergyLedger(system, state), system, state);
+  const { kineticJ, potentialJ } = summary.now;
+  const { thermal } = summary;
+  const full = state.machineMode === "full";
+  const pulleyLabel = state.ropeMassPerLengthKgPerM > 0 && !hasTrailingBlock() ? "Pulley and rope" : "Pulley";
+
+  const rows = [
+    [full ? "Left mass (m₁)" : state.cartEnabled ? "Cart" : "Table block", kineticJ.table, potentialJ.table],
+    ...(hasTrailingBlock() ? [["Trailing block", kineticJ.trailing, null]] : []),
+    [full ? "Right mass (m₂)" : "Hanging mass", kineticJ.hanging, potentialJ.hanging],
+    [pulleyLabel, kineticJ.pulleyRope, potentialJ.rope]
+  ];
+  elements.energyTableBody.innerHTML = rows
+    .map(([label, kinetic, potential]) => `<tr>
+      <td>${label}</td>
+      <td>${fmt(kinetic, 3)}</td>
+      <td>${potential === null ? "(with table block)" : fmt(potential, 3)}</td>
+    </tr>`)
+    .join("");
+
+  const thermalRows = [
+    ...(full ? [] : [[state.cartEnabled ? "Rolling resistance" : "Friction", thermal.frictionJ]]),
+    ...(hasDrag() ? [["Air drag", thermal.dragJ]] : []),
+    [full ? "End stops" : "Landing and end stops", thermal.impactJ]
+  ];
+  elements.thermalTableBody.innerHTML = thermalRows
+    .map(([label, energyJ]) => `<tr><td>${label}</td><td>${fmt(energyJ, 3)}</td></tr>`)
+    .join("");
+
+  energyChart.setData([
+    { label: full ? "m₁" : state.cartEnabled ? "Cart" : "Block", values: [kineticJ.table, potentialJ.table, full ? null : thermal.frictionJ] },
+    ...(hasTrailingBlock() ? [{ label: "Trailing", values: [kineticJ.trailing, null, null] }] : []),
+    { label: full ? "m₂" : "Hanging", values: [kineticJ.hanging, potentialJ.hanging, hasDrag() ? thermal.dragJ : null] },
+    { label: pulleyLabel === "Pulley" ? "Pulley" : "Pulley, rope", values: [kineticJ.pulleyRope, potentialJ.rope, null] },
+    { label: "Impacts", values: [null, null, thermal.impactJ] },
+    { label: "System", values: [summary.deltaKineticJ, summary.deltaPotentialJ, summary.thermalJ] }
+  ]);
+
+  const off = summary.residualPercent > 1 && Math.abs(summary.residualJ) > 0.001;
+  elements.energyCheck.classList.toggle("warn", off);
+  elements.energyCheck.textContent = `ΔK + ΔU + E_thermal = ${fmt(summary.deltaKineticJ, 3)} + ${fmt(summary.deltaPotentialJ, 3)} `
+    + `+ ${fmt(summary.thermalJ, 3)} = ${fmt(summary.residualJ, 3)} J`
+    + (off
+      ? `, ${fmt(summary.residualPercent, 1)}% of the largest term, so the check is off.`
+      : ". Energy is conserved to within the stepper's accuracy.");
+}
+
+/**
+ * @returns {boolean} Whether the practice panels match the scene: one block on a level table, with no
+ *   air drag since the expected diagrams have no drag arrow.
+ */
+function fbdPracticeAvailable() {
+  return state.machineMode === "half" && !hasTrailingBlock() && state.inclineAngleDeg === 0 && !hasDrag();
+}
+
+/**
+ * Practice diagrams are checked against the forces acting at this moment,
+ * so pausing mid-run or after landing gives a different diagram to build.
+ * @param {ReturnType<typeof dynamicSolution>} dynamic
+ */
+function updateFbdPractice(dynamic) {
+  if (!fbdPracticeAvailable()) {
+    elements.fbdPracticeNote.textContent = "Practice covers one block on a level table without air drag. Switch to the half "
+      + "Atwood machine with one block, θ = 0° and both drag coefficients at 0 to check your diagrams.";
+    elements.fbdCheckBtn.disabled = true;
+    elements.fbdAnswerBtn.disabled = true;
+    return;
+  }
+
+  const landed = hangingMassLanded(state.displacementM);
+  const moment = state.running
+    ? "while the system moves"
+    : state.timeS === 0 ? "at the start of the run" : landed ? "now that the hanging mass has landed" : "at this paused moment";
+  elements.fbdPracticeNote.textContent = `Draw the forces ${moment}.`;
+  elements.fbdCheckBtn.disabled = false;
+  elements.fbdAnswerBtn.disabled = false;
+  fbdPractice.setExpected(expectedFreeBodyDiagrams(dynamic, {
+    massTableKg: state.massTableKg,
+    massHangingKg: state.massHangingKg,
+    gravity: state.gravityMps2,
+    hangingNormalN: landed ? state.massHangingKg * state.gravityMps2 : 0
+  }));
+}
+
+/**
+ * Which measurements each "Solve for" choice needs.
+ * @type {Readonly<Record<string, {accel: boolean, distanceTime: boolean}>>}
+ */
+const SOLVE_FIELDS = Object.freeze({
+  muKinetic: { accel: true, distanceTime: false },
+  hangingFromAccel: { accel: true, distanceTime: false },
+  minHanging: { accel: false, distanceTime: false },
+  maxMuStatic: { accel: false, distanceTime: false },
+  hangingFromTime: { accel: false, distanceTime: true }
+});
+
+function syncSolveFields() {
+  const fields = SOLVE_FIELDS[elements.solveFor.value] ?? SOLVE_FIELDS.muKinetic;
+  elements.solveAccelField.hidden = !fields.accel;
+  elements.solveDistanceField.hidden = !fields.distanceTime;
+  elements.solveTimeField.hidden = !fields.distanceTime;
 }
 
-function renderTrialTable() {
-  if (!elements.trialTableBody) {
-    return;
+/**
+ * @param {string} message
+ */
+function showSolveResult(message) {
+  elements.solveResult.textContent = message;
+  elements.applySolveBtn.disabled = state.solved === null;
+}
+
+/**
+ * Works backward from a measurement to the one unknown, taking everything
+ * else from the current controls. Covers one block in the half machine;
+ * drag is left out because it makes the acceleration change during the run.
+ */
+function solveUnknown() {
+  readInputsIntoState();
+  state.solved = null;
+
+  if (state.machineMode !== "half" || hasTrailingBlock()) {
+    showSolveResult("Solve for works with one block in the half Atwood machine.");
+    return;
+  }
+
+  const input = {
+    massTableKg: state.massTableKg,
+    massHangingKg: state.massHangingKg,
+    ...tableFrictionInput(),
+    gravity: state.gravityMps2,
+    inclineAngleDeg: state.inclineAngleDeg,
+    ...pulleyRopeInput(0)
+  };
+  const muKey = state.cartEnabled ? "rollingResistanceCoefficient" : null;
+  const muName = state.cartEnabled ? "rolling resistance" : null;
+  const accel = Number(elements.solveAccel.value);
+  const choice = elements.solveFor.value;
+
+  /** @type {{key: "muKinetic"|"muStatic"|"rollingResistanceCoefficient"|"massHangingKg", value: number|null, text: (value: number) => string, none: string}} */
+  let solution;
+  if (choice === "muKinetic") {
+    solution = {
+      key: muKey ?? "muKinetic",
+      value: muKineticFromAcceleration(input, accel),
+      text: (value) => `${muName ?? "μₖ"} = ${fmt(value, 3)} gives a = ${fmt(accel)} m/s².`,
+      none: "No friction coefficient gives that acceleration: it is larger than a frictionless table allows."
+    };
+  } else if (choice === "hangingFromAccel") {
+    solution = {
+      key: "massHangingKg",
+      value: hangingMassFromAcceleration(input, accel),
+      text: (value) => `mₕ = ${fmt(value, 3)} kg gives a = ${fmt(accel)} m/s² from rest.`,
+      none: "No hanging mass gives that acceleration from rest. It must be below g and large enough to break static friction."
+    };
+  } else if (choice === "minHanging") {
+    solution = {
+      key: "massHangingKg",
+      value: minimumHangingMassToStart(input),
+      text: (value) => value === 0
+        ? "The ramp alone starts the block, so any hanging mass moves the system."
+        : `Any mₕ above ${fmt(value, 3)} kg starts the system; at exactly that mass static friction just holds.`,
+      none: "With zero gravity no hanging mass can start the system."
+    };
+  } else if (choice === "maxMuStatic") {
+    solution = {
+      key: muKey ?? "muStatic",
+      value: maximumMuStaticForMotion(input),
+      text: (value) => `Any ${muName ?? "μₛ"} below ${fmt(value, 3)} lets the system start; at exactly that value it just holds.`,
+      none: "Nothing pulls the block toward the pulley, so no friction coefficient lets it start that way."
+    };
+  } else {
+    const distanceM = Number(elements.solveDistance.value);
+    const timeS = Number(elements.solveTime.value);
+    solution = {
+      key: "massHangingKg",
+      value: hangingMassForTimeToDistance(input, distanceM, timeS),
+      text: (value) => `mₕ = ${fmt(value, 3)} kg covers ${fmt(distanceM)} m from rest in ${fmt(timeS)} s (a = ${fmt((2 * distanceM) / (timeS * timeS))} m/s²).`,
+      none: "No hanging mass covers that distance in that time from rest. Check that d and t are positive and the needed acceleration is below g."
+    };
+  }
+
+  if (solution.value === null || !Number.isFinite(solution.value)) {
+    showSolveResult(solution.none);
+    return;
+  }
+
+  const limits = NUMERIC_INPUT_LIMITS[solution.key];
+  const inRange = solution.value >= limits.min && solution.value <= limits.max;
+  const drag = hasDrag() ? " Air drag is left out." : "";
+  state.solved = inRange ? { key: solution.key, value: Number(solution.value.toFixed(3)) } : null;
+  showSolveResult(`${solution.text(solution.value)}${drag}${inRange ? "" : " That is outside the range of the controls."}`);
+}
+
+function applySolvedValue() {
+  if (!state.solved) {
+    return;
+  }
+
+  const { key, value } = state.solved;
+  /** @type {Partial<import("./halfAtwoodInputs.js").HalfAtwoodInputs>} */
+  const changes = { [key]: value };
+  if (key === "muKinetic") {
+    // Static friction can never be weaker than kinetic.
+    Object.assign(changes, { frictionEnabled: true, muStatic: Math.max(state.muStatic, value) });
+  } else if (key === "muStatic") {
+    Object.assign(changes, { frictionEnabled: true, muKinetic: Math.min(state.muKinetic, value) });
+  } else if (key === "rollingResistanceCoefficient") {
+    changes.frictionEnabled = true;
+  }
+
+  state.solved = null;
+  elements.applySolveBtn.disabled = true;
+  applyInputs(changes, "Applied the solved value. Press Start to check it.");
+}
+
+/** @type {Readonly<Record<import("./halfAtwoodProblems.js").ProblemKind, string>>} */
+const PROBLEM_ANSWER_LABELS = Object.freeze({
+  acceleration: "Acceleration a, m/s²",
+  tension: "Tension T, N",
+  time: "Time t, s",
+  moves: ""
+});
+
+function renderProblem() {
+  const problem = state.problem;
+  const numeric = problem !== null && problem.kind !== "moves";
+
+  elements.problemPrompt.textContent = problem
+    ? `Problem #${problem.seed}: ${problem.prompt}`
+    : "Press New problem for a packet-style question with random masses and friction.";
+  elements.problemNumberField.hidden = !numeric;
+  elements.problemOutcomeField.hidden = problem?.kind !== "moves";
+  elements.problemAnswerLabel.textContent = problem ? PROBLEM_ANSWER_LABELS[problem.kind] : "";
+  elements.checkProblemBtn.disabled = !problem;
+  elements.problemSolutionBtn.disabled = !problem;
+  elements.loadProblemBtn.disabled = !problem;
+
+  elements.problemSolution.innerHTML = "";
+  for (const step of problem?.solution ?? []) {
+    const item = document.createElement("li");
+    item.textContent = step;
+    elements.problemSolution.append(item);
+  }
+  elements.problemSolutionBtn.textContent = elements.problemSolution.hidden ? "Show solution" : "Hide solution";
+}
+
+function newProblem() {
+  const kind = elements.problemKind.value;
+  const seed = Math.floor(Math.random() * 1e6);
+  state.problem = generateProblem(seed, kind === "any" ? undefined : /** @type {import("./halfAtwoodProblems.js").ProblemKind} */ (kind));
+  elements.problemAnswer.value = "";
+  elements.problemOutcome.value = "";
+  elements.problemFeedback.textContent = "";
+  elements.problemFeedback.classList.remove("warn");
+  elements.problemSolution.hidden = true;
+  renderProblem();
+}
+
+function checkProblemAnswer() {
+  if (!state.problem) {
+    return;
+  }
+
+  const raw = state.problem.kind === "moves" ? elements.problemOutcome.value : elements.problemAnswer.value;
+  const result = checkAnswer(state.problem, raw);
+  elements.problemFeedback.textContent = result.message;
+  elements.problemFeedback.classList.toggle("warn", !result.correct);
+}
+
+function toggleProblemSolution() {
+  elements.problemSolution.hidden = !elements.problemSolution.hidden;
+  renderProblem();
+}
+
+/**
+ * Puts the problem's givens into the controls so the run can be checked
+ * against the answer.
+ */
+function loadProblem() {
+  if (!state.problem) {
+    return;
+  }
+
+  const distance = state.problem.kind === "time" ? ` Watch the time when the hanging mass has fallen ${state.problem.givens.distanceM} m.` : "";
+  applyInputs(problemInputs(state.problem), `Loaded problem #${state.problem.seed} into the simulation.${distance}`);
+}
+
+/** Display and measurement options that do not change the physics. */
+const PREDICTION_IGNORED_KEYS = Object.freeze([
+  "showForces",
+  "predictFirst",
+  "sensorNoise",
+  "sensorSampleRateHz",
+  "sensorJitterMs",
+  "sensorResolutionMm",
+  "sensorSeed"
+]);
+
+/**
+ * A prediction belongs to the settings it was made for; display-only
+ * options do not count.
+ * @returns {string}
+ */
+function predictionSettingsKey() {
+  return JSON.stringify(Object.fromEntries(Object.entries(currentInputs()).filter(([key]) => !PREDICTION_IGNORED_KEYS.includes(key))));
+}
+
+/**
+ * @returns {import("./halfAtwoodPrediction.js").StudentPrediction|null} The locked prediction, if it still matches the settings.
+ */
+function activePrediction() {
+  return state.prediction && state.prediction.settingsKey === predictionSettingsKey() ? state.prediction.value : null;
+}
+
+/**
+ * @returns {boolean} Whether Start is held back until the student predicts.
+ */
+function waitingForPrediction() {
+  return state.predictFirst && state.timeS === 0 && !state.running && !activePrediction();
+}
+
+/**
+ * @param {number|null} percent
+ * @returns {string}
+ */
+function describeError(percent) {
+  if (percent === null) {
+    return "no percent error against zero";
+  }
+  return `${fmt(percent, 1)}% error${percent <= CLOSE_PREDICTION_PERCENT ? ", close" : ""}`;
+}
+
+/**
+ * @param {ReturnType<typeof fromRestSolution>} rest
+ */
+function updatePredictionPanel(rest) {
+  elements.startBtn.disabled = waitingForPrediction();
+
+  const prediction = activePrediction();
+  if (!prediction) {
+    elements.predictionFeedback.textContent = state.prediction
+      ? "The settings changed since your prediction. Predict again for these settings."
+      : state.predictFirst ? "Lock in a prediction to enable Start." : "";
+    return;
+  }
+
+  const outcome = prediction.moves ? "moves" : "stays stuck";
+  if (state.running || state.timeS === 0) {
+    elements.predictionFeedback.textContent = `Locked in: a = ${fmt(prediction.accelerationMps2)} m/s², `
+      + `T = ${fmt(prediction.tensionN)} N, ${outcome}.`;
+    return;
+  }
+
+  const score = scorePrediction(prediction, rest);
+  elements.predictionFeedback.textContent = `a: you said ${fmt(prediction.accelerationMps2)}, from rest it is `
+    + `${fmt(rest.accelerationMps2)} m/s² (${describeError(score.accelerationErrorPercent)}). `
+    + `T: you said ${fmt(prediction.tensionN)}, it is ${fmt(rest.tensionN)} N (${describeError(score.tensionErrorPercent)}). `
+    + (score.movesCorrect ? `You were right that it ${outcome}.` : `You said it ${outcome}, but it ${rest.moved ? "moves" : "stays stuck"}.`);
+}
+
+function lockPrediction() {
+  readInputsIntoState();
+  const { prediction, error } = parsePrediction({
+    accelerationMps2: elements.predictAccel.value,
+    tensionN: elements.predictTension.value,
+    outcome: elements.predictOutcome.value
+  });
+
+  if (!prediction) {
+    setStatus(error ?? "Check your prediction.", "warn");
+    return;
+  }
+
+  state.prediction = { value: prediction, settingsKey: predictionSettingsKey() };
+  setStatus("Prediction locked in. Press Start to test it.");
+  updateReadouts();
+}
+
+function renderTrialTable() {
+  if (!elements.trialTableBody) {
+    return;
+  }
+
+  renderAnalysis();
+
+  if (!state.records.length) {
+    elements.trialTableBody.innerHTML = '<tr><td colspan="15">No trials yet.</td></tr>';
+    return;
+  }
+
+  elements.trialTableBody.innerHTML = state.records
+    .map((record) => {
+      return `<tr>
+        <td>${record.id}</td>
+        <td>${record.machineMode === "full" ? "Full" : "Half"}</td>
+        <td>${fmt(record.massTableKg, 2)}${typeof record.trailingMassKg === "number" ? ` + ${fmt(record.trailingMassKg, 2)}` : ""}</td>
+        <td>${fmt(record.massHangingKg, 2)}</td>
+        <td>${typeof record.rollingResistanceCoefficient === "number" ? `rr ${fmt(record.rollingResistanceCoefficient, 3)}` : fmt(record.muStatic, 2)}</td>
+        <td>${typeof record.rollingResistanceCoefficient === "number" ? `rr ${fmt(record.rollingResistanceCoefficient, 3)}` : fmt(record.muKinetic, 2)}</td>
+        <td>${fmt(record.gravityMps2, 2)}</td>
+        <td>${fmt(record.inclineAngleDeg, 0)}</td>
+        <td>${fmt(record.initialVelocityMps ?? 0, 2)}</td>
+        <td>${fmt(record.accel, 3)}</td>
+        <td>${fmt(record.tensionTable, 2)}${typeof record.tensionLink === "number" ? ` / ${fmt(record.tensionLink, 2)}` : ""}</td>
+        <td>${fmt(record.tensionHanging, 2)}</td>
+        <td>${record.moved ? "Moves" : "Stuck"}</td>
+        <td>${record.prediction ? predictionCell(record.prediction) : "--"}</td>
+        <td>${record.history ? `${fmt(record.history.timesS[record.history.timesS.length - 1], 2)} s, ${record.history.timesS.length} pts` : "--"}${typeof record.slideAfterLandingM === "number" ? `; slid ${fmt(record.slideAfterLandingM, 2)} m` : ""}${record.sensor ? `; seed ${record.sensor.seed}, a from v–t ${record.sensor.measuredAccelMps2 === null ? "--" : `${fmt(record.sensor.measuredAccelMps2, 3)} m/s²`}` : ""}</td>
+      </tr>`;
+    })
+    .join("");
+}
+
+/** @type {Readonly<Record<import("./halfAtwoodAnalysis.js").AxisTransform, string>>} */
+const TRANSFORM_LABELS = Object.freeze({
+  none: "As recorded",
+  inverse: "1/value",
+  square: "value²",
+  sqrt: "√value"
+});
+
+function buildAnalysisOptions() {
+  for (const select of [elements.analysisX, elements.analysisY]) {
+    select.innerHTML = "";
+    for (const [id, column] of Object.entries(ANALYSIS_COLUMNS)) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = column.unit ? `${column.label} (${column.unit})` : column.label;
+      select.append(option);
+    }
+  }
+
+  for (const select of [elements.analysisXTransform, elements.analysisYTransform]) {
+    select.innerHTML = "";
+    for (const id of Object.keys(AXIS_TRANSFORMS)) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = TRANSFORM_LABELS[/** @type {import("./halfAtwoodAnalysis.js").AxisTransform} */ (id)];
+      select.append(option);
+    }
+  }
+
+  elements.analysisX.value = "massFraction";
+  elements.analysisY.value = "accel";
+}
+
+/**
+ * Replots the recorded trials with the chosen axes. Called whenever the
+ * trial list changes.
+ */
+function renderAnalysis() {
+  const axes = {
+    x: elements.analysisX.value,
+    y: elements.analysisY.value,
+    xTransform: /** @type {import("./halfAtwoodAnalysis.js").AxisTransform} */ (elements.analysisXTransform.value),
+    yTransform: /** @type {import("./halfAtwoodAnalysis.js").AxisTransform} */ (elements.analysisYTransform.value)
+  };
+  const data = analysisData(state.records, axes);
+
+  analysisGraph.setData({
+    points: data.points,
+    fit: data.fit,
+    xLabel: axisTitle(data.x),
+    yLabel: axisTitle(data.y)
+  });
+
+  const lines = state.records.length ? interpretFit(data.fit, axes) : [];
+  if (data.skipped) {
+    lines.push(`${data.skipped} trial${data.skipped === 1 ? "" : "s"} left out: no value for this pair of axes.`);
+  }
+  if (new Set(state.records.map((record) => record.gravityMps2)).size > 1) {
+    lines.push("These trials use different values of g, so points from different planets will not share one line.");
   }
 
-  if (!state.records.length) {
-    elements.trialTableBody.innerHTML = '<tr><td colspan="7">No trials yet.</td></tr>';
-    return;
+  elements.analysisReadout.innerHTML = "";
+  for (const line of lines) {
+    const item = document.createElement("li");
+    item.textContent = line;
+    elements.analysisReadout.append(item);
   }
+}
 
-  elements.trialTableBody.innerHTML = state.records
-    .map((record) => {
-      return `<tr>
-        <td>${record.id}</td>
-        <td>${fmt(record.massTableKg, 2)}</td>
-        <td>${fmt(record.massHangingKg, 2)}</td>
-        <td>${fmt(record.mu, 2)}</td>
-        <td>${fmt(record.accel, 3)}</td>
-        <td>${fmt(record.tension, 2)}</td>
-        <td>${record.moved ? "Moves" : "Stuck"}</td>
-      </tr>`;
-    })
-    .join("");
+/**
+ * @param {import("./halfAtwoodPrediction.js").PredictionScore} score
+ * @returns {string}
+ */
+function predictionCell(score) {
+  const percent = (value) => (value === null ? "n/a" : `${fmt(value, 0)}%`);
+  return `a ${percent(score.accelerationErrorPercent)}, T ${percent(score.tensionErrorPercent)}, ${score.movesCorrect ? "✓" : "✗"}`;
 }
 
 /**
@@ -216,19 +1598,36 @@ function arrowScale(value) {
 }
 
 /**
+ * The table pivots about its pulley edge when tilted, so a steep ramp gets a
+ * shorter visible track to keep its far end on the canvas. A trailing block
+ * makes both blocks narrower and starts the front one further along. The
+ * scale keeps the floor on screen; only a very short canvas lands the
+ * hanging mass earlier than the floor height asks for.
  * @param {number} width
  * @param {number} height
+ * @param {number} inclineRad
+ * @param {boolean} trailingBlock
+ * @param {number} floorHeightM
  */
-function getLayout(width, height) {
+function getLayout(width, height, inclineRad, trailingBlock, floorHeightM) {
   const tableTopY = height * 0.34;
-  const trackStartX = Math.max(42, width * 0.04);
   const edgeX = width * 0.78;
   const pulleyRadius = Math.max(28, Math.min(38, width * 0.038));
   const pulleyX = edgeX + pulleyRadius + 4;
   const pulleyY = tableTopY + pulleyRadius;
-  const blockW = Math.max(112, Math.min(146, width * 0.125));
+  const blockW = trailingBlock
+    ? Math.max(84, Math.min(110, width * 0.095))
+    : Math.max(112, Math.min(146, width * 0.125));
+  const linkGapPx = trailingBlock ? 34 : 0;
+  const chainPx = trailingBlock ? 2 * blockW + linkGapPx : blockW;
+  const levelTrackPx = edgeX - Math.max(42, width * 0.04);
+  const tiltSin = Math.abs(Math.sin(inclineRad));
+  const trackPx = tiltSin > 1e-6
+    ? clamp((height * 0.22) / tiltSin, chainPx + 150, levelTrackPx)
+    : levelTrackPx;
+  const trackStartX = edgeX - trackPx;
   const blockH = Math.max(54, Math.min(72, height * 0.13));
-  const blockBaseX = trackStartX + 24;
+  const blockBaseX = trackStartX + 24 + chainPx - blockW;
   const hangingW = Math.max(74, Math.min(100, width * 0.085));
   const hangingH = Math.max(70, Math.min(94, height * 0.16));
   const rightTangentY = pulleyY;
@@ -241,13 +1640,17 @@ function getLayout(width, height) {
 
   const availableHorizontalPx = Math.max(40, maxBlockX - blockBaseX);
   const availableVerticalPx = Math.max(40, maxHangingY - hangingStartY);
-  const availableTravelPx = Math.min(availableHorizontalPx, availableVerticalPx);
-  const ppm = clamp(availableTravelPx / 2.1, 90, 220);
+  const ppm = clamp(Math.min(availableHorizontalPx / 2.1, availableVerticalPx / floorHeightM), 90, 220);
 
   const travelMinM = 0;
-  const travelMaxM = Math.max(0.2, Math.min((maxBlockX - blockBaseX) / ppm, (maxHangingY - hangingStartY) / ppm));
+  const travelMaxM = Math.max(0.2, (maxBlockX - blockBaseX) / ppm);
+  const floorDropM = Math.min(floorHeightM, availableVerticalPx / ppm);
+  const floorY = hangingStartY + hangingH + floorDropM * ppm;
 
   return {
+    inclineRad,
+    trailingBlock,
+    linkGapPx,
     tableTopY,
     trackStartX,
     edgeX,
@@ -262,7 +1665,9 @@ function getLayout(width, height) {
     hangingStartY,
     ppm,
     travelMinM,
-    travelMaxM
+    travelMaxM,
+    floorDropM,
+    floorY
   };
 }
 
@@ -316,8 +1721,9 @@ function drawForceLabel(x, y, subscript, color) {
  * w:number,
  * h:number,
  * title:string,
- * vectors:Array<{dx:number,dy:number,color:string,sub:string,magnitudeN:number}>,
- * isDark:boolean
+ * vectors:Array<{dx:number,dy:number,color:string,sub:string,magnitudeN:number,dashed?:boolean}>,
+ * isDark:boolean,
+ * tiltRad?:number
  * }} panel
  */
 function drawFbdPanel(panel) {
@@ -343,10 +1749,14 @@ function drawFbdPanel(panel) {
   ctx.fillStyle = panel.isDark ? "#9aaabd" : "#d3e9f2";
   ctx.strokeStyle = panel.isDark ? "#d6deea" : "#4c5f72";
   ctx.lineWidth = 2;
+  ctx.save();
+  ctx.translate(cx, cy);
+  ctx.rotate(-(panel.tiltRad ?? 0));
   ctx.beginPath();
-  ctx.roundRect(cx - 18, cy - 18, 36, 36, 6);
+  ctx.roundRect(-18, -18, 36, 36, 6);
   ctx.fill();
   ctx.stroke();
+  ctx.restore();
 
   for (const vector of panel.vectors) {
     if (Math.abs(vector.magnitudeN) < 1e-6) {
@@ -356,7 +1766,9 @@ function drawFbdPanel(panel) {
     const mag = Math.max(12, length);
     const toX = cx + vector.dx * mag;
     const toY = cy + vector.dy * mag;
+    ctx.setLineDash(vector.dashed ? [5, 4] : []);
     drawArrow(cx, cy, toX, toY, vector.color);
+    ctx.setLineDash([]);
     drawForceLabel(toX + 6, toY - 2, vector.sub, textColor);
   }
 }
@@ -374,54 +1786,79 @@ function resizeCanvas() {
   ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
 }
 
-function renderScene() {
-  resizeCanvas();
-
-  const width = elements.simCanvas.clientWidth;
-  const height = elements.simCanvas.clientHeight;
-  sceneLayout = getLayout(width, height);
-
-  state.displacementM = clamp(state.displacementM, sceneLayout.travelMinM, sceneLayout.travelMaxM);
-
-  const xPx = state.displacementM * sceneLayout.ppm;
-  const blockX = sceneLayout.blockBaseX + xPx;
-  const blockY = sceneLayout.tableTopY - sceneLayout.blockH;
-
-  const rightTangentX = sceneLayout.pulleyX + sceneLayout.pulleyRadius;
-  const hangX = rightTangentX - sceneLayout.hangingW / 2;
-  const hangY = sceneLayout.hangingStartY + xPx;
-  const isDark = document.documentElement.getAttribute("data-theme") === "dark";
-  const labelColor = isDark ? "#eef2f9" : "#123140";
+/**
+ * FBD arrows for one block on the table or ramp: normal, weight, string
+ * pulls along the surface (sign +1 toward the pulley), friction, and on a
+ * ramp the dashed weight components.
+ * @param {{massKg:number, normalN:number, frictionSignedN:number, frictionSub?:string, pulls:Array<{sign:number, sub:string, magnitudeN:number}>}} body
+ */
+function tableBlockVectors(body) {
+  const tilt = sceneLayout.inclineRad;
+  // Unit vectors in canvas space (y down): along the ramp toward the pulley, and out of its surface.
+  const alongX = Math.cos(tilt);
+  const alongY = -Math.sin(tilt);
+  const normalX = -Math.sin(tilt);
+  const normalY = -Math.cos(tilt);
+  const weightN = body.massKg * state.gravityMps2;
+  const frictionSign = body.frictionSignedN > 0 ? 1 : -1;
+  const downSlope = tilt > 0 ? -1 : 1;
+
+  return [
+    { dx: normalX, dy: normalY, color: "#25a3d8", sub: "N", magnitudeN: body.normalN },
+    { dx: 0, dy: 1, color: "#f28f54", sub: "g", magnitudeN: weightN },
+    ...body.pulls.map((pull) => ({
+      dx: pull.sign * alongX,
+      dy: pull.sign * alongY,
+      color: "#4b7f9d",
+      sub: pull.sub,
+      magnitudeN: pull.magnitudeN
+    })),
+    {
+      dx: frictionSign * alongX,
+      dy: frictionSign * alongY,
+      color: "#f3b340",
+      sub: body.frictionSub ?? "f",
+      magnitudeN: state.frictionEnabled ? Math.abs(body.frictionSignedN) : 0
+    },
+    ...(tilt === 0 ? [] : [
+      { dx: downSlope * alongX, dy: downSlope * alongY, color: "#f28f54", sub: "g∥", magnitudeN: weightN * Math.abs(Math.sin(tilt)), dashed: true },
+      { dx: -normalX, dy: -normalY, color: "#f28f54", sub: "g⊥", magnitudeN: weightN * Math.cos(tilt), dashed: true }
+    ])
+  ];
+}
 
-  ctx.clearRect(0, 0, width, height);
+/**
+ * Runs `draw` with the canvas rotated about the table's pulley edge, so
+ * anything drawn in level-table coordinates lands on the ramp.
+ * @param {() => void} draw
+ */
+function drawOnTable(draw) {
+  ctx.save();
+  ctx.translate(sceneLayout.edgeX, sceneLayout.tableTopY);
+  ctx.rotate(-sceneLayout.inclineRad);
+  ctx.translate(-sceneLayout.edgeX, -sceneLayout.tableTopY);
+  draw();
+  ctx.restore();
+}
 
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} isDark
+ */
+function drawSky(width, height, isDark) {
   const sky = ctx.createLinearGradient(0, 0, 0, height);
   sky.addColorStop(0, isDark ? "#1a202c" : "#f8fcff");
   sky.addColorStop(1, isDark ? "#0d1118" : "#eef6fb");
   ctx.fillStyle = sky;
   ctx.fillRect(0, 0, width, height);
+}
 
-  const tableGradient = ctx.createLinearGradient(0, sceneLayout.tableTopY + 8, 0, sceneLayout.tableTopY + 72);
-  tableGradient.addColorStop(0, isDark ? "#5a4b3b" : "#f2dbc0");
-  tableGradient.addColorStop(1, isDark ? "#443828" : "#e0c3a2");
-
-  ctx.fillStyle = tableGradient;
-  ctx.fillRect(sceneLayout.trackStartX - 30, sceneLayout.tableTopY + 8, sceneLayout.edgeX - sceneLayout.trackStartX + 35, 54);
-
-  ctx.strokeStyle = isDark ? "#9b7c58" : "#6b5540";
-  ctx.lineWidth = 3;
-  ctx.beginPath();
-  ctx.moveTo(sceneLayout.trackStartX - 15, sceneLayout.tableTopY + 8);
-  ctx.lineTo(sceneLayout.edgeX + 3, sceneLayout.tableTopY + 8);
-  ctx.stroke();
-
-  ctx.strokeStyle = isDark ? "#98a6b8" : "#5b7084";
-  ctx.lineWidth = 5;
-  ctx.beginPath();
-  ctx.moveTo(sceneLayout.edgeX + 2, sceneLayout.tableTopY - 86);
-  ctx.lineTo(sceneLayout.edgeX + 2, sceneLayout.tableTopY + 12);
-  ctx.stroke();
-
+/**
+ * Draws the pulley at the current layout position, turned to match the rope.
+ * @param {boolean} isDark
+ */
+function drawPulley(isDark) {
   ctx.save();
   ctx.translate(sceneLayout.pulleyX, sceneLayout.pulleyY);
   ctx.rotate((state.displacementM * sceneLayout.ppm) / (sceneLayout.pulleyRadius || 1));
@@ -448,6 +1885,254 @@ function renderScene() {
   ctx.arc(0, 0, 7, 0, Math.PI * 2);
   ctx.fill();
   ctx.restore();
+}
+
+/**
+ * Displacement and time, printed along the bottom of the canvas.
+ * @param {number} height
+ * @param {boolean} isDark
+ */
+function drawRunClock(height, isDark) {
+  ctx.font = "12px IBM Plex Sans";
+  ctx.fillStyle = isDark ? "#d8dfeb" : "#2b4b58";
+  ctx.fillText(`x = ${fmt(state.displacementM)} m`, 18, height - 20);
+  ctx.fillText(`t = ${fmt(state.timeS)} s`, 110, height - 20);
+}
+
+/**
+ * @param {number} positionM
+ * @returns {number} Gate x on the level track, before the table is tilted.
+ */
+function gateX(positionM) {
+  return sceneLayout.blockBaseX + sceneLayout.blockW + positionM * sceneLayout.ppm;
+}
+
+/**
+ * Photogate posts with their beams across the block's path.
+ * @param {boolean} isDark
+ */
+function drawPhotogates(isDark) {
+  drawOnTable(() => {
+    const topY = sceneLayout.tableTopY - sceneLayout.blockH - 22;
+    for (const gate of state.photogates) {
+      const x = gateX(gate.positionM);
+      const active = gate.id === state.draggingGateId;
+
+      ctx.strokeStyle = isDark ? "#aeb9c8" : "#5b7084";
+      ctx.lineWidth = active ? 4 : 3;
+      ctx.beginPath();
+      ctx.moveTo(x, sceneLayout.tableTopY + 8);
+      ctx.lineTo(x, topY);
+      ctx.stroke();
+
+      ctx.strokeStyle = "rgba(226, 74, 74, 0.7)";
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x, sceneLayout.tableTopY - 4);
+      ctx.lineTo(x, topY + 10);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      ctx.fillStyle = active ? "#e24a4a" : isDark ? "#d8dfeb" : "#2b4b58";
+      ctx.fillRect(x - 7, topY - 6, 14, 12);
+      ctx.font = "12px IBM Plex Sans";
+      ctx.fillText(`G${gate.id}`, x - 9, topY - 10);
+    }
+  });
+}
+
+/**
+ * @param {{x:number, y:number, w:number, h:number, label:string, isDark:boolean}} box
+ * @param {[string, string, string]} colors Gradient top, gradient bottom, outline.
+ */
+function drawMassBox(box, colors) {
+  const gradient = ctx.createLinearGradient(box.x, box.y, box.x, box.y + box.h);
+  gradient.addColorStop(0, colors[0]);
+  gradient.addColorStop(1, colors[1]);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(box.x, box.y, box.w, box.h);
+  ctx.strokeStyle = colors[2];
+  ctx.lineWidth = 2;
+  ctx.strokeRect(box.x, box.y, box.w, box.h);
+
+  ctx.font = "700 20px IBM Plex Sans";
+  ctx.fillStyle = box.isDark ? "#eef2f9" : "#123140";
+  ctx.fillText(box.label, box.x + box.w / 2 - 10, box.y + box.h / 2 + 5);
+}
+
+/**
+ * Two masses hanging either side of a ceiling pulley. Positive displacement
+ * lowers the right mass and raises the left one by the same amount.
+ * @param {number} width
+ * @param {number} height
+ */
+function getFullAtwoodLayout(width, height) {
+  const pulleyRadius = Math.max(30, Math.min(42, width * 0.04));
+  const pulleyX = width * 0.5;
+  const pulleyY = 34 + pulleyRadius;
+  const massW = Math.max(74, Math.min(100, width * 0.085));
+  const massH = Math.max(70, Math.min(94, height * 0.16));
+  const floorY = height - 24;
+  const highestTopY = pulleyY + pulleyRadius + 16;
+  const lowestTopY = floorY - massH;
+  const restTopY = (highestTopY + lowestTopY) / 2;
+  const travelPx = Math.max(40, lowestTopY - restTopY);
+  const ppm = clamp(travelPx / 1.4, 90, 220);
+  const travelMaxM = Math.max(0.2, travelPx / ppm);
+
+  return {
+    pulleyX,
+    pulleyY,
+    pulleyRadius,
+    massW,
+    massH,
+    floorY,
+    restTopY,
+    ppm,
+    travelMinM: -travelMaxM,
+    travelMaxM
+  };
+}
+
+/**
+ * @param {number} width
+ * @param {boolean} isDark
+ */
+function renderFullAtwoodScene(width, isDark) {
+  const xPx = state.displacementM * sceneLayout.ppm;
+  const leftRopeX = sceneLayout.pulleyX - sceneLayout.pulleyRadius;
+  const rightRopeX = sceneLayout.pulleyX + sceneLayout.pulleyRadius;
+  const leftTopY = sceneLayout.restTopY - xPx;
+  const rightTopY = sceneLayout.restTopY + xPx;
+
+  ctx.strokeStyle = isDark ? "#98a6b8" : "#5b7084";
+  ctx.lineWidth = 5;
+  ctx.beginPath();
+  ctx.moveTo(sceneLayout.pulleyX - 90, 14);
+  ctx.lineTo(sceneLayout.pulleyX + 90, 14);
+  ctx.moveTo(sceneLayout.pulleyX, 14);
+  ctx.lineTo(sceneLayout.pulleyX, sceneLayout.pulleyY);
+  ctx.stroke();
+
+  ctx.strokeStyle = isDark ? "#9b7c58" : "#6b5540";
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(sceneLayout.pulleyX - 220, sceneLayout.floorY);
+  ctx.lineTo(sceneLayout.pulleyX + 220, sceneLayout.floorY);
+  ctx.stroke();
+
+  drawPulley(isDark);
+
+  ctx.strokeStyle = isDark ? "#d6deea" : "#4c5f72";
+  ctx.lineWidth = 2.8;
+  ctx.beginPath();
+  ctx.moveTo(leftRopeX, leftTopY);
+  ctx.lineTo(leftRopeX, sceneLayout.pulleyY);
+  ctx.arc(sceneLayout.pulleyX, sceneLayout.pulleyY, sceneLayout.pulleyRadius, Math.PI, 0, false);
+  ctx.lineTo(rightRopeX, rightTopY);
+  ctx.stroke();
+
+  drawMassBox(
+    { x: leftRopeX - sceneLayout.massW / 2, y: leftTopY, w: sceneLayout.massW, h: sceneLayout.massH, label: "m₁", isDark },
+    ["#7cc4db", "#4f97b5", "#1a5b74"]
+  );
+  drawMassBox(
+    { x: rightRopeX - sceneLayout.massW / 2, y: rightTopY, w: sceneLayout.massW, h: sceneLayout.massH, label: "m₂", isDark },
+    ["#f5c885", "#d49840", "#7a4f12"]
+  );
+
+  if (state.showForces) {
+    const dynamic = dynamicSolution();
+    const panelW = 210;
+    const panelY = sceneLayout.restTopY - 20;
+
+    drawFbdPanel({
+      x: 14,
+      y: panelY,
+      w: panelW,
+      h: 132,
+      title: "FBD: Left Mass m₁",
+      isDark,
+      vectors: [
+        { dx: 0, dy: -1, color: "#4b7f9d", sub: "t", magnitudeN: dynamic.tensionTableN },
+        { dx: 0, dy: 1, color: "#f28f54", sub: "g", magnitudeN: state.massTableKg * state.gravityMps2 }
+      ]
+    });
+
+    drawFbdPanel({
+      x: width - panelW - 14,
+      y: panelY,
+      w: panelW,
+      h: 132,
+      title: "FBD: Right Mass m₂",
+      isDark,
+      vectors: [
+        { dx: 0, dy: -1, color: "#4b7f9d", sub: "t", magnitudeN: dynamic.tensionHangingN },
+        { dx: 0, dy: 1, color: "#f28f54", sub: "g", magnitudeN: state.massHangingKg * state.gravityMps2 }
+      ]
+    });
+  }
+}
+
+function renderScene() {
+  resizeCanvas();
+
+  const width = elements.simCanvas.clientWidth;
+  const height = elements.simCanvas.clientHeight;
+
+  if (state.machineMode === "full") {
+    const isDark = document.documentElement.getAttribute("data-theme") === "dark";
+    sceneLayout = getFullAtwoodLayout(width, height);
+    state.displacementM = clamp(state.displacementM, sceneLayout.travelMinM, sceneLayout.travelMaxM);
+    ctx.clearRect(0, 0, width, height);
+    drawSky(width, height, isDark);
+    renderFullAtwoodScene(width, isDark);
+    drawRunClock(height, isDark);
+    return;
+  }
+
+  sceneLayout = getLayout(width, height, (state.inclineAngleDeg * Math.PI) / 180, hasTrailingBlock(), state.floorHeightM);
+
+  state.displacementM = clamp(state.displacementM, sceneLayout.travelMinM, sceneLayout.travelMaxM);
+
+  const xPx = state.displacementM * sceneLayout.ppm;
+  const blockX = sceneLayout.blockBaseX + xPx;
+  const blockY = sceneLayout.tableTopY - sceneLayout.blockH;
+
+  const rightTangentX = sceneLayout.pulleyX + sceneLayout.pulleyRadius;
+  const hangX = rightTangentX - sceneLayout.hangingW / 2;
+  const hangY = sceneLayout.hangingStartY + Math.min(state.displacementM, sceneLayout.floorDropM) * sceneLayout.ppm;
+  const slackPx = Math.max(0, state.displacementM - sceneLayout.floorDropM) * sceneLayout.ppm;
+  const isDark = document.documentElement.getAttribute("data-theme") === "dark";
+
+  ctx.clearRect(0, 0, width, height);
+  drawSky(width, height, isDark);
+
+  const tableGradient = ctx.createLinearGradient(0, sceneLayout.tableTopY + 8, 0, sceneLayout.tableTopY + 72);
+  tableGradient.addColorStop(0, isDark ? "#5a4b3b" : "#f2dbc0");
+  tableGradient.addColorStop(1, isDark ? "#443828" : "#e0c3a2");
+
+  drawOnTable(() => {
+    ctx.fillStyle = tableGradient;
+    ctx.fillRect(sceneLayout.trackStartX - 30, sceneLayout.tableTopY + 8, sceneLayout.edgeX - sceneLayout.trackStartX + 35, 54);
+
+    ctx.strokeStyle = isDark ? "#9b7c58" : "#6b5540";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(sceneLayout.trackStartX - 15, sceneLayout.tableTopY + 8);
+    ctx.lineTo(sceneLayout.edgeX + 3, sceneLayout.tableTopY + 8);
+    ctx.stroke();
+  });
+
+  ctx.strokeStyle = isDark ? "#98a6b8" : "#5b7084";
+  ctx.lineWidth = 5;
+  ctx.beginPath();
+  ctx.moveTo(sceneLayout.edgeX + 2, sceneLayout.tableTopY - 86);
+  ctx.lineTo(sceneLayout.edgeX + 2, sceneLayout.tableTopY + 12);
+  ctx.stroke();
+
+  drawPulley(isDark);
 
   const blockAttachX = blockX + sceneLayout.blockW;
   const blockAttachY = sceneLayout.tableTopY;
@@ -456,11 +2141,31 @@ function renderScene() {
 
   ctx.strokeStyle = isDark ? "#d6deea" : "#4c5f72";
   ctx.lineWidth = 2.8;
+  drawOnTable(() => {
+    ctx.beginPath();
+    ctx.moveTo(blockAttachX, blockAttachY);
+    ctx.lineTo(topTangentX, topTangentY);
+    ctx.stroke();
+  });
   ctx.beginPath();
-  ctx.moveTo(blockAttachX, blockAttachY);
-  ctx.lineTo(topTangentX, topTangentY);
+  ctx.moveTo(topTangentX, topTangentY);
   ctx.arc(sceneLayout.pulleyX, sceneLayout.pulleyY, sceneLayout.pulleyRadius, -Math.PI / 2, 0, false);
-  ctx.lineTo(rightTangentX, hangY);
+  if (slackPx > 0) {
+    // The extra string paid out after landing bows sideways instead of pulling.
+    const bowPx = Math.min(40, slackPx * 0.6);
+    ctx.quadraticCurveTo(rightTangentX + bowPx, (sceneLayout.pulleyY + hangY) / 2, rightTangentX, hangY);
+  } else {
+    ctx.lineTo(rightTangentX, hangY);
+  }
+  ctx.stroke();
+
+  ctx.fillStyle = isDark ? "#2c3340" : "#d9e3ea";
+  ctx.fillRect(sceneLayout.edgeX + 8, sceneLayout.floorY, width - sceneLayout.edgeX - 8, height - sceneLayout.floorY);
+  ctx.strokeStyle = isDark ? "#98a6b8" : "#5b7084";
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(sceneLayout.edgeX + 8, sceneLayout.floorY);
+  ctx.lineTo(width, sceneLayout.floorY);
   ctx.stroke();
 
   // Pulley mount at the edge for clearer visual anchoring.
@@ -471,76 +2176,271 @@ function renderScene() {
   ctx.lineTo(sceneLayout.pulleyX - sceneLayout.pulleyRadius, sceneLayout.tableTopY);
   ctx.stroke();
 
-  const blockGradient = ctx.createLinearGradient(blockX, blockY, blockX, blockY + sceneLayout.blockH);
-  blockGradient.addColorStop(0, "#7cc4db");
-  blockGradient.addColorStop(1, "#4f97b5");
-  ctx.fillStyle = blockGradient;
-  ctx.fillRect(blockX, blockY, sceneLayout.blockW, sceneLayout.blockH);
-  ctx.strokeStyle = "#1a5b74";
-  ctx.lineWidth = 2;
-  ctx.strokeRect(blockX, blockY, sceneLayout.blockW, sceneLayout.blockH);
-
-  const hangingGradient = ctx.createLinearGradient(hangX, hangY, hangX, hangY + sceneLayout.hangingH);
-  hangingGradient.addColorStop(0, "#f5c885");
-  hangingGradient.addColorStop(1, "#d49840");
-  ctx.fillStyle = hangingGradient;
-  ctx.fillRect(hangX, hangY, sceneLayout.hangingW, sceneLayout.hangingH);
-  ctx.strokeStyle = "#7a4f12";
-  ctx.lineWidth = 2;
-  ctx.strokeRect(hangX, hangY, sceneLayout.hangingW, sceneLayout.hangingH);
+  drawPhotogates(isDark);
+
+  drawOnTable(() => {
+    drawMassBox(
+      { x: blockX, y: blockY, w: sceneLayout.blockW, h: sceneLayout.blockH, label: "mₜ", isDark },
+      ["#7cc4db", "#4f97b5", "#1a5b74"]
+    );
+
+    if (state.cartEnabled) {
+      const wheelRadius = 6;
+      ctx.fillStyle = isDark ? "#d6deea" : "#2e3d4c";
+      for (const wheelX of [blockX + sceneLayout.blockW * 0.22, blockX + sceneLayout.blockW * 0.78]) {
+        ctx.beginPath();
+        ctx.arc(wheelX, sceneLayout.tableTopY - wheelRadius, wheelRadius, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    if (sceneLayout.trailingBlock) {
+      const trailingX = blockX - sceneLayout.linkGapPx - sceneLayout.blockW;
+      const linkY = blockY + sceneLayout.blockH / 2;
+      ctx.strokeStyle = isDark ? "#d6deea" : "#4c5f72";
+      ctx.lineWidth = 2.8;
+      ctx.beginPath();
+      ctx.moveTo(trailingX + sceneLayout.blockW, linkY);
+      ctx.lineTo(blockX, linkY);
+      ctx.stroke();
+      drawMassBox(
+        { x: trailingX, y: blockY, w: sceneLayout.blockW, h: sceneLayout.blockH, label: "mₜ₂", isDark },
+        ["#a6d8b8", "#64a883", "#1f5a3a"]
+      );
+    }
+  });
+
+  drawMassBox(
+    { x: hangX, y: hangY, w: sceneLayout.hangingW, h: sceneLayout.hangingH, label: "mₕ", isDark },
+    ["#f5c885", "#d49840", "#7a4f12"]
+  );
+
+  const dynamic = dynamicSolution();
+
+  if (state.showForces) {
+    const lowerFbdY = sceneLayout.tableTopY + 96;
+    const blockTitle = sceneLayout.inclineRad === 0 ? "Table Block" : "Block on Ramp";
+    const hangingPanel = {
+      y: lowerFbdY,
+      h: 132,
+      title: "FBD: Hanging Mass",
+      isDark,
+      vectors: [
+        { dx: 0, dy: -1, color: "#4b7f9d", sub: "t", magnitudeN: dynamic.tensionHangingN },
+        { dx: 0, dy: 1, color: "#f28f54", sub: "g", magnitudeN: state.massHangingKg * state.gravityMps2 },
+        { dx: 0, dy: dynamic.dragForceN > 0 ? 1 : -1, color: "#9a7fd1", sub: "d", magnitudeN: dynamic.dragForceN },
+        {
+          dx: 0,
+          dy: -1,
+          color: "#25a3d8",
+          sub: "N",
+          magnitudeN: hangingMassLanded(state.displacementM) ? state.massHangingKg * state.gravityMps2 : 0
+        }
+      ]
+    };
+    const frontFrictionSub = state.cartEnabled ? "rr" : "f";
+
+    if (sceneLayout.trailingBlock) {
+      const panelW = 220;
+      const fbdGap = 10;
+      const [frontFrictionN, trailingFrictionN] = dynamic.blockFrictionsN;
+      const [frontNormalN, trailingNormalN] = dynamic.normalForcesN;
+
+      drawFbdPanel({
+        x: 14,
+        y: lowerFbdY,
+        w: panelW,
+        h: 150,
+        title: `FBD: Trailing ${blockTitle}`,
+        isDark,
+        tiltRad: sceneLayout.inclineRad,
+        vectors: tableBlockVectors({
+          massKg: state.trailingMassKg,
+          normalN: trailingNormalN,
+          frictionSignedN: trailingFrictionN,
+          pulls: [{ sign: 1, sub: "t2", magnitudeN: dynamic.tensionLinkN }]
+        })
+      });
+      drawFbdPanel({
+        x: 14 + panelW + fbdGap,
+        y: lowerFbdY,
+        w: panelW,
+        h: 150,
+        title: `FBD: Front ${blockTitle}`,
+        isDark,
+        tiltRad: sceneLayout.inclineRad,
+        vectors: tableBlockVectors({
+          massKg: state.massTableKg,
+          normalN: frontNormalN,
+          frictionSignedN: frontFrictionN,
+          frictionSub: frontFrictionSub,
+          pulls: [
+            { sign: 1, sub: "t1", magnitudeN: dynamic.tensionTableN },
+            { sign: -1, sub: "t2", magnitudeN: dynamic.tensionLinkN }
+          ]
+        })
+      });
+      drawFbdPanel({ ...hangingPanel, x: 14 + 2 * (panelW + fbdGap), w: panelW });
+    } else {
+      const tableFbdW = 260;
+
+      drawFbdPanel({
+        x: 14,
+        y: lowerFbdY,
+        w: tableFbdW,
+        h: 150,
+        title: `FBD: ${blockTitle}`,
+        isDark,
+        tiltRad: sceneLayout.inclineRad,
+        vectors: tableBlockVectors({
+          massKg: state.massTableKg,
+          normalN: dynamic.normalForceN,
+          frictionSignedN: dynamic.frictionSignedN,
+          frictionSub: frontFrictionSub,
+          pulls: [{ sign: 1, sub: "t", magnitudeN: dynamic.tensionTableN }]
+        })
+      });
+      drawFbdPanel({ ...hangingPanel, x: 14 + tableFbdW + 16, w: 240 });
+    }
+  }
+
+  drawRunClock(height, isDark);
+  if (state.inclineAngleDeg !== 0) {
+    ctx.fillText(`θ = ${fmt(state.inclineAngleDeg, 0)}°`, 200, height - 20);
+  }
+}
+
+/**
+ * Pointer position in the level-track frame, undoing the table tilt that
+ * drawOnTable() applies.
+ * @param {PointerEvent} event
+ * @returns {{x:number, y:number}}
+ */
+function trackPoint(event) {
+  const rect = elements.simCanvas.getBoundingClientRect();
+  const dx = event.clientX - rect.left - sceneLayout.edgeX;
+  const dy = event.clientY - rect.top - sceneLayout.tableTopY;
+  const cos = Math.cos(sceneLayout.inclineRad);
+  const sin = Math.sin(sceneLayout.inclineRad);
+  return {
+    x: sceneLayout.edgeX + dx * cos - dy * sin,
+    y: sceneLayout.tableTopY + dx * sin + dy * cos
+  };
+}
+
+/**
+ * @param {{x:number, y:number}} point
+ * @returns {import("./halfAtwoodInstruments.js").Photogate|undefined}
+ */
+function gateAtPoint(point) {
+  const topY = sceneLayout.tableTopY - sceneLayout.blockH - 34;
+  if (state.machineMode !== "half" || point.y < topY || point.y > sceneLayout.tableTopY + 12) {
+    return undefined;
+  }
+  return state.photogates.find((gate) => Math.abs(point.x - gateX(gate.positionM)) <= 10);
+}
+
+/**
+ * Gates snap to the centimetre and stay on the block's track.
+ * @param {number} x
+ * @returns {number}
+ */
+function gatePositionAt(x) {
+  const positionM = (x - sceneLayout.blockBaseX - sceneLayout.blockW) / sceneLayout.ppm;
+  return clamp(Math.round(positionM * 100) / 100, 0.01, Math.floor(sceneLayout.travelMaxM * 100) / 100);
+}
+
+function addPhotogate() {
+  if (state.photogates.length >= MAX_PHOTOGATES) {
+    return;
+  }
+
+  const furthestM = state.photogates.reduce((max, gate) => Math.max(max, gate.positionM), 0);
+  const positionM = gatePositionAt(gateX(state.photogates.length ? furthestM + 0.2 : 0.1));
+  state.photogates.push({ id: state.nextGateId, positionM });
+  state.nextGateId += 1;
+  renderInstruments();
+  renderScene();
+}
+
+function clearPhotogates() {
+  state.photogates = [];
+  state.nextGateId = 1;
+  state.gatePasses = [];
+  renderInstruments();
+  renderScene();
+}
+
+/**
+ * @param {PointerEvent} event
+ */
+function startGateDrag(event) {
+  const gate = gateAtPoint(trackPoint(event));
+  if (!gate) {
+    return;
+  }
+
+  elements.simCanvas.setPointerCapture(event.pointerId);
+  state.draggingGateId = gate.id;
+  renderScene();
+}
 
-  ctx.font = "700 20px IBM Plex Sans";
-  ctx.fillStyle = labelColor;
-  ctx.fillText("mₜ", blockX + sceneLayout.blockW / 2 - 10, blockY + sceneLayout.blockH / 2 + 5);
-  ctx.fillText("mₕ", hangX + sceneLayout.hangingW / 2 - 10, hangY + sceneLayout.hangingH / 2 + 5);
+/**
+ * @param {PointerEvent} event
+ */
+function moveGateDrag(event) {
+  const point = trackPoint(event);
+  const gate = state.photogates.find((entry) => entry.id === state.draggingGateId);
+  if (!gate) {
+    elements.simCanvas.style.cursor = gateAtPoint(point) ? "grab" : "";
+    return;
+  }
 
-  const dynamic = dynamicSolution();
+  gate.positionM = gatePositionAt(point.x);
+  // Earlier passes were logged at the old position.
+  state.gatePasses = state.gatePasses.filter((pass) => pass.gateId !== gate.id);
+  renderInstruments();
+  renderScene();
+}
 
-  if (state.showForces) {
-    const frictionMag = state.frictionEnabled ? dynamic.frictionMagnitudeN : 0;
-    const frictionDx = dynamic.frictionSignedN > 0 ? 1 : -1;
-    const lowerFbdY = sceneLayout.tableTopY + 96;
-    const tableFbdX = 14;
-    const tableFbdW = 260;
-    const hangingFbdW = 240;
-    const fbdGap = 16;
+function endGateDrag() {
+  if (state.draggingGateId === null) {
+    return;
+  }
 
-    drawFbdPanel({
-      x: tableFbdX,
-      y: lowerFbdY,
-      w: tableFbdW,
-      h: 150,
-      title: "FBD: Table Block",
-      isDark,
-      vectors: [
-        { dx: 0, dy: -1, color: "#25a3d8", sub: "N", magnitudeN: state.massTableKg * GRAVITY_MPS2 },
-        { dx: 0, dy: 1, color: "#f28f54", sub: "g", magnitudeN: state.massTableKg * GRAVITY_MPS2 },
-        { dx: 1, dy: 0, color: "#4b7f9d", sub: "t", magnitudeN: dynamic.tensionN },
-        { dx: frictionDx, dy: 0, color: "#f3b340", sub: "f", magnitudeN: frictionMag }
-      ]
-    });
+  state.draggingGateId = null;
+  renderScene();
+}
 
-    drawFbdPanel({
-      x: tableFbdX + tableFbdW + fbdGap,
-      y: lowerFbdY,
-      w: hangingFbdW,
-      h: 132,
-      title: "FBD: Hanging Mass",
-      isDark,
-      vectors: [
-        { dx: 0, dy: -1, color: "#4b7f9d", sub: "t", magnitudeN: dynamic.tensionN },
-        { dx: 0, dy: 1, color: "#f28f54", sub: "g", magnitudeN: state.massHangingKg * GRAVITY_MPS2 }
-      ]
-    });
+/**
+ * Notes the landing, photogate passes, the energy ledger and the history
+ * after every completed step. At the landing the automatic stopwatch
+ * reading is hand-timed from release.
+ * @param {{timeS:number, displacementM:number, velocityMps:number}} motion
+ */
+function trackStep(motion) {
+  if (state.lastStep && state.machineMode === "half") {
+    state.gatePasses.push(...detectGatePasses(state.photogates, state.lastStep, motion));
   }
+  if (state.lastStep && state.energyLedger) {
+    // The stepper holds the forces from the start of the step, so book them from there.
+    const before = state.lastStep;
+    const stoppedAtEnd = (motion.displacementM >= sceneLayout.travelMaxM && before.velocityMps > 0)
+      || (motion.displacementM <= sceneLayout.travelMinM && before.velocityMps < 0);
+    recordEnergyStep(state.energyLedger, energySystem(), before, motion, { ...dynamicSolution(before), stoppedAtEnd });
+  }
+  state.lastStep = { timeS: motion.timeS, displacementM: motion.displacementM, velocityMps: motion.velocityMps };
 
-  ctx.font = "12px IBM Plex Sans";
-  ctx.fillStyle = isDark ? "#d8dfeb" : "#2b4b58";
-  ctx.fillText(`x = ${fmt(state.displacementM)} m`, 18, height - 20);
-  ctx.fillText(`t = ${fmt(state.timeS)} s`, 110, height - 20);
+  if (!state.landing && hangingMassLanded(motion.displacementM)) {
+    state.landing = { speedMps: motion.velocityMps, timeS: motion.timeS };
+    state.stopwatchS = stopwatchReadingS(state.history.timesS[0] ?? 0, motion.timeS, stopwatchNoise(state.sensorSeed));
+  }
+  logSample(motion, SAMPLE_INTERVAL_S);
 }
 
 /**
+ * The physics runs on fixed steps in `advanceMotion`; each frame only feeds
+ * in the real elapsed time and draws wherever the stepper has got to.
  * @param {number} timestampMs
  */
 function animate(timestampMs) {
@@ -552,37 +2452,57 @@ function animate(timestampMs) {
     state.lastFrameMs = timestampMs;
   }
 
-  const dt = Math.min(0.035, (timestampMs - state.lastFrameMs) / 1000);
+  const frameS = Math.min(MAX_FRAME_S, (timestampMs - state.lastFrameMs) / 1000);
   state.lastFrameMs = timestampMs;
+  const frameStartS = state.timeS;
+
+  const result = advanceMotion(
+    {
+      timeS: state.timeS,
+      displacementM: state.displacementM,
+      velocityMps: state.velocityMps
+    },
+    dynamicSolution,
+    {
+      elapsedS: state.stepRemainderS + frameS,
+      minDisplacementM: sceneLayout.travelMinM,
+      maxDisplacementM: sceneLayout.travelMaxM,
+      slackString: slackString(),
+      onStep: trackStep
+    }
+  );
 
-  const dynamic = dynamicSolution();
+  state.timeS = result.motion.timeS;
+  state.displacementM = result.motion.displacementM;
+  state.velocityMps = result.motion.velocityMps;
+  state.stepRemainderS = result.remainderS;
+  tickStopwatch(state.timeS - frameStartS);
+
+  if (result.status !== "running") {
+    logSample(result.motion, 0);
+  }
 
-  if (dynamic.mode === "static_hold" && Math.abs(state.velocityMps) <= VELOCITY_EPSILON) {
-    state.velocityMps = 0;
+  if (result.status === "held" && state.landing && hangingMassLanded(state.displacementM)) {
     state.running = false;
-    setStatus("Static friction holds the system at rest under current settings.", "warn");
-  } else {
-    const previousDisplacement = state.displacementM;
-    state.velocityMps += dynamic.accelerationMps2 * dt;
-    state.displacementM += state.velocityMps * dt;
-    if (state.displacementM < sceneLayout.travelMinM) {
-      state.displacementM = sceneLayout.travelMinM;
-      if (state.velocityMps < 0) {
-        state.velocityMps = 0;
-      }
-    }
-    state.timeS += dt;
-
-    if (state.displacementM >= sceneLayout.travelMaxM) {
-      state.displacementM = clamp(state.displacementM, sceneLayout.travelMinM, sceneLayout.travelMaxM);
-      state.running = false;
-      state.velocityMps = 0;
-      if (Math.abs(state.displacementM - previousDisplacement) > 1e-4 || state.timeS > 0.05) {
-        setStatus("Motion reached a physical boundary. Press Reset for another run.", "warn");
-      } else {
-        setStatus("Simulation paused at limit. Press Reset to restart.", "warn");
-      }
-    }
+    state.slideAfterLandingM = state.displacementM - sceneLayout.floorDropM;
+    setStatus(
+      `The hanging mass landed at ${fmt(state.landing.speedMps)} m/s; the block slid `
+        + `${fmt(state.slideAfterLandingM)} m further on the slack string and stopped.`
+    );
+  } else if (result.status === "held") {
+    state.running = false;
+    setStatus(
+      state.machineMode === "full"
+        ? "The two masses balance, so the system stays at rest."
+        : "Static friction holds the system at rest under current settings.",
+      "warn"
+    );
+  } else if (result.status === "boundary" && state.landing && state.displacementM >= sceneLayout.travelMaxM) {
+    state.running = false;
+    setStatus("The block reached the pulley end of the table before friction could stop it. Press Reset for another run.", "warn");
+  } else if (result.status === "boundary") {
+    state.running = false;
+    setStatus("Motion reached a physical boundary. Press Reset for another run.", "warn");
   }
 
   updateReadouts();
@@ -598,24 +2518,61 @@ function startRun() {
     return;
   }
 
+  stopReplay();
+
+  if (waitingForPrediction()) {
+    setStatus("Lock in a prediction for these settings before you start.", "warn");
+    return;
+  }
+
   const rest = fromRestSolution();
   const dynamic = dynamicSolution();
 
   const atMaxAndPushingPositive = state.displacementM >= sceneLayout.travelMaxM - 1e-6 && dynamic.accelerationMps2 >= 0;
   const atMinAndPushingNegative = state.displacementM <= sceneLayout.travelMinM + 1e-6 && dynamic.accelerationMps2 <= 0;
-  if (atMaxAndPushingPositive || atMinAndPushingNegative) {
+  const stoppedAfterLanding = (state.landing !== null || hangingMassLanded(state.displacementM))
+    && Math.abs(state.velocityMps) <= VELOCITY_EPSILON;
+  if (atMaxAndPushingPositive || atMinAndPushingNegative || stoppedAfterLanding) {
     state.displacementM = 0;
     state.timeS = 0;
     state.velocityMps = state.initialVelocityMps;
+    state.landing = null;
+    state.slideAfterLandingM = null;
+  }
+
+  const pinnedAtStart = state.displacementM <= sceneLayout.travelMinM + 1e-6
+    && state.velocityMps <= VELOCITY_EPSILON
+    && dynamicSolution().accelerationMps2 < 0;
+  if (pinnedAtStart) {
+    setStatus("The ramp pulls the block back against its end stop. Give it an initial push toward the pulley.", "warn");
+    updateReadouts();
+    renderScene();
+    return;
   }
 
   if (Math.abs(state.velocityMps) <= VELOCITY_EPSILON && !rest.moved) {
-    setStatus("No motion starts from rest: drive force is not greater than friction.", "warn");
+    setStatus(
+      state.machineMode === "full"
+        ? "Equal masses balance, so nothing starts from rest. Try a small initial push."
+        : "No motion starts from rest: drive force does not exceed maximum static friction. Try a small initial push.",
+      "warn"
+    );
     updateReadouts();
     renderScene();
     return;
   }
 
+  if (state.timeS === 0) {
+    state.history = createRunHistory();
+    state.gatePasses = [];
+    state.stopwatchS = null;
+  }
+  if (state.timeS === 0 || !state.energyLedger) {
+    state.energyLedger = createEnergyLedger(energySystem(), state);
+  }
+  state.lastStep = { timeS: state.timeS, displacementM: state.displacementM, velocityMps: state.velocityMps };
+  logSample(state, 0);
+
   state.running = true;
   state.lastFrameMs = null;
   setStatus("Simulation running. Observe acceleration, tension, and friction direction.");
@@ -626,6 +2583,8 @@ function pauseRun() {
   state.running = false;
   state.lastFrameMs = null;
   setStatus("Paused. You can adjust parameters or resume.");
+  // The panel may be up to a sample behind the paused moment.
+  renderEnergy();
 }
 
 function resetRun() {
@@ -635,21 +2594,328 @@ function resetRun() {
   renderScene();
 }
 
-function recordTrial() {
+/**
+ * @returns {boolean} Whether there is a stopped or paused run to scrub through.
+ */
+function replayAvailable() {
+  return state.replay !== null || (!state.running && state.timeS > 0 && state.history.timesS.length > 1);
+}
+
+function syncReplayControls() {
+  const available = replayAvailable();
+  elements.replayPlayBtn.disabled = !available;
+  elements.replaySlider.disabled = !available;
+  elements.replayPlayBtn.textContent = state.replay?.playing ? "Pause replay" : "Replay";
+
+  if (!available) {
+    elements.replaySlider.max = "0";
+    elements.replaySlider.value = "0";
+    elements.replayTime.textContent = "Run the simulation, then scrub or replay it here.";
+    return;
+  }
+
+  const { timesS } = state.history;
+  const endS = timesS[timesS.length - 1];
+  elements.replaySlider.min = String(timesS[0]);
+  elements.replaySlider.max = String(endS);
+  elements.replaySlider.value = String(Math.min(state.timeS, endS));
+  elements.replayTime.textContent = `${fmt(Math.min(state.timeS, endS))} / ${fmt(endS)} s`;
+}
+
+/**
+ * Puts the run back at the moment it stopped, leaving replay.
+ */
+function stopReplay() {
+  if (!state.replay) {
+    return;
+  }
+
+  const { end } = state.replay;
+  state.timeS = end.timeS;
+  state.displacementM = end.displacementM;
+  state.velocityMps = end.velocityMps;
+  state.landing = end.landing;
+  state.slideAfterLandingM = end.slideAfterLandingM;
+  state.replay = null;
+}
+
+/**
+ * Shows the recorded run at `timeS`. The readouts, arrows and FBDs are
+ * worked out from the position and velocity, so they follow along; reaching
+ * the end of the recording leaves replay.
+ * @param {number} timeS
+ */
+function seekReplay(timeS) {
+  if (!state.replay) {
+    state.replay = {
+      playing: false,
+      lastFrameMs: null,
+      end: {
+        timeS: state.timeS,
+        displacementM: state.displacementM,
+        velocityMps: state.velocityMps,
+        landing: state.landing,
+        slideAfterLandingM: state.slideAfterLandingM
+      }
+    };
+  }
+
+  const { timesS } = state.history;
+  if (timeS >= timesS[timesS.length - 1]) {
+    stopReplay();
+  } else {
+    const { end } = state.replay;
+    const motion = motionAtTime(state.history, timeS);
+    state.timeS = motion.timeS;
+    state.displacementM = motion.displacementM;
+    state.velocityMps = motion.velocityMps;
+    state.landing = end.landing && motion.timeS >= end.landing.timeS ? end.landing : null;
+    state.slideAfterLandingM = null;
+  }
+
+  updateReadouts();
+  renderScene();
+}
+
+/**
+ * Plays from the scrubbed time, or from the start of the run if it is not
+ * being scrubbed, at the chosen slow-motion speed.
+ */
+function toggleReplay() {
+  if (state.replay?.playing) {
+    state.replay.playing = false;
+    syncReplayControls();
+    renderEnergy();
+    return;
+  }
+
+  if (!replayAvailable()) {
+    return;
+  }
+
+  if (!state.replay) {
+    seekReplay(state.history.timesS[0]);
+  }
+  const replay = /** @type {NonNullable<typeof state.replay>} */ (state.replay);
+  replay.playing = true;
+  replay.lastFrameMs = null;
+  syncReplayControls();
+  window.requestAnimationFrame(replayFrame);
+}
+
+/**
+ * @param {number} timestampMs
+ */
+function replayFrame(timestampMs) {
+  const replay = state.replay;
+  if (!replay || !replay.playing) {
+    return;
+  }
+
+  if (replay.lastFrameMs === null) {
+    replay.lastFrameMs = timestampMs;
+  }
+
+  const frameS = Math.min(MAX_FRAME_S, (timestampMs - replay.lastFrameMs) / 1000);
+  replay.lastFrameMs = timestampMs;
+  const frameStartS = state.timeS;
+  seekReplay(state.timeS + frameS * Number(elements.replaySpeed.value));
+  tickStopwatch(state.timeS - frameStartS);
+
+  if (state.replay?.playing) {
+    window.requestAnimationFrame(replayFrame);
+  }
+}
+
+/**
+ * @param {import("./halfAtwoodPrediction.js").StudentPrediction|null} prediction
+ * @returns {import("./state.js").HalfAtwoodTrialRecord}
+ */
+function buildTrialRecord(prediction) {
   const rest = fromRestSolution();
-  state.records.unshift({
+  const logged = state.history.timesS.length > 1;
+  const measured = state.sensorNoise && logged ? cloneRunHistory(measuredHistory()) : null;
+  const lastS = state.history.timesS[state.history.timesS.length - 1];
+  return {
     id: state.nextTrialId,
+    machineMode: state.machineMode,
     massTableKg: state.massTableKg,
     massHangingKg: state.massHangingKg,
-    mu: state.frictionEnabled ? state.mu : 0,
+    frictionEnabled: state.frictionEnabled,
+    muStatic: state.frictionEnabled ? state.muStatic : 0,
+    muKinetic: state.frictionEnabled ? state.muKinetic : 0,
+    pulleyInertiaKgM2: state.pulleyInertiaKgM2,
+    ropeMassPerLengthKgPerM: state.ropeMassPerLengthKgPerM,
+    gravityMps2: state.gravityMps2,
+    inclineAngleDeg: state.inclineAngleDeg,
+    trailingMassKg: hasTrailingBlock() ? state.trailingMassKg : null,
+    trailingMuStatic: state.frictionEnabled ? state.trailingMuStatic : 0,
+    trailingMuKinetic: state.frictionEnabled ? state.trailingMuKinetic : 0,
+    rollingResistanceCoefficient: state.machineMode === "half" && state.cartEnabled
+      ? (state.frictionEnabled ? state.rollingResistanceCoefficient : 0)
+      : null,
+    linearDragNsPerM: hasDrag() ? state.linearDragNsPerM : 0,
+    quadraticDragNs2PerM2: hasDrag() ? state.quadraticDragNs2PerM2 : 0,
+    floorHeightM: state.machineMode === "half" ? state.floorHeightM : null,
+    initialVelocityMps: state.initialVelocityMps,
     accel: rest.accelerationMps2,
-    tension: rest.tensionN,
-    moved: rest.moved
-  });
+    tensionTable: rest.tensionTableN,
+    tensionHanging: rest.tensionHangingN,
+    tensionLink: hasTrailingBlock() ? rest.tensionLinkN : null,
+    moved: rest.moved,
+    prediction: prediction ? scorePrediction(prediction, rest) : null,
+    slideAfterLandingM: state.machineMode === "half" ? state.slideAfterLandingM : null,
+    history: logged ? measured ?? cloneRunHistory(state.history) : null,
+    sensor: measured
+      ? { ...sensorSettings(), measuredAccelMps2: measuredAcceleration(measured, state.landing ? state.landing.timeS : lastS) }
+      : null,
+    timestampIso: new Date().toISOString()
+  };
+}
+
+function recordTrial() {
+  stopReplay();
+  const prediction = activePrediction();
+  const record = buildTrialRecord(prediction);
+  state.records.unshift(record);
   state.nextTrialId += 1;
+  if (record.sensor) {
+    nextSensorSeed();
+  }
+
+  // Each trial gets its own prediction.
+  state.prediction = null;
+  elements.predictAccel.value = "";
+  elements.predictTension.value = "";
+  elements.predictOutcome.value = "";
 
   renderTrialTable();
-  setStatus("Trial recorded in the table.");
+  updateReadouts();
+  setStatus(prediction ? "Trial and prediction recorded in the table." : "Trial recorded in the table.");
+  persistSession();
+}
+
+/**
+ * Plays a whole run from the start without drawing it, stepping the same
+ * way animate() does, so the recorded history matches a watched run.
+ */
+function simulateRun() {
+  resetMotion();
+  state.energyLedger = createEnergyLedger(energySystem(), state);
+  state.lastStep = { timeS: state.timeS, displacementM: state.displacementM, velocityMps: state.velocityMps };
+  logSample(state, 0);
+
+  const result = advanceMotion(
+    {
+      timeS: state.timeS,
+      displacementM: state.displacementM,
+      velocityMps: state.velocityMps
+    },
+    dynamicSolution,
+    {
+      elapsedS: SWEEP_RUN_LIMIT_S,
+      minDisplacementM: sceneLayout.travelMinM,
+      maxDisplacementM: sceneLayout.travelMaxM,
+      slackString: slackString(),
+      onStep: trackStep
+    }
+  );
+
+  state.timeS = result.motion.timeS;
+  state.displacementM = result.motion.displacementM;
+  state.velocityMps = result.motion.velocityMps;
+  logSample(result.motion, 0);
+
+  if (result.status === "held" && state.landing && hangingMassLanded(state.displacementM)) {
+    state.slideAfterLandingM = state.displacementM - sceneLayout.floorDropM;
+  }
+}
+
+function openSweepDialog() {
+  if (state.running) {
+    pauseRun();
+  }
+  readInputsIntoState();
+  elements.sweepError.textContent = "";
+  elements.sweepDialog.showModal();
+}
+
+/**
+ * Runs and records one trial per sweep value, then puts the controls back
+ * the way they were.
+ */
+function runSweep() {
+  const { sweep, error } = parseSweep({
+    variable: elements.sweepVariable.value,
+    from: elements.sweepFrom.value,
+    to: elements.sweepTo.value,
+    trials: elements.sweepTrials.value
+  }, { cartEnabled: state.cartEnabled });
+
+  if (!sweep) {
+    elements.sweepError.textContent = error;
+    return;
+  }
+
+  if (sweep.variable === "mu" && state.machineMode === "full") {
+    elements.sweepError.textContent = "Friction does not act in the full Atwood machine. Sweep a mass or v₀ instead.";
+    return;
+  }
+
+  const saved = currentInputs();
+  for (const value of sweep.values) {
+    Object.assign(state, sanitizeInputs(sweepChanges(sweep.variable, value, saved), saved));
+    simulateRun();
+    const record = buildTrialRecord(null);
+    if (sweep.variable === "initialVelocityMps") {
+      // The from-rest results ignore v₀, so record what each run actually did.
+      const lastS = state.history.timesS[state.history.timesS.length - 1];
+      const outcome = runOutcome(state.history, state.landing ? state.landing.timeS : lastS);
+      Object.assign(record, {
+        accel: outcome.accelerationMps2,
+        tensionTable: outcome.tensionTableN,
+        tensionHanging: outcome.tensionHangingN,
+        tensionLink: null,
+        moved: outcome.moved
+      });
+    }
+    state.records.unshift(record);
+    state.nextTrialId += 1;
+    if (record.sensor) {
+      nextSensorSeed();
+      saved.sensorSeed = state.sensorSeed;
+    }
+  }
+
+  Object.assign(state, saved);
+  resetMotion();
+  elements.sweepDialog.close();
+
+  const first = sweep.values[0];
+  const last = sweep.values[sweep.values.length - 1];
+  const unit = SWEEP_VARIABLES[sweep.variable].unit;
+  renderTrialTable();
+  updateReadouts();
+  renderScene();
+  setStatus(`Recorded ${sweep.values.length} trials sweeping ${SWEEP_VARIABLES[sweep.variable].label} from ${first} to ${last}${unit ? ` ${unit}` : ""}.`);
+  persistSession();
+}
+
+/**
+ * @param {"csv"|"json"} format
+ */
+function exportTrials(format) {
+  if (!state.records.length) {
+    setStatus("Record at least one trial before exporting.", "warn");
+    return;
+  }
+
+  if (format === "csv") {
+    exportHalfAtwoodTrialsCsv(state.records);
+  } else {
+    exportHalfAtwoodTrialsJson(state.records);
+  }
+  setStatus(`Exported ${state.records.length} trial(s) as ${format.toUpperCase()}.`);
 }
 
 function clearTrials() {
@@ -657,39 +2923,165 @@ function clearTrials() {
   state.nextTrialId = 1;
   renderTrialTable();
   setStatus("Trial table cleared.");
+  persistSession();
 }
 
 /**
- * @param {"baseline"|"packet"|"cliff"} preset
- */
-function applyPreset(preset) {
-  if (preset === "baseline") {
-    state.massTableKg = 2.5;
-    state.massHangingKg = 1.2;
-    state.frictionEnabled = false;
-    state.mu = 0.2;
-    state.initialVelocityMps = 0;
-    setStatus("Loaded frictionless baseline.");
-  } else if (preset === "packet") {
-    state.massTableKg = 2.5;
-    state.massHangingKg = 1.8;
-    state.frictionEnabled = true;
-    state.mu = 0.2;
-    state.initialVelocityMps = 0;
-    setStatus("Loaded packet-style friction scenario.");
-  } else {
-    state.massTableKg = 1000;
-    state.massHangingKg = 50;
-    state.frictionEnabled = false;
-    state.mu = 0.2;
-    state.initialVelocityMps = 0;
-    setStatus("Loaded car + rock analog (packet-style Atwood context).");
-  }
+ * @returns {import("./halfAtwoodPresets.js").ScenarioPreset[]}
+ */
+function allPresets() {
+  return [...BUILT_IN_PRESETS, ...state.customPresets];
+}
+
+/**
+ * Sets some inputs from outside the form (a preset, a problem, a solved
+ * value) and restarts the run with them.
+ * @param {Partial<import("./halfAtwoodInputs.js").HalfAtwoodInputs>} changes
+ * @param {string} message
+ */
+function applyInputs(changes, message) {
+  Object.assign(state, sanitizeInputs(changes, currentInputs()));
+  setStatus(message);
 
   resetMotion();
   syncInputsFromState();
   updateReadouts();
   renderScene();
+  persistSession();
+}
+
+/**
+ * @param {string} presetId
+ */
+function applyPreset(presetId) {
+  const preset = allPresets().find((item) => item.id === presetId);
+  if (!preset) {
+    return;
+  }
+
+  applyInputs(presetInputs(preset), preset.statusMessage ?? `Loaded preset: ${preset.label}.`);
+}
+
+function renderPresetControls() {
+  elements.presetButtons.innerHTML = "";
+  for (const preset of allPresets()) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "ghost";
+    button.dataset.preset = preset.id;
+    button.textContent = preset.label;
+    elements.presetButtons.append(button);
+  }
+
+  const selectedId = elements.customPresetSelect.value;
+  elements.customPresetSelect.innerHTML = "";
+  if (!state.customPresets.length) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.textContent = "No saved presets yet";
+    elements.customPresetSelect.append(option);
+  }
+  for (const preset of state.customPresets) {
+    const option = document.createElement("option");
+    option.value = preset.id;
+    option.textContent = preset.label;
+    elements.customPresetSelect.append(option);
+  }
+  if (state.customPresets.some((preset) => preset.id === selectedId)) {
+    elements.customPresetSelect.value = selectedId;
+  }
+
+  const hasCustom = state.customPresets.length > 0;
+  elements.updatePresetBtn.disabled = !hasCustom;
+  elements.deletePresetBtn.disabled = !hasCustom;
+  elements.exportPresetsBtn.disabled = !hasCustom;
+}
+
+/**
+ * @param {import("./halfAtwoodPresets.js").ScenarioPreset[]} presets
+ */
+function setCustomPresets(presets) {
+  state.customPresets = presets;
+  renderPresetControls();
+  if (!saveCustomPresets(window.localStorage, presets)) {
+    setStatus("Could not save presets in this browser. Export them to keep a copy.", "warn");
+  }
+}
+
+/**
+ * @returns {import("./halfAtwoodPresets.js").ScenarioPreset|null}
+ */
+function presetFromCurrentSettings() {
+  return normalizePreset({
+    ...currentInputs(),
+    label: elements.presetName.value,
+    statusMessage: elements.presetMessage.value
+  });
+}
+
+function saveCurrentAsPreset() {
+  readInputsIntoState();
+  const draft = presetFromCurrentSettings();
+  if (!draft) {
+    setStatus("Give the preset a name before saving.", "warn");
+    return;
+  }
+
+  const takenIds = allPresets().map((preset) => preset.id);
+  const preset = { ...draft, id: createPresetId(draft.label, takenIds) };
+  setCustomPresets([...state.customPresets, preset]);
+  elements.customPresetSelect.value = preset.id;
+  setStatus(`Saved preset "${preset.label}" to Quick Scenarios.`);
+}
+
+function updateSelectedPreset() {
+  const presetId = elements.customPresetSelect.value;
+  const index = state.customPresets.findIndex((preset) => preset.id === presetId);
+  readInputsIntoState();
+  const draft = presetFromCurrentSettings();
+  if (index < 0 || !draft) {
+    setStatus("Choose a saved preset and give it a name to update it.", "warn");
+    return;
+  }
+
+  const presets = [...state.customPresets];
+  presets[index] = { ...draft, id: presetId };
+  setCustomPresets(presets);
+  setStatus(`Updated preset "${draft.label}" with the current settings.`);
+}
+
+function deleteSelectedPreset() {
+  const preset = state.customPresets.find((item) => item.id === elements.customPresetSelect.value);
+  if (!preset || !window.confirm(`Delete preset "${preset.label}"?`)) {
+    return;
+  }
+
+  setCustomPresets(state.customPresets.filter((item) => item.id !== preset.id));
+  setStatus(`Deleted preset "${preset.label}".`);
+}
+
+function fillPresetFieldsFromSelection() {
+  const preset = state.customPresets.find((item) => item.id === elements.customPresetSelect.value);
+  if (!preset) {
+    return;
+  }
+
+  elements.presetName.value = preset.label;
+  elements.presetMessage.value = preset.statusMessage ?? "";
+}
+
+/**
+ * @param {File} file
+ */
+async function importPresetFile(file) {
+  try {
+    const { presets, rejected } = parsePresetLibrary(await file.text());
+    setCustomPresets(mergePresets(state.customPresets, presets));
+    const skipped = rejected ? ` Skipped ${rejected} invalid entr${rejected === 1 ? "y" : "ies"}.` : "";
+    setStatus(`Imported ${presets.length} preset(s).${skipped}`, rejected ? "warn" : "default");
+  } catch (error) {
+    setStatus(error instanceof Error ? error.message : "Could not read that preset file.", "warn");
+  }
 }
 
 /**
@@ -697,6 +3089,7 @@ function applyPreset(preset) {
  */
 function setTab(tab) {
   const discoveryActive = tab === "discovery";
+  state.activeTab = tab;
 
   elements.discoveryTabBtn.classList.toggle("active", discoveryActive);
   elements.theoryTabBtn.classList.toggle("active", !discoveryActive);
@@ -706,29 +3099,69 @@ function setTab(tab) {
 
   elements.discoveryTab.classList.toggle("active", discoveryActive);
   elements.theoryTab.classList.toggle("active", !discoveryActive);
+  persistSession();
 }
 
 function bindEvents() {
-  const refreshFromInputs = () => {
+  /**
+   * Sliders fire `input` on every tick, so the session is only saved on the
+   * `change` that ends the edit.
+   * @param {Event} event
+   */
+  const refreshFromInputs = (event) => {
+    stopReplay();
     const wasRunning = state.running;
+    const previousMode = state.machineMode;
     state.running = false;
     readInputsIntoState();
-    if (!wasRunning) {
+    // The ledger's starting energies belong to the old settings.
+    state.energyLedger = null;
+    if (state.machineMode !== previousMode) {
+      resetMotion();
+    } else if (!wasRunning) {
       state.velocityMps = state.initialVelocityMps;
       state.timeS = 0;
       state.displacementM = 0;
+      state.landing = null;
+      state.slideAfterLandingM = null;
     }
     updateReadouts();
     renderScene();
+    if (event.type === "change") {
+      persistSession();
+    }
   };
 
   const inputIds = [
+    "machineMode",
     "massTable",
     "massHanging",
     "initialVelocity",
     "frictionEnabled",
-    "mu",
-    "showForces"
+    "muStatic",
+    "muKinetic",
+    "pulleyInertia",
+    "pulleyRadius",
+    "ropeDensity",
+    "gravitySelect",
+    "gravityCustom",
+    "inclineAngle",
+    "trailingBlockEnabled",
+    "trailingMass",
+    "trailingMuStatic",
+    "trailingMuKinetic",
+    "cartEnabled",
+    "rollingResistance",
+    "linearDrag",
+    "quadraticDrag",
+    "floorHeight",
+    "showForces",
+    "predictFirst",
+    "sensorNoise",
+    "sensorSampleRate",
+    "sensorJitter",
+    "sensorResolution",
+    "sensorSeed"
   ];
 
   for (const id of inputIds) {
@@ -753,7 +3186,62 @@ function bindEvents() {
     recordTrial();
   });
 
+  elements.lockPredictionBtn.addEventListener("click", lockPrediction);
+
+  elements.replayPlayBtn.addEventListener("click", toggleReplay);
+  elements.replaySlider.addEventListener("input", () => {
+    if (state.replay) {
+      state.replay.playing = false;
+    }
+    seekReplay(Number(elements.replaySlider.value));
+  });
+
+  elements.addGateBtn.addEventListener("click", addPhotogate);
+  elements.clearGatesBtn.addEventListener("click", clearPhotogates);
+  elements.stopwatchToggleBtn.addEventListener("click", toggleStopwatch);
+  elements.stopwatchResetBtn.addEventListener("click", resetStopwatch);
+  elements.simCanvas.addEventListener("pointerdown", startGateDrag);
+  elements.simCanvas.addEventListener("pointermove", moveGateDrag);
+  elements.simCanvas.addEventListener("pointerup", endGateDrag);
+  elements.simCanvas.addEventListener("pointercancel", endGateDrag);
+
+  elements.fbdCheckBtn.addEventListener("click", () => fbdPractice.check());
+  elements.fbdUndoBtn.addEventListener("click", () => fbdPractice.undo());
+  elements.fbdClearBtn.addEventListener("click", () => {
+    fbdPractice.clear();
+    elements.fbdAnswerBtn.textContent = "Show answer";
+  });
+  elements.fbdAnswerBtn.addEventListener("click", () => {
+    fbdPractice.toggleAnswer();
+    elements.fbdAnswerBtn.textContent = fbdPractice.showAnswer ? "Hide answer" : "Show answer";
+  });
+
+  elements.solveFor.addEventListener("change", () => {
+    syncSolveFields();
+    state.solved = null;
+    showSolveResult("");
+  });
+  elements.solveBtn.addEventListener("click", solveUnknown);
+  elements.applySolveBtn.addEventListener("click", applySolvedValue);
+
+  elements.newProblemBtn.addEventListener("click", newProblem);
+  elements.checkProblemBtn.addEventListener("click", checkProblemAnswer);
+  elements.problemAnswer.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      checkProblemAnswer();
+    }
+  });
+  elements.problemSolutionBtn.addEventListener("click", toggleProblemSolution);
+  elements.loadProblemBtn.addEventListener("click", loadProblem);
+
   elements.clearBtn.addEventListener("click", clearTrials);
+  elements.startFreshBtn.addEventListener("click", startFresh);
+  elements.sweepBtn.addEventListener("click", openSweepDialog);
+  elements.runSweepBtn.addEventListener("click", runSweep);
+  elements.cancelSweepBtn.addEventListener("click", () => elements.sweepDialog.close());
+  elements.copyLinkBtn.addEventListener("click", copyScenarioLink);
+  elements.exportCsvBtn.addEventListener("click", () => exportTrials("csv"));
+  elements.exportJsonBtn.addEventListener("click", () => exportTrials("json"));
   elements.themeToggle.addEventListener("click", () => {
     const current = document.documentElement.getAttribute("data-theme") === "dark" ? "dark" : "light";
     const next = current === "dark" ? "light" : "dark";
@@ -762,15 +3250,30 @@ function bindEvents() {
     renderScene();
   });
 
-  document.querySelectorAll("[data-preset]").forEach((button) => {
-    button.addEventListener("click", () => {
-      const preset = button.getAttribute("data-preset");
-      if (preset === "baseline" || preset === "packet" || preset === "cliff") {
-        applyPreset(preset);
-      }
-    });
+  elements.presetButtons.addEventListener("click", (event) => {
+    const button = /** @type {HTMLElement} */ (event.target).closest("[data-preset]");
+    if (button) {
+      applyPreset(button.getAttribute("data-preset") ?? "");
+    }
   });
 
+  elements.savePresetBtn.addEventListener("click", saveCurrentAsPreset);
+  elements.updatePresetBtn.addEventListener("click", updateSelectedPreset);
+  elements.deletePresetBtn.addEventListener("click", deleteSelectedPreset);
+  elements.customPresetSelect.addEventListener("change", fillPresetFieldsFromSelection);
+  elements.exportPresetsBtn.addEventListener("click", () => exportHalfAtwoodPresetsJson(state.customPresets));
+  elements.importPresetsInput.addEventListener("change", () => {
+    const file = elements.importPresetsInput.files?.[0];
+    if (file) {
+      importPresetFile(file);
+    }
+    elements.importPresetsInput.value = "";
+  });
+
+  for (const select of [elements.analysisX, elements.analysisXTransform, elements.analysisY, elements.analysisYTransform]) {
+    select.addEventListener("change", renderAnalysis);
+  }
+
   elements.discoveryTabBtn.addEventListener("click", () => setTab("discovery"));
   elements.theoryTabBtn.addEventListener("click", () => setTab("theory"));
 
@@ -779,15 +3282,48 @@ function bindEvents() {
   });
 }
 
+function buildGravityOptions() {
+  elements.gravitySelect.innerHTML = "";
+
+  for (const option of GRAVITY_OPTIONS) {
+    const element = document.createElement("option");
+    element.value = option.id;
+    element.textContent = option.label;
+    elements.gravitySelect.append(element);
+  }
+
+  const custom = document.createElement("option");
+  custom.value = "custom";
+  custom.textContent = "Custom";
+  elements.gravitySelect.append(custom);
+}
+
 function init() {
   initTheme();
+  buildGravityOptions();
+  buildAnalysisOptions();
+  state.customPresets = loadCustomPresets(window.localStorage);
+  const restored = restoreSession();
+  const linked = applyLinkParams();
   syncInputsFromState();
   resetMotion();
   bindEvents();
+  renderPresetControls();
+  fillPresetFieldsFromSelection();
+  setTab(state.activeTab);
   renderTrialTable();
+  syncSolveFields();
+  renderProblem();
   updateReadouts();
   renderScene();
-  setStatus("Ready. Use presets for quick discovery runs, then record trials.");
+  if (linked) {
+    setStatus("Loaded the scenario from your link.");
+    persistSession();
+  } else if (restored) {
+    setStatus("Restored your previous session. Use Start fresh to clear it.");
+  } else {
+    setStatus("Ready. Use presets for quick discovery runs, then record trials.");
+  }
 }
 
 init();
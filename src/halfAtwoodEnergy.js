@@ -0,0 +1,319 @@
+/**
+ * Everything the energy bookkeeping needs to know about the machine. In
+ * "full" mode the table slots hold the left mass and the rope starts split
+ * over the pulley; `floorDropM` is infinite there since nothing lands.
+ * @typedef {Object} EnergySystem
+ * @property {"half"|"full"} machineMode
+ * @property {number} massTableKg
+ * @property {number} trailingMassKg 0 without a trailing block.
+ * @property {number} massHangingKg
+ * @property {number} gravityMps2
+ * @property {number} inclineAngleDeg
+ * @property {number} pulleyInertiaKgM2
+ * @property {number} pulleyRadiusM
+ * @property {number} ropeMassPerLengthKgPerM
+ * @property {number} ropeTableLengthM Rope on the table (left side in full mode) at the start.
+ * @property {number} ropeHangingLengthM Rope below the pulley (right side in full mode) at the start.
+ * @property {number} floorDropM How far the hanging mass falls before it lands.
+ */
+
+/**
+ * @typedef {Object} EnergyParts
+ * @property {{table:number, trailing:number, hanging:number, pulleyRope:number}} kineticJ
+ * @property {{table:number, hanging:number, rope:number}} potentialJ Relative to the start position.
+ */
+
+/**
+ * @typedef {Object} ThermalTotals
+ * @property {number} frictionJ
+ * @property {number} dragJ
+ * @property {number} impactJ Kinetic energy lost when the hanging mass lands, the string jerks taut again or the block hits an end stop.
+ */
+
+/**
+ * Energy moved out of the machine so far, as thermal energy, with the
+ * running totals after every step so a replay can look them up.
+ * @typedef {ThermalTotals & {start: EnergyParts, steps: Array<ThermalTotals & {timeS: number}>}} EnergyLedger
+ */
+
+/**
+ * @typedef {Object} EnergySummary
+ * @property {EnergyParts} now
+ * @property {ThermalTotals} thermal
+ * @property {number} deltaKineticJ
+ * @property {number} deltaPotentialJ
+ * @property {number} thermalJ
+ * @property {number} residualJ ΔK + ΔU + E_thermal, zero when energy is conserved.
+ * @property {number} residualPercent Residual as a percent of the largest term, 0 before anything moves.
+ */
+
+/**
+ * @param {EnergySystem} system
+ * @param {number} displacementM
+ * @returns {boolean}
+ */
+function landed(system, displacementM) {
+  return system.machineMode === "half" && displacementM >= system.floorDropM;
+}
+
+/**
+ * @param {EnergySystem} system
+ * @returns {number}
+ */
+function pulleyEquivalentKg(system) {
+  return system.pulleyInertiaKgM2 > 0 && system.pulleyRadiusM > 0
+    ? system.pulleyInertiaKgM2 / (system.pulleyRadiusM * system.pulleyRadiusM)
+    : 0;
+}
+
+/**
+ * Rope lengths either side of the pulley once the hanging side has moved
+ * `movedM`, clamped at zero like the force model.
+ * @param {EnergySystem} system
+ * @param {number} movedM
+ */
+function ropeLengths(system, movedM) {
+  return {
+    tableM: Math.max(0, system.ropeTableLengthM - movedM),
+    hangingM: Math.max(0, system.ropeHangingLengthM + movedM)
+  };
+}
+
+/**
+ * Potential energy of every part that the force model gives weight to,
+ * with the pulley top as the zero for the rope. After landing the hanging
+ * side and the rope stop moving, so they are frozen at the floor.
+ * @param {EnergySystem} system
+ * @param {number} displacementM
+ * @returns {{table:number, hanging:number, rope:number}}
+ */
+function potentialAt(system, displacementM) {
+  const g = system.gravityMps2;
+  const density = system.ropeMassPerLengthKgPerM;
+
+  if (system.machineMode === "full") {
+    const rope = ropeLengths(system, displacementM);
+    return {
+      table: system.massTableKg * g * displacementM,
+      hanging: -system.massHangingKg * g * displacementM,
+      rope: -density * g * (rope.tableM * rope.tableM + rope.hangingM * rope.hangingM) / 2
+    };
+  }
+
+  const sin = Math.sin((system.inclineAngleDeg * Math.PI) / 180);
+  const hangingM = Math.min(displacementM, system.floorDropM);
+  const rope = ropeLengths(system, hangingM);
+  return {
+    table: (system.massTableKg + system.trailingMassKg) * g * sin * displacementM,
+    hanging: -system.massHangingKg * g * hangingM,
+    rope: -density * g * (rope.hangingM * rope.hangingM + sin * rope.tableM * rope.tableM) / 2
+  };
+}
+
+/**
+ * Mass that moves with the string, with the pulley as its equivalent I/R².
+ * Once the hanging mass lands only the blocks keep moving.
+ * @param {EnergySystem} system
+ * @param {number} displacementM
+ * @returns {number}
+ */
+function movingMassKg(system, displacementM) {
+  return landed(system, displacementM)
+    ? system.massTableKg + system.trailingMassKg
+    : tautMassKg(system, displacementM);
+}
+
+/**
+ * @param {EnergySystem} system
+ * @param {number} displacementM
+ * @returns {number}
+ */
+function tautMassKg(system, displacementM) {
+  const rope = ropeLengths(system, displacementM);
+  return system.massTableKg + system.trailingMassKg + system.massHangingKg + pulleyEquivalentKg(system)
+    + system.ropeMassPerLengthKgPerM * (rope.tableM + rope.hangingM);
+}
+
+/**
+ * Share of the block's velocity left when it slides back to the landing
+ * point and jerks the slack string taut. The jerk is perfectly inelastic:
+ * the blocks' momentum is shared with the resting hanging mass, the pulley
+ * and the rope.
+ * @param {EnergySystem} system
+ * @returns {number}
+ */
+export function retensionVelocityRatio(system) {
+  return (system.massTableKg + system.trailingMassKg) / tautMassKg(system, system.floorDropM);
+}
+
+/**
+ * Kinetic energy of each body and potential energy relative to the start.
+ * @param {EnergySystem} system
+ * @param {{displacementM:number, velocityMps:number}} motion
+ * @returns {EnergyParts}
+ */
+export function energyParts(system, motion) {
+  const vSq = motion.velocityMps * motion.velocityMps;
+  const down = landed(system, motion.displacementM);
+  const rope = ropeLengths(system, motion.displacementM);
+  const zero = potentialAt(system, 0);
+  const potential = potentialAt(system, motion.displacementM);
+
+  return {
+    kineticJ: {
+      table: 0.5 * system.massTableKg * vSq,
+      trailing: 0.5 * system.trailingMassKg * vSq,
+      hanging: down ? 0 : 0.5 * system.massHangingKg * vSq,
+      pulleyRope: down
+        ? 0
+        : 0.5 * (pulleyEquivalentKg(system) + system.ropeMassPerLengthKgPerM * (rope.tableM + rope.hangingM)) * vSq
+    },
+    potentialJ: {
+      table: potential.table - zero.table,
+      hanging: potential.hanging - zero.hanging,
+      rope: potential.rope - zero.rope
+    }
+  };
+}
+
+/**
+ * @param {EnergySystem} system
+ * @param {{displacementM:number, velocityMps:number}} motion The state the run starts from.
+ * @returns {EnergyLedger}
+ */
+export function createEnergyLedger(system, motion) {
+  return { start: energyParts(system, motion), frictionJ: 0, dragJ: 0, impactJ: 0, steps: [] };
+}
+
+/**
+ * Splits a step at the turning point when the velocity reverses within it,
+ * as the stepper does: out to where the block stops, then back.
+ * @param {{displacementM:number, velocityMps:number}} before
+ * @param {{displacementM:number, velocityMps:number}} after
+ * @param {number} accelerationMps2 Acceleration up to the turning point.
+ * @returns {{outM: number, backM: number}} Distances travelled before and after the turn.
+ */
+function stepLegs(before, after, accelerationMps2) {
+  const reverses = accelerationMps2 !== 0 && before.velocityMps * after.velocityMps < 0;
+  if (!reverses) {
+    return { outM: Math.abs(after.displacementM - before.displacementM), backM: 0 };
+  }
+
+  const turnM = before.displacementM - (before.velocityMps * before.velocityMps) / (2 * accelerationMps2);
+  return {
+    outM: Math.abs(turnM - before.displacementM),
+    backM: Math.abs(after.displacementM - turnM)
+  };
+}
+
+/**
+ * Books one stepper step. Friction and drag are held constant across a step
+ * just as the stepper holds the acceleration, so their heat is force times
+ * distance. A step that reverses is booked in two parts: sliding friction
+ * keeps its size after the turn while drag starts again from zero, so only
+ * friction acts on the way back. The kinetic energy lost when the hanging
+ * mass lands or the block slides back and jerks the slack string taut, or
+ * that the step would have carried past an end stop, is booked as impact
+ * heat.
+ * @param {EnergyLedger} ledger
+ * @param {EnergySystem} system
+ * @param {{timeS:number, displacementM:number, velocityMps:number}} before
+ * @param {{timeS:number, displacementM:number, velocityMps:number}} after
+ * @param {{accelerationMps2:number, frictionMagnitudeN:number, dragForceN?:number, stoppedAtEnd?:boolean}} step
+ *   Forces at the start of the step, and whether the stepper stopped the block at a travel limit.
+ */
+export function recordEnergyStep(ledger, system, before, after, step) {
+  const { outM, backM } = stepLegs(before, after, step.accelerationMps2);
+  ledger.frictionJ += Math.abs(step.frictionMagnitudeN) * (outM + backM);
+  ledger.dragJ += Math.abs(step.dragForceN ?? 0) * outM;
+
+  const landing = landed(system, after.displacementM) && !landed(system, before.displacementM);
+  const retension = landed(system, before.displacementM) && !landed(system, after.displacementM);
+  if (step.stoppedAtEnd) {
+    const freeSpeedSq = Math.max(
+      0,
+      before.velocityMps * before.velocityMps + 2 * step.accelerationMps2 * (after.displacementM - before.displacementM)
+    );
+    const lostJ = 0.5 * movingMassKg(system, before.displacementM) * freeSpeedSq
+      - 0.5 * movingMassKg(system, after.displacementM) * after.velocityMps * after.velocityMps;
+    ledger.impactJ += Math.max(0, lostJ);
+  } else if (landing || retension) {
+    // The stepper splits the step where the string goes slack or taut, so the loss is at the speed there.
+    const crossingSpeedSq = Math.max(
+      0,
+      before.velocityMps * before.velocityMps + 2 * step.accelerationMps2 * (system.floorDropM - before.displacementM)
+    );
+    const slackKg = system.massTableKg + system.trailingMassKg;
+    const tautKg = tautMassKg(system, system.floorDropM);
+    ledger.impactJ += landing
+      ? 0.5 * (tautKg - slackKg) * crossingSpeedSq
+      : 0.5 * slackKg * (1 - slackKg / tautKg) * crossingSpeedSq;
+  }
+
+  ledger.steps.push({ timeS: after.timeS, frictionJ: ledger.frictionJ, dragJ: ledger.dragJ, impactJ: ledger.impactJ });
+}
+
+/**
+ * Thermal energy booked by `timeS`: the totals after the last step that
+ * ended by then.
+ * @param {EnergyLedger} ledger
+ * @param {number} timeS
+ * @returns {ThermalTotals}
+ */
+function thermalBy(ledger, timeS) {
+  const { steps } = ledger;
+  if (!steps.length || timeS >= steps[steps.length - 1].timeS) {
+    return { frictionJ: ledger.frictionJ, dragJ: ledger.dragJ, impactJ: ledger.impactJ };
+  }
+
+  let low = -1;
+  let high = steps.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (steps[mid].timeS <= timeS + 1e-9) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return low < 0
+    ? { frictionJ: 0, dragJ: 0, impactJ: 0 }
+    : { frictionJ: steps[low].frictionJ, dragJ: steps[low].dragJ, impactJ: steps[low].impactJ };
+}
+
+/**
+ * @param {{[key: string]: number}} parts
+ * @returns {number}
+ */
+function sum(parts) {
+  return Object.values(parts).reduce((total, value) => total + value, 0);
+}
+
+/**
+ * The conservation check ΔK + ΔU + E_thermal = 0 at `motion`, which may be
+ * an earlier moment of the run when replaying it.
+ * @param {EnergyLedger} ledger
+ * @param {EnergySystem} system
+ * @param {{timeS:number, displacementM:number, velocityMps:number}} motion
+ * @returns {EnergySummary}
+ */
+export function energySummary(ledger, system, motion) {
+  const now = energyParts(system, motion);
+  const thermal = thermalBy(ledger, motion.timeS);
+  const deltaKineticJ = sum(now.kineticJ) - sum(ledger.start.kineticJ);
+  const deltaPotentialJ = sum(now.potentialJ) - sum(ledger.start.potentialJ);
+  const thermalJ = thermal.frictionJ + thermal.dragJ + thermal.impactJ;
+  const residualJ = deltaKineticJ + deltaPotentialJ + thermalJ;
+  const scaleJ = Math.max(Math.abs(deltaKineticJ), Math.abs(deltaPotentialJ), thermalJ);
+
+  return {
+    now,
+    thermal,
+    deltaKineticJ,
+    deltaPotentialJ,
+    thermalJ,
+    residualJ,
+    residualPercent: scaleJ > 1e-9 ? (Math.abs(residualJ) / scaleJ) * 100 : 0
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * @typedef {"weight"|"normal"|"tension"|"friction"} FbdForceKind
+ * @typedef {"up"|"down"|"left"|"right"} FbdDirection
+ */
+
+/**
+ * @typedef {Object} ExpectedArrow
+ * @property {FbdForceKind} kind
+ * @property {FbdDirection} direction
+ * @property {number} magnitudeN
+ */
+
+/**
+ * @typedef {Object} DrawnArrow
+ * @property {FbdForceKind} kind
+ * @property {FbdDirection} direction
+ * @property {number} lengthPx
+ */
+
+/** @type {Readonly<Record<FbdForceKind, string>>} */
+export const FBD_FORCE_LABELS = Object.freeze({
+  weight: "Weight",
+  normal: "Normal force",
+  tension: "Tension",
+  friction: "Friction"
+});
+
+/** Forces smaller than this are left off the expected diagram. */
+const NEGLIGIBLE_FORCE_N = 1e-6;
+/** Expected forces within this ratio of each other should be drawn about equal. */
+const EQUAL_FORCE_RATIO = 1.1;
+/** How far apart "about equal" arrows may be. */
+const EQUAL_LENGTH_TOLERANCE = 0.25;
+
+/**
+ * Snaps a drag on the canvas (y down) to the nearest of the four directions.
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {FbdDirection}
+ */
+export function snapDirection(dx, dy) {
+  if (Math.abs(dx) >= Math.abs(dy)) {
+    return dx >= 0 ? "right" : "left";
+  }
+  return dy >= 0 ? "down" : "up";
+}
+
+/**
+ * @param {ExpectedArrow[]} arrows
+ * @returns {ExpectedArrow[]}
+ */
+function withoutNegligible(arrows) {
+  return arrows.filter((arrow) => arrow.magnitudeN > NEGLIGIBLE_FORCE_N);
+}
+
+/**
+ * Correct diagrams for a single block on a level table and the hanging mass,
+ * with the pulley to the right. Built from the same solver output the force
+ * arrows use, so a held system shows static friction and a landed hanging
+ * mass shows the floor's normal force instead of tension.
+ * @param {{tensionTableN:number, tensionHangingN:number, frictionSignedN:number, normalForceN:number}} forces
+ * @param {{massTableKg:number, massHangingKg:number, gravity:number, hangingNormalN?:number}} bodies
+ * @returns {{table: ExpectedArrow[], hanging: ExpectedArrow[]}}
+ */
+export function expectedFreeBodyDiagrams(forces, bodies) {
+  return {
+    table: withoutNegligible([
+      { kind: "weight", direction: "down", magnitudeN: bodies.massTableKg * bodies.gravity },
+      { kind: "normal", direction: "up", magnitudeN: forces.normalForceN },
+      { kind: "tension", direction: "right", magnitudeN: forces.tensionTableN },
+      { kind: "friction", direction: forces.frictionSignedN > 0 ? "right" : "left", magnitudeN: Math.abs(forces.frictionSignedN) }
+    ]),
+    hanging: withoutNegligible([
+      { kind: "weight", direction: "down", magnitudeN: bodies.massHangingKg * bodies.gravity },
+      { kind: "tension", direction: "up", magnitudeN: forces.tensionHangingN },
+      { kind: "normal", direction: "up", magnitudeN: bodies.hangingNormalN ?? 0 }
+    ])
+  };
+}
+
+/**
+ * @param {ExpectedArrow} a
+ * @param {ExpectedArrow} b
+ * @param {DrawnArrow} drawnA
+ * @param {DrawnArrow} drawnB
+ * @returns {string|null} A hint when the drawn lengths do not match the expected comparison.
+ */
+function compareLengths(a, b, drawnA, drawnB) {
+  const expectedRatio = a.magnitudeN / b.magnitudeN;
+  const drawnRatio = drawnA.lengthPx / drawnB.lengthPx;
+  const labelA = FBD_FORCE_LABELS[a.kind];
+  const labelB = FBD_FORCE_LABELS[b.kind].toLowerCase();
+
+  if (expectedRatio > EQUAL_FORCE_RATIO) {
+    return drawnRatio > 1 ? null : `${labelA} should be longer than ${labelB}.`;
+  }
+  if (expectedRatio < 1 / EQUAL_FORCE_RATIO) {
+    return drawnRatio < 1 ? null : `${labelA} should be shorter than ${labelB}.`;
+  }
+  return Math.abs(drawnRatio - 1) <= EQUAL_LENGTH_TOLERANCE ? null : `${labelA} should be about as long as ${labelB}.`;
+}
+
+/**
+ * Checks one student diagram: every expected force drawn once, nothing
+ * extra, each pointing the right way, and lengths ordered like the real
+ * magnitudes. Relative length is only judged once every arrow is present
+ * and pointing the right way.
+ * @param {DrawnArrow[]} drawn
+ * @param {ExpectedArrow[]} expected
+ * @returns {{correct: boolean, feedback: string[]}}
+ */
+export function checkFreeBodyDiagram(drawn, expected) {
+  const feedback = [];
+
+  for (const arrow of expected) {
+    const matches = drawn.filter((item) => item.kind === arrow.kind);
+    const label = FBD_FORCE_LABELS[arrow.kind];
+    if (!matches.length) {
+      feedback.push(`${label} is missing.`);
+    } else if (matches.length > 1) {
+      feedback.push(`${label} is drawn more than once.`);
+    } else if (matches[0].direction !== arrow.direction) {
+      feedback.push(`${label} should point ${arrow.direction}.`);
+    }
+  }
+
+  for (const item of drawn) {
+    if (!expected.some((arrow) => arrow.kind === item.kind)) {
+      feedback.push(`${FBD_FORCE_LABELS[item.kind]} does not act on this body right now.`);
+    }
+  }
+
+  if (!feedback.length) {
+    for (let i = 0; i < expected.length; i += 1) {
+      for (let j = i + 1; j < expected.length; j += 1) {
+        const hint = compareLengths(
+          expected[i],
+          expected[j],
+          /** @type {DrawnArrow} */ (drawn.find((item) => item.kind === expected[i].kind)),
+          /** @type {DrawnArrow} */ (drawn.find((item) => item.kind === expected[j].kind))
+        );
+        if (hint) {
+          feedback.push(hint);
+        }
+      }
+    }
+  }
+
+  return { correct: feedback.length === 0, feedback };
+}
@@ -0,0 +1,304 @@
+import { checkFreeBodyDiagram, FBD_FORCE_LABELS, snapDirection } from "./halfAtwoodFbd.js";
+
+/**
+ * @typedef {import("./halfAtwoodFbd.js").DrawnArrow} DrawnArrow
+ * @typedef {import("./halfAtwoodFbd.js").ExpectedArrow} ExpectedArrow
+ * @typedef {import("./halfAtwoodFbd.js").FbdForceKind} FbdForceKind
+ * @typedef {"table"|"hanging"} FbdBody
+ */
+
+/** @type {Readonly<Record<import("./halfAtwoodFbd.js").FbdDirection, {dx:number, dy:number}>>} */
+const DIRECTION_VECTORS = Object.freeze({
+  up: { dx: 0, dy: -1 },
+  down: { dx: 0, dy: 1 },
+  left: { dx: -1, dy: 0 },
+  right: { dx: 1, dy: 0 }
+});
+
+/** @type {Readonly<Record<FbdForceKind, string>>} */
+const FORCE_COLORS = Object.freeze({
+  weight: "#f28f54",
+  normal: "#25a3d8",
+  tension: "#4b7f9d",
+  friction: "#f3b340"
+});
+
+const MIN_ARROW_PX = 14;
+const MAX_ARROW_PX = 110;
+const PANEL_TITLES = Object.freeze({ table: "Table Block", hanging: "Hanging Mass" });
+
+/**
+ * Blank FBD panels that students fill in by dragging arrows out of each
+ * body. The kind of the next arrow comes from `getKind`; one arrow per kind
+ * per body, so drawing a kind again replaces it.
+ */
+export class FbdPractice {
+  /**
+   * @param {{canvas: HTMLCanvasElement, feedback: HTMLElement, getKind: () => FbdForceKind}} options
+   */
+  constructor(options) {
+    this.canvas = options.canvas;
+    this.feedback = options.feedback;
+    this.getKind = options.getKind;
+    /** @type {Record<FbdBody, DrawnArrow[]>} */
+    this.drawn = { table: [], hanging: [] };
+    /** @type {Record<FbdBody, ExpectedArrow[]>} */
+    this.expected = { table: [], hanging: [] };
+    /** @type {Array<FbdBody>} */
+    this.order = [];
+    this.showAnswer = false;
+    /** @type {{body: FbdBody, x: number, y: number}|null} */
+    this.dragging = null;
+
+    this.canvas.addEventListener("pointerdown", (event) => this.onPointerDown(event));
+    this.canvas.addEventListener("pointermove", (event) => this.onPointerMove(event));
+    this.canvas.addEventListener("pointerup", (event) => this.onPointerUp(event));
+    this.canvas.addEventListener("pointercancel", () => {
+      this.dragging = null;
+      this.render();
+    });
+  }
+
+  /**
+   * @param {{table: ExpectedArrow[], hanging: ExpectedArrow[]}} expected
+   */
+  setExpected(expected) {
+    this.expected = expected;
+    this.render();
+  }
+
+  clear() {
+    this.drawn = { table: [], hanging: [] };
+    this.order = [];
+    this.showAnswer = false;
+    this.feedback.textContent = "";
+    this.render();
+  }
+
+  undo() {
+    const body = this.order.pop();
+    if (body) {
+      this.drawn[body].pop();
+    }
+    this.render();
+  }
+
+  toggleAnswer() {
+    this.showAnswer = !this.showAnswer;
+    this.render();
+  }
+
+  /**
+   * @returns {boolean} Whether both diagrams are correct.
+   */
+  check() {
+    const table = checkFreeBodyDiagram(this.drawn.table, this.expected.table);
+    const hanging = checkFreeBodyDiagram(this.drawn.hanging, this.expected.hanging);
+
+    if (table.correct && hanging.correct) {
+      this.feedback.textContent = "Both diagrams are correct: every force is there, pointing the right way, with sensible lengths.";
+    } else {
+      this.feedback.textContent = [
+        ...table.feedback.map((line) => `Table block: ${line}`),
+        ...hanging.feedback.map((line) => `Hanging mass: ${line}`)
+      ].join(" ");
+    }
+
+    return table.correct && hanging.correct;
+  }
+
+  /**
+   * Panel rectangles and body centers in CSS pixels.
+   */
+  layout() {
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    const gap = 16;
+    const panelW = (width - gap * 3) / 2;
+
+    /** @type {Record<FbdBody, {x:number, y:number, w:number, h:number, cx:number, cy:number}>} */
+    const panels = {
+      table: { x: gap, y: 10, w: panelW, h: height - 20, cx: gap + panelW / 2, cy: height / 2 + 8 },
+      hanging: { x: gap * 2 + panelW, y: 10, w: panelW, h: height - 20, cx: gap * 2 + panelW * 1.5, cy: height / 2 + 8 }
+    };
+    return { width, height, panels };
+  }
+
+  /**
+   * @param {PointerEvent} event
+   * @returns {{x:number, y:number}}
+   */
+  pointerPosition(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  onPointerDown(event) {
+    const { x, y } = this.pointerPosition(event);
+    const { panels } = this.layout();
+    const body = /** @type {FbdBody[]} */ (["table", "hanging"]).find((key) => {
+      const panel = panels[key];
+      return x >= panel.x && x <= panel.x + panel.w && y >= panel.y && y <= panel.y + panel.h;
+    });
+
+    if (!body) {
+      return;
+    }
+
+    this.canvas.setPointerCapture(event.pointerId);
+    this.dragging = { body, x, y };
+    this.render();
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  onPointerMove(event) {
+    if (!this.dragging) {
+      return;
+    }
+
+    const { x, y } = this.pointerPosition(event);
+    this.dragging = { ...this.dragging, x, y };
+    this.render();
+  }
+
+  /**
+   * Arrows always start at the body's center, so only the release point
+   * matters: its offset sets the snapped direction and the length.
+   * @param {PointerEvent} event
+   */
+  onPointerUp(event) {
+    if (!this.dragging) {
+      return;
+    }
+
+    const { body } = this.dragging;
+    const { x, y } = this.pointerPosition(event);
+    const panel = this.layout().panels[body];
+    const dx = x - panel.cx;
+    const dy = y - panel.cy;
+    this.dragging = null;
+
+    const lengthPx = Math.min(MAX_ARROW_PX, Math.hypot(dx, dy));
+    if (lengthPx >= MIN_ARROW_PX) {
+      const kind = this.getKind();
+      const index = this.drawn[body].findIndex((arrow) => arrow.kind === kind);
+      const arrow = { kind, direction: snapDirection(dx, dy), lengthPx };
+      if (index >= 0) {
+        this.drawn[body][index] = arrow;
+      } else {
+        this.drawn[body].push(arrow);
+        this.order.push(body);
+      }
+    }
+
+    this.render();
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} fromX
+   * @param {number} fromY
+   * @param {number} toX
+   * @param {number} toY
+   * @param {string} color
+   */
+  drawArrow(ctx, fromX, fromY, toX, toY, color) {
+    const angle = Math.atan2(toY - fromY, toX - fromX);
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(fromX, fromY);
+    ctx.lineTo(toX, toY);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(toX, toY);
+    ctx.lineTo(toX - 10 * Math.cos(angle - 0.4), toY - 10 * Math.sin(angle - 0.4));
+    ctx.lineTo(toX - 10 * Math.cos(angle + 0.4), toY - 10 * Math.sin(angle + 0.4));
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  render() {
+    const ctx = this.canvas.getContext("2d");
+    if (!ctx) {
+      return;
+    }
+
+    const ratio = window.devicePixelRatio || 1;
+    const { width, height, panels } = this.layout();
+    if (this.canvas.width !== Math.floor(width * ratio) || this.canvas.height !== Math.floor(height * ratio)) {
+      this.canvas.width = Math.floor(width * ratio);
+      this.canvas.height = Math.floor(height * ratio);
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    const isDark = document.documentElement.getAttribute("data-theme") === "dark";
+    const textColor = isDark ? "#eef2f9" : "#123140";
+    ctx.clearRect(0, 0, width, height);
+
+    for (const body of /** @type {FbdBody[]} */ (["table", "hanging"])) {
+      const panel = panels[body];
+      ctx.fillStyle = isDark ? "rgba(27,35,48,0.9)" : "rgba(247,252,255,0.95)";
+      ctx.strokeStyle = isDark ? "rgba(229,204,143,0.28)" : "rgba(94,128,142,0.35)";
+      ctx.lineWidth = 1.6;
+      ctx.beginPath();
+      ctx.roundRect(panel.x, panel.y, panel.w, panel.h, 10);
+      ctx.fill();
+      ctx.stroke();
+
+      ctx.fillStyle = textColor;
+      ctx.font = "700 15px IBM Plex Sans";
+      ctx.fillText(`FBD: ${PANEL_TITLES[body]}`, panel.x + 10, panel.y + 22);
+
+      ctx.fillStyle = isDark ? "#9aaabd" : "#d3e9f2";
+      ctx.strokeStyle = isDark ? "#d6deea" : "#4c5f72";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.roundRect(panel.cx - 18, panel.cy - 18, 36, 36, 6);
+      ctx.fill();
+      ctx.stroke();
+
+      if (this.showAnswer) {
+        const largestN = Math.max(...this.expected[body].map((arrow) => arrow.magnitudeN), 1e-9);
+        ctx.setLineDash([5, 4]);
+        for (const arrow of this.expected[body]) {
+          const vector = DIRECTION_VECTORS[arrow.direction];
+          const lengthPx = MIN_ARROW_PX + (MAX_ARROW_PX - MIN_ARROW_PX) * (arrow.magnitudeN / largestN) * 0.8;
+          const toX = panel.cx + vector.dx * lengthPx;
+          const toY = panel.cy + vector.dy * lengthPx;
+          this.drawArrow(ctx, panel.cx, panel.cy, toX, toY, textColor);
+          ctx.fillStyle = textColor;
+          ctx.font = "italic 12px IBM Plex Sans";
+          ctx.fillText(FBD_FORCE_LABELS[arrow.kind], toX + 6, toY + 14);
+        }
+        ctx.setLineDash([]);
+      }
+
+      for (const arrow of this.drawn[body]) {
+        const vector = DIRECTION_VECTORS[arrow.direction];
+        const toX = panel.cx + vector.dx * arrow.lengthPx;
+        const toY = panel.cy + vector.dy * arrow.lengthPx;
+        this.drawArrow(ctx, panel.cx, panel.cy, toX, toY, FORCE_COLORS[arrow.kind]);
+        ctx.fillStyle = textColor;
+        ctx.font = "600 13px IBM Plex Sans";
+        ctx.fillText(FBD_FORCE_LABELS[arrow.kind], toX + 6, toY - 4);
+      }
+
+      if (this.dragging && this.dragging.body === body) {
+        const dx = this.dragging.x - panel.cx;
+        const dy = this.dragging.y - panel.cy;
+        const vector = DIRECTION_VECTORS[snapDirection(dx, dy)];
+        const lengthPx = Math.min(MAX_ARROW_PX, Math.hypot(dx, dy));
+        ctx.globalAlpha = 0.5;
+        this.drawArrow(ctx, panel.cx, panel.cy, panel.cx + vector.dx * lengthPx, panel.cy + vector.dy * lengthPx, FORCE_COLORS[this.getKind()]);
+        ctx.globalAlpha = 1;
+      }
+    }
+  }
+}
@@ -0,0 +1,116 @@
+import { TimeSeriesGraph } from "./graphs.js";
+import { linearRegressionInWindow, meanInWindow } from "./regression.js";
+
+/**
+ * @typedef {import("./halfAtwoodHistory.js").RunHistory} RunHistory
+ */
+
+/**
+ * @param {number} value
+ * @param {number} digits
+ * @returns {string}
+ */
+function format(value, digits = 2) {
+  return Number.isFinite(value) ? value.toFixed(digits) : "--";
+}
+
+/**
+ * Position, velocity and acceleration graphs for the half-Atwood page. The
+ * three graphs share one selected time window so the slope of one can be
+ * read against the others.
+ */
+export class MotionGraphs {
+  /**
+   * @param {{
+   * positionCanvas: HTMLCanvasElement,
+   * velocityCanvas: HTMLCanvasElement,
+   * accelerationCanvas: HTMLCanvasElement,
+   * fitReadout: HTMLElement
+   * }} options
+   */
+  constructor(options) {
+    this.fitReadout = options.fitReadout;
+    this.history = null;
+    this.selection = null;
+    this.referenceAccelerationMps2 = Number.NaN;
+
+    const onSelectionChange = (selection) => {
+      this.selection = selection;
+      this.render();
+    };
+
+    this.position = new TimeSeriesGraph({
+      canvas: options.positionCanvas,
+      title: "Position versus time",
+      yLabel: "x (m)",
+      onSelectionChange
+    });
+    this.velocity = new TimeSeriesGraph({
+      canvas: options.velocityCanvas,
+      title: "Velocity versus time",
+      yLabel: "v (m/s)",
+      onSelectionChange
+    });
+    this.acceleration = new TimeSeriesGraph({
+      canvas: options.accelerationCanvas,
+      title: "Acceleration versus time",
+      yLabel: "a (m/s²)",
+      onSelectionChange
+    });
+  }
+
+  /**
+   * @param {RunHistory} history
+   * @param {number} referenceAccelerationMps2 The "from rest" model value to compare against.
+   */
+  setHistory(history, referenceAccelerationMps2) {
+    if (history !== this.history) {
+      this.selection = null;
+    }
+
+    this.history = history;
+    this.referenceAccelerationMps2 = referenceAccelerationMps2;
+    this.render();
+  }
+
+  render() {
+    const history = this.history;
+    const timesS = history ? history.timesS : [];
+    const base = { timesS, motionWindow: null, selection: this.selection };
+
+    this.position.setData({ ...base, values: history ? history.displacementM : [] });
+    this.velocity.setData({ ...base, values: history ? history.velocityMps : [] });
+    this.acceleration.setData({ ...base, values: history ? history.accelerationMps2 : [] });
+    this.renderFit();
+  }
+
+  renderFit() {
+    if (!this.history || !this.selection) {
+      this.fitReadout.textContent = "Drag across any graph to select a time window and measure its slope.";
+      return;
+    }
+
+    const { startS, endS } = this.selection;
+    const { timesS } = this.history;
+    const velocityFit = linearRegressionInWindow(timesS, this.history.velocityMps, startS, endS);
+    const positionFit = linearRegressionInWindow(timesS, this.history.displacementM, startS, endS);
+    const meanAcceleration = meanInWindow(timesS, this.history.accelerationMps2, startS, endS);
+
+    if (!velocityFit || !positionFit) {
+      this.fitReadout.textContent = "Select a wider window (at least two samples) to fit a line.";
+      return;
+    }
+
+    const reference = this.referenceAccelerationMps2;
+    const differencePercent = Math.abs(reference) > 1e-9
+      ? (Math.abs(velocityFit.slope - reference) / Math.abs(reference)) * 100
+      : Number.NaN;
+
+    this.fitReadout.textContent = `Window ${format(startS)}–${format(endS)} s: `
+      + `v–t slope = ${format(velocityFit.slope, 3)} m/s² (R² ${format(velocityFit.r2, 3)}), `
+      + `x–t slope = ${format(positionFit.slope, 3)} m/s, `
+      + `mean a = ${format(meanAcceleration, 3)} m/s². `
+      + `From-rest model: ${format(reference, 3)} m/s²`
+      + (Number.isFinite(differencePercent) ? ` (${format(differencePercent, 1)}% difference).` : ".");
+  }
+}
@@ -0,0 +1,164 @@
+import { linearRegressionInWindow, meanInWindow } from "./regression.js";
+
+export const SAMPLE_INTERVAL_S = 0.02;
+
+/**
+ * Column-oriented log of one run, in the same shape as the cart-pad
+ * `TrialSignals` so it can be fed straight to graphs and regression helpers.
+ * @typedef {Object} RunHistory
+ * @property {number[]} timesS
+ * @property {number[]} displacementM
+ * @property {number[]} velocityMps
+ * @property {number[]} accelerationMps2
+ * @property {number[]} tensionTableN
+ * @property {number[]} tensionHangingN
+ * @property {number[]} frictionN Signed friction on the table block.
+ * @property {number[]} netForceN
+ * @property {string[]} modes
+ */
+
+/**
+ * @typedef {Object} RunSample
+ * @property {number} timeS
+ * @property {number} displacementM
+ * @property {number} velocityMps
+ * @property {number} accelerationMps2
+ * @property {number} tensionTableN
+ * @property {number} tensionHangingN
+ * @property {number} frictionN
+ * @property {number} netForceN
+ * @property {string} mode
+ */
+
+/**
+ * @returns {RunHistory}
+ */
+export function createRunHistory() {
+  return {
+    timesS: [],
+    displacementM: [],
+    velocityMps: [],
+    accelerationMps2: [],
+    tensionTableN: [],
+    tensionHangingN: [],
+    frictionN: [],
+    netForceN: [],
+    modes: []
+  };
+}
+
+/**
+ * Appends a sample unless it falls within `minIntervalS` of the previous one.
+ * Pass 0 to force the sample in, e.g. for the final state of a run.
+ * @param {RunHistory} history
+ * @param {RunSample} sample
+ * @param {number} minIntervalS
+ * @returns {boolean} Whether the sample was stored.
+ */
+export function appendSample(history, sample, minIntervalS = SAMPLE_INTERVAL_S) {
+  const count = history.timesS.length;
+  if (count) {
+    const lastTimeS = history.timesS[count - 1];
+    if (sample.timeS <= lastTimeS || sample.timeS - lastTimeS < minIntervalS - 1e-9) {
+      return false;
+    }
+  }
+
+  history.timesS.push(sample.timeS);
+  history.displacementM.push(sample.displacementM);
+  history.velocityMps.push(sample.velocityMps);
+  history.accelerationMps2.push(sample.accelerationMps2);
+  history.tensionTableN.push(sample.tensionTableN);
+  history.tensionHangingN.push(sample.tensionHangingN);
+  history.frictionN.push(sample.frictionN);
+  history.netForceN.push(sample.netForceN);
+  history.modes.push(sample.mode);
+  return true;
+}
+
+/**
+ * @param {RunHistory} history
+ * @param {number} index
+ * @returns {RunSample}
+ */
+export function sampleAt(history, index) {
+  return {
+    timeS: history.timesS[index],
+    displacementM: history.displacementM[index],
+    velocityMps: history.velocityMps[index],
+    accelerationMps2: history.accelerationMps2[index],
+    tensionTableN: history.tensionTableN[index],
+    tensionHangingN: history.tensionHangingN[index],
+    frictionN: history.frictionN[index],
+    netForceN: history.netForceN[index],
+    mode: history.modes[index]
+  };
+}
+
+/**
+ * @param {RunHistory} history
+ * @returns {RunHistory}
+ */
+export function cloneRunHistory(history) {
+  return {
+    timesS: [...history.timesS],
+    displacementM: [...history.displacementM],
+    velocityMps: [...history.velocityMps],
+    accelerationMps2: [...history.accelerationMps2],
+    tensionTableN: [...history.tensionTableN],
+    tensionHangingN: [...history.tensionHangingN],
+    frictionN: [...history.frictionN],
+    netForceN: [...history.netForceN],
+    modes: [...history.modes]
+  };
+}
+
+/**
+ * Position and velocity at any time within the run, for replay. Values
+ * between samples are interpolated linearly, which never overshoots a stop;
+ * times outside the run clamp to its first or last sample.
+ * @param {RunHistory} history Must hold at least one sample.
+ * @param {number} timeS
+ * @returns {{timeS:number, displacementM:number, velocityMps:number}}
+ */
+export function motionAtTime(history, timeS) {
+  const { timesS } = history;
+  const last = timesS.length - 1;
+  const clampedS = Math.min(timesS[last], Math.max(timesS[0], timeS));
+
+  let index = 0;
+  while (index < last && timesS[index + 1] <= clampedS) {
+    index += 1;
+  }
+
+  if (index === last) {
+    return { timeS: clampedS, displacementM: history.displacementM[last], velocityMps: history.velocityMps[last] };
+  }
+
+  const fraction = (clampedS - timesS[index]) / (timesS[index + 1] - timesS[index]);
+  return {
+    timeS: clampedS,
+    displacementM: history.displacementM[index] + fraction * (history.displacementM[index + 1] - history.displacementM[index]),
+    velocityMps: history.velocityMps[index] + fraction * (history.velocityMps[index + 1] - history.velocityMps[index])
+  };
+}
+
+/**
+ * What a logged run did up to `endS` (e.g. the landing): the slope of its
+ * v–t log, its mean tensions and whether it moved at all. Results worked
+ * out from rest do not apply to a run launched with a push.
+ * @param {RunHistory} history Must hold at least one sample.
+ * @param {number} endS
+ * @returns {{accelerationMps2:number, tensionTableN:number, tensionHangingN:number, moved:boolean}}
+ */
+export function runOutcome(history, endS) {
+  const startS = history.timesS[0];
+  const fit = linearRegressionInWindow(history.timesS, history.velocityMps, startS, endS);
+
+  return {
+    accelerationMps2: fit ? fit.slope : 0,
+    tensionTableN: meanInWindow(history.timesS, history.tensionTableN, startS, endS),
+    tensionHangingN: meanInWindow(history.timesS, history.tensionHangingN, startS, endS),
+    moved: history.displacementM.some((displacementM) => displacementM !== history.displacementM[0])
+  };
+}
@@ -0,0 +1,163 @@
+import { clamp } from "./halfAtwoodPhysics.js";
+
+/**
+ * In "full" mode the table and hanging masses become the left and right
+ * masses of a two-hanging-mass Atwood machine.
+ * @typedef {Object} HalfAtwoodInputs
+ * @property {"half"|"full"} machineMode
+ * @property {number} massTableKg
+ * @property {number} massHangingKg
+ * @property {number} initialVelocityMps
+ * @property {boolean} frictionEnabled
+ * @property {number} muStatic
+ * @property {number} muKinetic
+ * @property {number} pulleyInertiaKgM2
+ * @property {number} pulleyRadiusM
+ * @property {number} ropeMassPerLengthKgPerM
+ * @property {number} gravityMps2
+ * @property {number} inclineAngleDeg Positive tilts the table up toward the pulley.
+ * @property {boolean} trailingBlockEnabled Ties a second block behind the table block.
+ * @property {number} trailingMassKg
+ * @property {number} trailingMuStatic
+ * @property {number} trailingMuKinetic
+ * @property {boolean} cartEnabled Swaps the sliding block for a wheeled cart.
+ * @property {number} rollingResistanceCoefficient
+ * @property {number} linearDragNsPerM Drag on the hanging mass, b·v.
+ * @property {number} quadraticDragNs2PerM2 Drag on the hanging mass, c·v².
+ * @property {number} floorHeightM How far the hanging mass falls before it lands.
+ * @property {boolean} showForces
+ * @property {boolean} predictFirst Start stays disabled until a prediction is locked in.
+ * @property {boolean} sensorNoise Graphs and recorded trials show motion-sensor readings instead of the exact motion.
+ * @property {number} sensorSampleRateHz
+ * @property {number} sensorJitterMs
+ * @property {number} sensorResolutionMm
+ * @property {number} sensorSeed Whole number; the same seed reproduces the same readings.
+ */
+
+/** @type {Readonly<Record<string, {min:number, max:number}>>} */
+export const NUMERIC_INPUT_LIMITS = Object.freeze({
+  massTableKg: { min: 0.2, max: 2500 },
+  massHangingKg: { min: 0.1, max: 500 },
+  initialVelocityMps: { min: -4, max: 4 },
+  muStatic: { min: 0, max: 1 },
+  muKinetic: { min: 0, max: 1 },
+  pulleyInertiaKgM2: { min: 0, max: 0.5 },
+  pulleyRadiusM: { min: 0.01, max: 0.3 },
+  ropeMassPerLengthKgPerM: { min: 0, max: 2 },
+  gravityMps2: { min: 0.1, max: 50 },
+  inclineAngleDeg: { min: -30, max: 30 },
+  trailingMassKg: { min: 0.2, max: 2500 },
+  trailingMuStatic: { min: 0, max: 1 },
+  trailingMuKinetic: { min: 0, max: 1 },
+  rollingResistanceCoefficient: { min: 0, max: 0.2 },
+  linearDragNsPerM: { min: 0, max: 20 },
+  quadraticDragNs2PerM2: { min: 0, max: 10 },
+  floorHeightM: { min: 0.1, max: 2 },
+  sensorSampleRateHz: { min: 5, max: 50 },
+  sensorJitterMs: { min: 0, max: 20 },
+  sensorResolutionMm: { min: 0, max: 10 },
+  sensorSeed: { min: 0, max: 999999 }
+});
+
+export const BOOLEAN_INPUT_KEYS = Object.freeze(["frictionEnabled", "trailingBlockEnabled", "cartEnabled", "showForces", "predictFirst", "sensorNoise"]);
+
+/** @type {Readonly<Record<string, ReadonlyArray<string>>>} */
+export const CHOICE_INPUT_OPTIONS = Object.freeze({
+  machineMode: Object.freeze(["half", "full"])
+});
+
+/** @type {Readonly<HalfAtwoodInputs>} */
+export const DEFAULT_INPUTS = Object.freeze({
+  machineMode: "half",
+  massTableKg: 2.5,
+  massHangingKg: 1.2,
+  initialVelocityMps: 0,
+  frictionEnabled: true,
+  muStatic: 0.25,
+  muKinetic: 0.2,
+  pulleyInertiaKgM2: 0,
+  pulleyRadiusM: 0.05,
+  ropeMassPerLengthKgPerM: 0,
+  gravityMps2: 10,
+  inclineAngleDeg: 0,
+  trailingBlockEnabled: false,
+  trailingMassKg: 1.5,
+  trailingMuStatic: 0.25,
+  trailingMuKinetic: 0.2,
+  cartEnabled: false,
+  rollingResistanceCoefficient: 0.01,
+  linearDragNsPerM: 0,
+  quadraticDragNs2PerM2: 0,
+  floorHeightM: 0.8,
+  showForces: true,
+  predictFirst: true,
+  sensorNoise: false,
+  sensorSampleRateHz: 20,
+  sensorJitterMs: 2,
+  sensorResolutionMm: 1,
+  sensorSeed: 1
+});
+
+/**
+ * Gravity choices offered in the controls. Any other value shows as "custom".
+ */
+export const GRAVITY_OPTIONS = Object.freeze([
+  { id: "exam", label: "10 m/s² (exam convention)", valueMps2: 10 },
+  { id: "earth98", label: "9.8 m/s² (Earth)", valueMps2: 9.8 },
+  { id: "earth981", label: "9.81 m/s² (Earth, precise)", valueMps2: 9.81 },
+  { id: "moon", label: "Moon, 1.62 m/s²", valueMps2: 1.62 },
+  { id: "mars", label: "Mars, 3.71 m/s²", valueMps2: 3.71 },
+  { id: "jupiter", label: "Jupiter, 24.79 m/s²", valueMps2: 24.79 }
+]);
+
+/**
+ * @param {number} gravityMps2
+ * @returns {string} Matching option id, or "custom".
+ */
+export function gravityOptionId(gravityMps2) {
+  const match = GRAVITY_OPTIONS.find((option) => Math.abs(option.valueMps2 - gravityMps2) < 1e-9);
+  return match ? match.id : "custom";
+}
+
+/**
+ * Applies the control limits to raw values from form fields, saved sessions
+ * or links. Missing keys keep the fallback; present but unparsable numbers
+ * read as 0 before clamping, the same as an emptied number field. Unknown
+ * choices keep the fallback. Static friction can never be weaker than
+ * kinetic friction, so μₛ is raised to μₖ where it is smaller, and the
+ * value shown and recorded is the one the physics uses.
+ * @param {Record<string, unknown>} raw
+ * @param {HalfAtwoodInputs} [fallback]
+ * @returns {HalfAtwoodInputs}
+ */
+export function sanitizeInputs(raw, fallback = DEFAULT_INPUTS) {
+  const result = { ...fallback };
+
+  for (const [key, limits] of Object.entries(NUMERIC_INPUT_LIMITS)) {
+    const value = raw[key];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    result[key] = clamp(Number(value) || 0, limits.min, limits.max);
+  }
+  result.muStatic = Math.max(result.muStatic, result.muKinetic);
+  result.trailingMuStatic = Math.max(result.trailingMuStatic, result.trailingMuKinetic);
+  // Seeds are read out with each trial and typed back in, so keep them whole.
+  result.sensorSeed = Math.round(result.sensorSeed);
+
+  for (const key of BOOLEAN_INPUT_KEYS) {
+    const value = raw[key];
+    if (typeof value === "boolean") {
+      result[key] = value;
+    }
+  }
+
+  for (const [key, options] of Object.entries(CHOICE_INPUT_OPTIONS)) {
+    const value = raw[key];
+    if (typeof value === "string" && options.includes(value)) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
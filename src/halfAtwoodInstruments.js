@@ -0,0 +1,98 @@
+import { buildNoiseSampler } from "./signals.js";
+
+/**
+ * A photogate on the track. Its position is the block displacement at which
+ * the block's front edge breaks the beam.
+ * @typedef {Object} Photogate
+ * @property {number} id
+ * @property {number} positionM
+ */
+
+/**
+ * @typedef {Object} PhotogatePass
+ * @property {number} gateId
+ * @property {number} timeS
+ * @property {number} speedMps Speed of the block as it breaks the beam.
+ */
+
+/** Most gates that can be placed on the track at once. */
+export const MAX_PHOTOGATES = 4;
+
+/** Typical visual reaction time of a student pressing a stopwatch button. */
+export const REACTION_TIME_MEAN_S = 0.2;
+export const REACTION_TIME_SD_S = 0.05;
+/** Nobody reacts faster than this; clips the low tail of the distribution. */
+const MIN_REACTION_TIME_S = 0.1;
+/** Handheld stopwatches show hundredths of a second. */
+const STOPWATCH_RESOLUTION_S = 0.01;
+/** Past the largest sensor seed, so the stopwatch never replays a sensor's timing errors. */
+const STOPWATCH_SEED_OFFSET = 1000003;
+
+/**
+ * Gates the block crossed between two fixed steps, in the order it crossed
+ * them. Time and speed are interpolated within the step, which is exact for
+ * time at constant speed and close enough at the stepper's step size.
+ * @param {Photogate[]} gates
+ * @param {{timeS:number, displacementM:number, velocityMps:number}} before
+ * @param {{timeS:number, displacementM:number, velocityMps:number}} after
+ * @returns {PhotogatePass[]}
+ */
+export function detectGatePasses(gates, before, after) {
+  const movedM = after.displacementM - before.displacementM;
+  if (movedM === 0) {
+    return [];
+  }
+
+  const passes = [];
+  for (const gate of gates) {
+    const fraction = (gate.positionM - before.displacementM) / movedM;
+    // Count a gate once as the front edge reaches it, not again as it leaves.
+    if (fraction <= 0 || fraction > 1) {
+      continue;
+    }
+
+    passes.push({
+      gateId: gate.id,
+      timeS: before.timeS + fraction * (after.timeS - before.timeS),
+      speedMps: Math.abs(before.velocityMps + fraction * (after.velocityMps - before.velocityMps))
+    });
+  }
+
+  return passes.sort((a, b) => a.timeS - b.timeS);
+}
+
+/**
+ * Reaction-time noise for the trial with sensor seed `seed`, so the same
+ * seed gives the same hand-timed reading for the same run.
+ * @param {number} seed
+ * @returns {(scale: number) => number}
+ */
+export function stopwatchNoise(seed) {
+  return buildNoiseSampler(seed + STOPWATCH_SEED_OFFSET, true);
+}
+
+/**
+ * One student's reaction time, drawn from `noise` (a seeded Gaussian
+ * sampler such as `buildNoiseSampler` in signals.js).
+ * @param {(scale: number) => number} noise
+ * @returns {number}
+ */
+export function reactionTimeS(noise) {
+  return Math.max(MIN_REACTION_TIME_S, REACTION_TIME_MEAN_S + noise(REACTION_TIME_SD_S));
+}
+
+/**
+ * A hand-timed interval: the student reacts late to both the start and the
+ * stop, so the delays partly cancel and the reading scatters around the true
+ * time.
+ * @param {number} startS
+ * @param {number} stopS
+ * @param {(scale: number) => number} noise
+ * @returns {number} What the stopwatch shows, in seconds.
+ */
+export function stopwatchReadingS(startS, stopS, noise) {
+  const pressedStartS = startS + reactionTimeS(noise);
+  const pressedStopS = stopS + reactionTimeS(noise);
+  const readingS = Math.max(0, pressedStopS - pressedStartS);
+  return Number((Math.round(readingS / STOPWATCH_RESOLUTION_S) * STOPWATCH_RESOLUTION_S).toFixed(2));
+}
@@ -0,0 +1,103 @@
+import { BOOLEAN_INPUT_KEYS, sanitizeInputs } from "./halfAtwoodInputs.js";
+
+/**
+ * @typedef {import("./halfAtwoodInputs.js").HalfAtwoodInputs} HalfAtwoodInputs
+ */
+
+/**
+ * Short query keys used in shared links, mapped to input fields.
+ */
+export const LINK_PARAM_KEYS = Object.freeze({
+  mt: "massTableKg",
+  mh: "massHangingKg",
+  v0: "initialVelocityMps",
+  fr: "frictionEnabled",
+  mus: "muStatic",
+  muk: "muKinetic",
+  pi: "pulleyInertiaKgM2",
+  pr: "pulleyRadiusM",
+  rope: "ropeMassPerLengthKgPerM",
+  g: "gravityMps2",
+  th: "inclineAngleDeg",
+  tb: "trailingBlockEnabled",
+  tbm: "trailingMassKg",
+  tbs: "trailingMuStatic",
+  tbk: "trailingMuKinetic",
+  cart: "cartEnabled",
+  crr: "rollingResistanceCoefficient",
+  bd: "linearDragNsPerM",
+  cd: "quadraticDragNs2PerM2",
+  fh: "floorHeightM",
+  pf: "predictFirst",
+  sn: "sensorNoise",
+  srate: "sensorSampleRateHz",
+  sjit: "sensorJitterMs",
+  sres: "sensorResolutionMm",
+  seed: "sensorSeed",
+  mode: "machineMode"
+});
+
+/**
+ * @param {string} value
+ * @returns {boolean|undefined}
+ */
+function parseFlag(value) {
+  if (value === "1" || value === "true") {
+    return true;
+  }
+  if (value === "0" || value === "false") {
+    return false;
+  }
+  return undefined;
+}
+
+/**
+ * @param {HalfAtwoodInputs} inputs
+ * @returns {string} Query string without the leading "?".
+ */
+export function encodeScenarioParams(inputs) {
+  const params = new URLSearchParams();
+
+  for (const [param, key] of Object.entries(LINK_PARAM_KEYS)) {
+    const value = inputs[key];
+    params.set(param, typeof value === "boolean" ? (value ? "1" : "0") : String(value));
+  }
+
+  return params.toString();
+}
+
+/**
+ * Reads scenario parameters from a query string or hash fragment. Returns
+ * null when none are present; otherwise the values go through the same
+ * limits as the controls, with anything missing kept from `fallback`.
+ * @param {string} queryOrHash e.g. `location.search` or `location.hash`
+ * @param {HalfAtwoodInputs} fallback
+ * @returns {HalfAtwoodInputs|null}
+ */
+export function parseScenarioParams(queryOrHash, fallback) {
+  const params = new URLSearchParams(queryOrHash.replace(/^[?#]/, ""));
+  /** @type {Record<string, unknown>} */
+  const raw = {};
+  let found = false;
+
+  for (const [param, key] of Object.entries(LINK_PARAM_KEYS)) {
+    const value = params.get(param);
+    if (value === null) {
+      continue;
+    }
+
+    found = true;
+    raw[key] = BOOLEAN_INPUT_KEYS.includes(key) ? parseFlag(value) : value;
+  }
+
+  return found ? sanitizeInputs(raw, fallback) : null;
+}
+
+/**
+ * @param {{origin:string, pathname:string}} location
+ * @param {HalfAtwoodInputs} inputs
+ * @returns {string}
+ */
+export function buildScenarioLink(location, inputs) {
+  return `${location.origin}${location.pathname}?${encodeScenarioParams(inputs)}`;
+}
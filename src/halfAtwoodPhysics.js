@@ -1,5 +1,30 @@
 export const VELOCITY_EPSILON = 1e-4;
 
+/**
+ * Optional non-ideal pulley and rope properties. Omitted values fall back to
+ * the ideal model (massless pulley, massless string).
+ * @typedef {Object} PulleyRopeInput
+ * @property {number} [pulleyInertiaKgM2]
+ * @property {number} [pulleyRadiusM]
+ * @property {number} [ropeMassPerLengthKgPerM]
+ * @property {number} [ropeTableLengthM] Rope length lying along the table, block to pulley.
+ * @property {number} [ropeHangingLengthM] Rope length hanging below the pulley.
+ */
+
+/**
+ * Optional ramp angle for the table. Omitted means a level table.
+ * @typedef {Object} InclineInput
+ * @property {number} [inclineAngleDeg] Positive tilts the table up toward the pulley, negative down.
+ */
+
+/**
+ * Optional air drag on the hanging mass, opposing its velocity:
+ * F = -(b·v + c·v·|v|).
+ * @typedef {Object} DragInput
+ * @property {number} [linearDragNsPerM] b
+ * @property {number} [quadraticDragNs2PerM2] c
+ */
+
 /**
  * @param {number} value
  * @param {number} min
@@ -11,179 +36,744 @@ export function clamp(value, min, max) {
 }
 
 /**
- * @param {{massTableKg:number,massHangingKg:number,mu:number,frictionEnabled:boolean,gravity:number,targetDistanceM:number}} input
+ * Friction coefficients actually applied. Static friction can never be
+ * weaker than kinetic friction, so a larger kinetic value also raises the
+ * static threshold. A cart rolls instead of sliding, so when
+ * `rollingResistanceCoefficient` is given it replaces both coefficients.
+ * @param {{muStatic:number,muKinetic:number,frictionEnabled:boolean,rollingResistanceCoefficient?:number}} input
+ * @returns {{muStatic:number,muKinetic:number}}
+ */
+export function effectiveFrictionCoefficients(input) {
+  if (!input.frictionEnabled) {
+    return { muStatic: 0, muKinetic: 0 };
+  }
+
+  if (typeof input.rollingResistanceCoefficient === "number") {
+    const rolling = Math.max(0, input.rollingResistanceCoefficient);
+    return { muStatic: rolling, muKinetic: rolling };
+  }
+
+  const muKinetic = Math.max(0, input.muKinetic);
+  const muStatic = Math.max(muKinetic, input.muStatic);
+  return { muStatic, muKinetic };
+}
+
+/**
+ * Collapses masses, pulley, rope and ramp into the quantities the equations
+ * of motion need. The pulley contributes I/R² of "equivalent mass"; each rope
+ * segment moves with the body it is attached to. `driveForceN` is every
+ * force along the motion except friction, so it is negative when the ramp
+ * pulls the block back harder than the hanging side pulls it forward.
+ * @param {{massTableKg:number,massHangingKg:number,gravity:number} & PulleyRopeInput & InclineInput} input
+ */
+function systemParameters(input) {
+  const massTableKg = Math.max(0, input.massTableKg);
+  const massHangingKg = Math.max(0, input.massHangingKg);
+  const gravity = Math.max(0, input.gravity);
+  const pulleyInertiaKgM2 = Math.max(0, input.pulleyInertiaKgM2 ?? 0);
+  const pulleyRadiusM = Math.max(0, input.pulleyRadiusM ?? 0);
+  const ropeDensity = Math.max(0, input.ropeMassPerLengthKgPerM ?? 0);
+  const inclineRad = ((input.inclineAngleDeg ?? 0) * Math.PI) / 180;
+
+  const ropeTableKg = ropeDensity * Math.max(0, input.ropeTableLengthM ?? 0);
+  const ropeHangingKg = ropeDensity * Math.max(0, input.ropeHangingLengthM ?? 0);
+  const pulleyEquivalentKg = pulleyInertiaKgM2 > 0 && pulleyRadiusM > 0
+    ? pulleyInertiaKgM2 / (pulleyRadiusM * pulleyRadiusM)
+    : 0;
+  const tableSlopeForceN = -massTableKg * gravity * Math.sin(inclineRad);
+  const ropeSlopeForceN = -ropeTableKg * gravity * Math.sin(inclineRad);
+
+  return {
+    massTableKg,
+    massHangingKg,
+    gravity,
+    pulleyEquivalentKg,
+    normalForceN: massTableKg * gravity * Math.cos(inclineRad),
+    tableSlopeForceN,
+    totalMassKg: massTableKg + massHangingKg + ropeTableKg + ropeHangingKg + pulleyEquivalentKg,
+    driveForceN: (massHangingKg + ropeHangingKg) * gravity + tableSlopeForceN + ropeSlopeForceN
+  };
+}
+
+/**
+ * Drag on the hanging mass at the given velocity. Zero at rest, so it never
+ * changes whether static friction holds.
+ * @param {DragInput} input
+ * @param {number} velocityMps
+ * @returns {number}
+ */
+function dragForce(input, velocityMps) {
+  if (Math.abs(velocityMps) <= VELOCITY_EPSILON) {
+    return 0;
+  }
+
+  const linear = Math.max(0, input.linearDragNsPerM ?? 0);
+  const quadratic = Math.max(0, input.quadraticDragNs2PerM2 ?? 0);
+  return -(linear * velocityMps + quadratic * velocityMps * Math.abs(velocityMps));
+}
+
+/**
+ * Speed at which drag balances a steady forward force, or null when there
+ * is no drag or nothing to balance.
+ * @param {number} forceN Net forward force on the system without drag.
+ * @param {DragInput} drag
+ * @returns {number|null}
+ */
+export function terminalSpeedMps(forceN, drag) {
+  const linear = Math.max(0, drag.linearDragNsPerM ?? 0);
+  const quadratic = Math.max(0, drag.quadraticDragNs2PerM2 ?? 0);
+
+  if (forceN <= 0 || (linear === 0 && quadratic === 0)) {
+    return null;
+  }
+
+  if (quadratic === 0) {
+    return forceN / linear;
+  }
+
+  return (-linear + Math.sqrt(linear * linear + 4 * quadratic * forceN)) / (2 * quadratic);
+}
+
+/**
+ * Tension where the string meets each body. They differ only when the
+ * pulley or rope has mass, and drag on the hanging mass adds to its side.
+ * @param {{massTableKg:number,massHangingKg:number,gravity:number,tableSlopeForceN:number}} params
+ * @param {number} accelerationMps2
+ * @param {number} frictionSignedN
+ * @param {number} [dragForceN]
+ * @returns {{tensionTableN:number,tensionHangingN:number}}
+ */
+function bodyTensions(params, accelerationMps2, frictionSignedN, dragForceN = 0) {
+  return {
+    tensionTableN: params.massTableKg * accelerationMps2 - frictionSignedN - params.tableSlopeForceN,
+    tensionHangingN: params.massHangingKg * (params.gravity - accelerationMps2) + dragForceN
+  };
+}
+
+/**
+ * Motion released from rest. `frictionN` is a magnitude; `moved` is true
+ * for sliding either way, and `timeToTargetS` only covers motion toward the
+ * pulley.
+ * @param {{massTableKg:number,massHangingKg:number,muStatic:number,muKinetic:number,frictionEnabled:boolean,rollingResistanceCoefficient?:number,gravity:number,targetDistanceM:number} & PulleyRopeInput & InclineInput} input
  * @returns {{
  * accelerationMps2:number,
  * tensionN:number,
+ * tensionTableN:number,
+ * tensionHangingN:number,
  * frictionN:number,
  * netForceN:number,
  * driveForceN:number,
+ * normalForceN:number,
+ * maxStaticFrictionN:number,
  * moved:boolean,
  * timeToTargetS:number|null,
- * mode:"frictionless"|"kinetic"|"static_hold"
+ * mode:"frictionless"|"kinetic"|"static_hold"|"breakaway"
  * }}
  */
 export function calculateHalfAtwoodFromRest(input) {
-  const massTableKg = Math.max(0, input.massTableKg);
-  const massHangingKg = Math.max(0, input.massHangingKg);
-  const gravity = Math.max(0, input.gravity);
-  const mu = Math.max(0, input.mu);
+  const params = systemParameters(input);
+  const { normalForceN, totalMassKg, driveForceN } = params;
+  const { muStatic, muKinetic } = effectiveFrictionCoefficients(input);
   const targetDistanceM = Math.max(0, input.targetDistanceM);
-
-  const totalMassKg = massTableKg + massHangingKg;
-  const driveForceN = massHangingKg * gravity;
+  const maxStaticFrictionN = muStatic * normalForceN;
 
   if (totalMassKg <= 0) {
     return {
       accelerationMps2: 0,
       tensionN: 0,
+      tensionTableN: 0,
+      tensionHangingN: 0,
       frictionN: 0,
       netForceN: 0,
       driveForceN,
+      normalForceN,
+      maxStaticFrictionN,
       moved: false,
       timeToTargetS: null,
       mode: "static_hold"
     };
   }
 
-  if (!input.frictionEnabled || mu === 0) {
+  if (muStatic === 0) {
     const accelerationMps2 = driveForceN / totalMassKg;
-    const tensionN = massHangingKg * (gravity - accelerationMps2);
+    const tensions = bodyTensions(params, accelerationMps2, 0);
     const timeToTargetS = accelerationMps2 > 0 && targetDistanceM > 0
       ? Math.sqrt((2 * targetDistanceM) / accelerationMps2)
       : null;
 
     return {
       accelerationMps2,
-      tensionN,
+      tensionN: tensions.tensionHangingN,
+      ...tensions,
       frictionN: 0,
       netForceN: driveForceN,
       driveForceN,
-      moved: accelerationMps2 > 0,
+      normalForceN,
+      maxStaticFrictionN,
+      moved: accelerationMps2 !== 0,
       timeToTargetS,
       mode: "frictionless"
     };
   }
 
-  const frictionN = mu * massTableKg * gravity;
-
-  if (driveForceN <= frictionN) {
+  if (Math.abs(driveForceN) <= maxStaticFrictionN) {
+    const tensions = bodyTensions(params, 0, -driveForceN);
     return {
       accelerationMps2: 0,
-      tensionN: driveForceN,
-      frictionN: driveForceN,
+      tensionN: tensions.tensionHangingN,
+      ...tensions,
+      frictionN: Math.abs(driveForceN),
       netForceN: 0,
       driveForceN,
+      normalForceN,
+      maxStaticFrictionN,
       moved: false,
       timeToTargetS: null,
       mode: "static_hold"
     };
   }
 
-  const netForceN = driveForceN - frictionN;
+  // Static friction is overcome; from here on the block slides against kinetic friction.
+  const frictionN = muKinetic * normalForceN;
+  const frictionSignedN = driveForceN > 0 ? -frictionN : frictionN;
+  const netForceN = driveForceN + frictionSignedN;
   const accelerationMps2 = netForceN / totalMassKg;
-  const tensionN = massHangingKg * (gravity - accelerationMps2);
+  const tensions = bodyTensions(params, accelerationMps2, frictionSignedN);
   const timeToTargetS = accelerationMps2 > 0 && targetDistanceM > 0
     ? Math.sqrt((2 * targetDistanceM) / accelerationMps2)
     : null;
 
   return {
     accelerationMps2,
-    tensionN,
+    tensionN: tensions.tensionHangingN,
+    ...tensions,
     frictionN,
     netForceN,
     driveForceN,
-    moved: accelerationMps2 > 0,
+    normalForceN,
+    maxStaticFrictionN,
+    moved: accelerationMps2 !== 0,
     timeToTargetS,
-    mode: "kinetic"
+    mode: "breakaway"
   };
 }
 
 /**
- * @param {{massTableKg:number,massHangingKg:number,mu:number,frictionEnabled:boolean,gravity:number,velocityMps:number}} input
+ * Forces at the current velocity. Drag only acts while the system moves,
+ * so it changes the acceleration but never the static hold decision.
+ * @param {{massTableKg:number,massHangingKg:number,muStatic:number,muKinetic:number,frictionEnabled:boolean,rollingResistanceCoefficient?:number,gravity:number,velocityMps:number} & PulleyRopeInput & InclineInput & DragInput} input
  * @returns {{
  * accelerationMps2:number,
  * tensionN:number,
+ * tensionTableN:number,
+ * tensionHangingN:number,
  * frictionSignedN:number,
  * frictionMagnitudeN:number,
+ * dragForceN:number,
  * netForceN:number,
  * driveForceN:number,
- * mode:"frictionless"|"kinetic"|"static_hold"
+ * normalForceN:number,
+ * maxStaticFrictionN:number,
+ * mode:"frictionless"|"kinetic"|"static_hold"|"breakaway"
  * }}
  */
 export function resolveDynamicForces(input) {
-  const massTableKg = Math.max(0, input.massTableKg);
-  const massHangingKg = Math.max(0, input.massHangingKg);
-  const gravity = Math.max(0, input.gravity);
-  const mu = Math.max(0, input.mu);
-  const totalMassKg = massTableKg + massHangingKg;
-  const driveForceN = massHangingKg * gravity;
+  const params = systemParameters(input);
+  const { normalForceN, totalMassKg, driveForceN } = params;
+  const { muStatic, muKinetic } = effectiveFrictionCoefficients(input);
+  const maxStaticFrictionN = muStatic * normalForceN;
+  const dragForceN = dragForce(input, input.velocityMps);
 
   if (totalMassKg <= 0) {
     return {
       accelerationMps2: 0,
       tensionN: 0,
+      tensionTableN: 0,
+      tensionHangingN: 0,
       frictionSignedN: 0,
       frictionMagnitudeN: 0,
+      dragForceN: 0,
       netForceN: 0,
       driveForceN,
+      normalForceN,
+      maxStaticFrictionN,
       mode: "static_hold"
     };
   }
 
-  if (!input.frictionEnabled || mu === 0) {
-    const accelerationMps2 = driveForceN / totalMassKg;
+  if (muStatic === 0) {
+    const netForceN = driveForceN + dragForceN;
+    const accelerationMps2 = netForceN / totalMassKg;
+    const tensions = bodyTensions(params, accelerationMps2, 0, dragForceN);
     return {
       accelerationMps2,
-      tensionN: massHangingKg * (gravity - accelerationMps2),
+      tensionN: tensions.tensionHangingN,
+      ...tensions,
       frictionSignedN: 0,
       frictionMagnitudeN: 0,
-      netForceN: driveForceN,
+      dragForceN,
+      netForceN,
       driveForceN,
+      normalForceN,
+      maxStaticFrictionN,
       mode: "frictionless"
     };
   }
 
-  const kineticMagnitudeN = mu * massTableKg * gravity;
+  const kineticMagnitudeN = muKinetic * normalForceN;
   const speed = input.velocityMps;
 
   if (Math.abs(speed) <= VELOCITY_EPSILON) {
-    if (driveForceN <= kineticMagnitudeN) {
+    if (Math.abs(driveForceN) <= maxStaticFrictionN) {
+      const tensions = bodyTensions(params, 0, -driveForceN);
       return {
         accelerationMps2: 0,
-        tensionN: driveForceN,
+        tensionN: tensions.tensionHangingN,
+        ...tensions,
         frictionSignedN: -driveForceN,
-        frictionMagnitudeN: driveForceN,
+        frictionMagnitudeN: Math.abs(driveForceN),
+        dragForceN: 0,
         netForceN: 0,
         driveForceN,
+        normalForceN,
+        maxStaticFrictionN,
         mode: "static_hold"
       };
     }
 
-    const netForceN = driveForceN - kineticMagnitudeN;
+    const frictionSignedN = driveForceN > 0 ? -kineticMagnitudeN : kineticMagnitudeN;
+    const netForceN = driveForceN + frictionSignedN;
     const accelerationMps2 = netForceN / totalMassKg;
+    const tensions = bodyTensions(params, accelerationMps2, frictionSignedN);
     return {
       accelerationMps2,
-      tensionN: massHangingKg * (gravity - accelerationMps2),
-      frictionSignedN: -kineticMagnitudeN,
+      tensionN: tensions.tensionHangingN,
+      ...tensions,
+      frictionSignedN,
       frictionMagnitudeN: kineticMagnitudeN,
+      dragForceN: 0,
       netForceN,
       driveForceN,
-      mode: "kinetic"
+      normalForceN,
+      maxStaticFrictionN,
+      mode: "breakaway"
     };
   }
 
   const frictionSignedN = speed > 0 ? -kineticMagnitudeN : kineticMagnitudeN;
-  const netForceN = driveForceN + frictionSignedN;
+  const netForceN = driveForceN + frictionSignedN + dragForceN;
   const accelerationMps2 = netForceN / totalMassKg;
+  const tensions = bodyTensions(params, accelerationMps2, frictionSignedN, dragForceN);
 
   return {
     accelerationMps2,
-    tensionN: massHangingKg * (gravity - accelerationMps2),
+    tensionN: tensions.tensionHangingN,
+    ...tensions,
     frictionSignedN,
     frictionMagnitudeN: kineticMagnitudeN,
+    dragForceN,
     netForceN,
     driveForceN,
+    normalForceN,
+    maxStaticFrictionN,
     mode: "kinetic"
   };
 }
+
+/**
+ * Forces on the table block once the hanging mass has landed. The string
+ * goes slack, so the block slides on its own: no tension, no hanging weight,
+ * and nothing to spin up the pulley. Only friction and the ramp act.
+ * @param {{massTableKg:number,muStatic:number,muKinetic:number,frictionEnabled:boolean,rollingResistanceCoefficient?:number,gravity:number,velocityMps:number} & InclineInput} input
+ * @returns {ReturnType<typeof resolveDynamicForces> & {stringSlack: true}}
+ */
+export function resolveSlackStringForces(input) {
+  const forces = resolveDynamicForces({
+    ...input,
+    massHangingKg: 0,
+    pulleyInertiaKgM2: 0,
+    ropeMassPerLengthKgPerM: 0,
+    linearDragNsPerM: 0,
+    quadraticDragNs2PerM2: 0
+  });
+
+  return {
+    ...forces,
+    tensionN: 0,
+    tensionTableN: 0,
+    tensionHangingN: 0,
+    stringSlack: true
+  };
+}
+
+/**
+ * How far a block sliding forward at `speedMps` travels before stopping,
+ * given its constant acceleration while sliding forward. Null when that
+ * acceleration does not slow it down (e.g. no friction on a level table).
+ * @param {number} speedMps
+ * @param {number} accelerationMps2
+ * @returns {{stoppingDistanceM:number, stoppingTimeS:number}|null}
+ */
+export function slackStoppingDistance(speedMps, accelerationMps2) {
+  const speed = Math.max(0, speedMps);
+  if (speed === 0) {
+    return { stoppingDistanceM: 0, stoppingTimeS: 0 };
+  }
+
+  if (accelerationMps2 >= 0) {
+    return null;
+  }
+
+  return {
+    stoppingDistanceM: (speed * speed) / (-2 * accelerationMps2),
+    stoppingTimeS: speed / -accelerationMps2
+  };
+}
+
+/**
+ * Kinetic friction coefficient that gives a measured acceleration toward
+ * the pulley, from Newton's second law for the whole system:
+ * μₖ = (drive − M·a) / N. Null when there is no normal force or when even
+ * a frictionless table could not reach that acceleration.
+ * @param {{massTableKg:number,massHangingKg:number,gravity:number} & PulleyRopeInput & InclineInput} input
+ * @param {number} accelerationMps2
+ * @returns {number|null}
+ */
+export function muKineticFromAcceleration(input, accelerationMps2) {
+  const { normalForceN, totalMassKg, driveForceN } = systemParameters(input);
+  if (normalForceN <= 0) {
+    return null;
+  }
+
+  const muKinetic = (driveForceN - totalMassKg * accelerationMps2) / normalForceN;
+  return muKinetic >= 0 ? muKinetic : null;
+}
+
+/**
+ * Hanging mass that gives a measured acceleration toward the pulley.
+ * The hanging mass appears in both the drive and the total mass, so
+ * mₕ = (a·M₀ − drive₀ + μₖN) / (g − a), where M₀ and drive₀ leave it out.
+ * Null when no hanging mass does it from rest: a ≥ g, a negative answer,
+ * or a mass too light to break static friction.
+ * @param {{massTableKg:number,muStatic:number,muKinetic:number,frictionEnabled:boolean,rollingResistanceCoefficient?:number,gravity:number} & PulleyRopeInput & InclineInput} input
+ * @param {number} accelerationMps2
+ * @returns {number|null}
+ */
+export function hangingMassFromAcceleration(input, accelerationMps2) {
+  const withoutHanging = systemParameters({ ...input, massHangingKg: 0 });
+  const { muKinetic } = effectiveFrictionCoefficients(input);
+  const gap = withoutHanging.gravity - accelerationMps2;
+  if (accelerationMps2 <= 0 || gap <= 0) {
+    return null;
+  }
+
+  const massHangingKg = (
+    accelerationMps2 * withoutHanging.totalMassKg - withoutHanging.driveForceN + muKinetic * withoutHanging.normalForceN
+  ) / gap;
+  if (massHangingKg <= 0) {
+    return null;
+  }
+
+  const check = calculateHalfAtwoodFromRest({ ...input, massHangingKg, targetDistanceM: 0 });
+  return check.moved && check.accelerationMps2 > 0 ? massHangingKg : null;
+}
+
+/**
+ * Hanging mass at which the system is on the edge of starting toward the
+ * pulley: any heavier and static friction lets go. Zero when the ramp alone
+ * already starts it.
+ * @param {{massTableKg:number,muStatic:number,muKinetic:number,frictionEnabled:boolean,rollingResistanceCoefficient?:number,gravity:number} & PulleyRopeInput & InclineInput} input
+ * @returns {number|null} Null when gravity is zero, so no mass is ever enough.
+ */
+export function minimumHangingMassToStart(input) {
+  const withoutHanging = systemParameters({ ...input, massHangingKg: 0 });
+  const { muStatic } = effectiveFrictionCoefficients(input);
+  if (withoutHanging.gravity <= 0) {
+    return null;
+  }
+
+  return Math.max(0, (muStatic * withoutHanging.normalForceN - withoutHanging.driveForceN) / withoutHanging.gravity);
+}
+
+/**
+ * Static friction coefficient at which the system is on the edge of
+ * starting toward the pulley; any smaller μₛ lets it move.
+ * @param {{massTableKg:number,massHangingKg:number,gravity:number} & PulleyRopeInput & InclineInput} input
+ * @returns {number|null} Null when there is no normal force or nothing pulls toward the pulley.
+ */
+export function maximumMuStaticForMotion(input) {
+  const { normalForceN, driveForceN } = systemParameters(input);
+  if (normalForceN <= 0 || driveForceN <= 0) {
+    return null;
+  }
+
+  return driveForceN / normalForceN;
+}
+
+/**
+ * Hanging mass that carries the system `distanceM` from rest in `timeS`,
+ * using d = ½at² for the acceleration and then solving for mₕ.
+ * @param {{massTableKg:number,muStatic:number,muKinetic:number,frictionEnabled:boolean,rollingResistanceCoefficient?:number,gravity:number} & PulleyRopeInput & InclineInput} input
+ * @param {number} distanceM
+ * @param {number} timeS
+ * @returns {number|null}
+ */
+export function hangingMassForTimeToDistance(input, distanceM, timeS) {
+  if (distanceM <= 0 || timeS <= 0) {
+    return null;
+  }
+
+  return hangingMassFromAcceleration(input, (2 * distanceM) / (timeS * timeS));
+}
+
+/**
+ * Optional pulley and rope properties for the two-hanging-mass machine.
+ * Omitted values fall back to the ideal model.
+ * @typedef {Object} FullAtwoodPulleyRopeInput
+ * @property {number} [pulleyInertiaKgM2]
+ * @property {number} [pulleyRadiusM]
+ * @property {number} [ropeMassPerLengthKgPerM]
+ * @property {number} [ropeLeftLengthM] Rope length hanging on the left of the pulley.
+ * @property {number} [ropeRightLengthM] Rope length hanging on the right of the pulley.
+ */
+
+/**
+ * Full Atwood machine: two masses hanging over one pulley. Positive motion is
+ * the right mass down and the left mass up.
+ * @param {{massLeftKg:number,massRightKg:number,gravity:number} & FullAtwoodPulleyRopeInput} input
+ */
+function fullAtwoodParameters(input) {
+  const massLeftKg = Math.max(0, input.massLeftKg);
+  const massRightKg = Math.max(0, input.massRightKg);
+  const gravity = Math.max(0, input.gravity);
+  const pulleyInertiaKgM2 = Math.max(0, input.pulleyInertiaKgM2 ?? 0);
+  const pulleyRadiusM = Math.max(0, input.pulleyRadiusM ?? 0);
+  const ropeDensity = Math.max(0, input.ropeMassPerLengthKgPerM ?? 0);
+
+  const ropeLeftKg = ropeDensity * Math.max(0, input.ropeLeftLengthM ?? 0);
+  const ropeRightKg = ropeDensity * Math.max(0, input.ropeRightLengthM ?? 0);
+  const pulleyEquivalentKg = pulleyInertiaKgM2 > 0 && pulleyRadiusM > 0
+    ? pulleyInertiaKgM2 / (pulleyRadiusM * pulleyRadiusM)
+    : 0;
+
+  return {
+    massLeftKg,
+    massRightKg,
+    gravity,
+    totalMassKg: massLeftKg + massRightKg + ropeLeftKg + ropeRightKg + pulleyEquivalentKg,
+    driveForceN: (massRightKg + ropeRightKg - massLeftKg - ropeLeftKg) * gravity
+  };
+}
+
+/**
+ * @param {ReturnType<typeof fullAtwoodParameters>} params
+ * @returns {{accelerationMps2:number,tensionLeftN:number,tensionRightN:number}}
+ */
+function fullAtwoodMotion(params) {
+  const accelerationMps2 = params.totalMassKg > 0 ? params.driveForceN / params.totalMassKg : 0;
+  return {
+    accelerationMps2,
+    tensionLeftN: params.massLeftKg * (params.gravity + accelerationMps2),
+    tensionRightN: params.massRightKg * (params.gravity - accelerationMps2)
+  };
+}
+
+/**
+ * Two hanging masses released from rest. There is no friction, so the only
+ * way to stay put is a perfect balance. `timeToTargetS` is the time for
+ * either mass to move `targetDistanceM`, whichever way the system turns.
+ * @param {{massLeftKg:number,massRightKg:number,gravity:number,targetDistanceM:number} & FullAtwoodPulleyRopeInput} input
+ * @returns {{
+ * accelerationMps2:number,
+ * tensionLeftN:number,
+ * tensionRightN:number,
+ * netForceN:number,
+ * driveForceN:number,
+ * moved:boolean,
+ * timeToTargetS:number|null,
+ * mode:"frictionless"|"static_hold"
+ * }}
+ */
+export function calculateFullAtwoodFromRest(input) {
+  const params = fullAtwoodParameters(input);
+  const motion = fullAtwoodMotion(params);
+  const targetDistanceM = Math.max(0, input.targetDistanceM);
+  const moved = motion.accelerationMps2 !== 0;
+
+  return {
+    ...motion,
+    netForceN: params.driveForceN,
+    driveForceN: params.driveForceN,
+    moved,
+    timeToTargetS: moved && targetDistanceM > 0
+      ? Math.sqrt((2 * targetDistanceM) / Math.abs(motion.accelerationMps2))
+      : null,
+    mode: moved ? "frictionless" : "static_hold"
+  };
+}
+
+/**
+ * Forces on the full Atwood machine at the current velocity. A balanced
+ * machine at rest reports "static_hold" so the stepper stops; moving, it
+ * coasts at constant speed.
+ * @param {{massLeftKg:number,massRightKg:number,gravity:number,velocityMps:number} & FullAtwoodPulleyRopeInput} input
+ * @returns {{
+ * accelerationMps2:number,
+ * tensionLeftN:number,
+ * tensionRightN:number,
+ * netForceN:number,
+ * driveForceN:number,
+ * mode:"frictionless"|"static_hold"
+ * }}
+ */
+export function resolveFullAtwoodForces(input) {
+  const params = fullAtwoodParameters(input);
+  const motion = fullAtwoodMotion(params);
+  const balancedAtRest = motion.accelerationMps2 === 0 && Math.abs(input.velocityMps) <= VELOCITY_EPSILON;
+
+  return {
+    ...motion,
+    netForceN: params.driveForceN,
+    driveForceN: params.driveForceN,
+    mode: balancedAtRest ? "static_hold" : "frictionless"
+  };
+}
+
+/**
+ * One block in a chain on the table.
+ * @typedef {Object} ChainBlock
+ * @property {number} massKg
+ * @property {number} muStatic
+ * @property {number} muKinetic
+ * @property {number} [rollingResistanceCoefficient] Set when the block is a cart.
+ */
+
+/**
+ * @typedef {Object} ChainForces
+ * @property {number} accelerationMps2
+ * @property {number} tensionHangingN
+ * @property {number[]} linkTensionsN `[0]` is the pulley string at block 0; `[i]` links block i-1 to block i.
+ * @property {number[]} frictionSignedN Per block, positive toward the pulley.
+ * @property {number[]} normalForcesN Per block.
+ * @property {number} dragForceN On the hanging mass.
+ * @property {number} netForceN
+ * @property {number} driveForceN
+ * @property {number} maxStaticFrictionN Summed over the chain.
+ * @property {"frictionless"|"kinetic"|"static_hold"|"breakaway"} mode
+ */
+
+/**
+ * Table blocks tied in a line and pulled by one hanging mass. `blocks[0]` is
+ * tied to the string over the pulley and each later block trails the one
+ * before it. The links are treated as taut, massless strings, so every body
+ * shares one acceleration. When static friction holds, the chain's load is
+ * shared in proportion to each block's static limit.
+ * @param {{blocks:ChainBlock[],massHangingKg:number,frictionEnabled:boolean,gravity:number,velocityMps:number,pulleyInertiaKgM2?:number,pulleyRadiusM?:number} & InclineInput & DragInput} input
+ * @returns {ChainForces}
+ */
+export function resolveChainForces(input) {
+  const gravity = Math.max(0, input.gravity);
+  const massHangingKg = Math.max(0, input.massHangingKg);
+  const inclineRad = ((input.inclineAngleDeg ?? 0) * Math.PI) / 180;
+  const pulleyInertiaKgM2 = Math.max(0, input.pulleyInertiaKgM2 ?? 0);
+  const pulleyRadiusM = Math.max(0, input.pulleyRadiusM ?? 0);
+  const pulleyEquivalentKg = pulleyInertiaKgM2 > 0 && pulleyRadiusM > 0
+    ? pulleyInertiaKgM2 / (pulleyRadiusM * pulleyRadiusM)
+    : 0;
+
+  const blocks = input.blocks.map((block) => {
+    const massKg = Math.max(0, block.massKg);
+    const mu = effectiveFrictionCoefficients({ ...block, frictionEnabled: input.frictionEnabled });
+    const normalN = massKg * gravity * Math.cos(inclineRad);
+    return {
+      massKg,
+      normalN,
+      slopeN: -massKg * gravity * Math.sin(inclineRad),
+      maxStaticN: mu.muStatic * normalN,
+      kineticN: mu.muKinetic * normalN
+    };
+  });
+
+  const totalMassKg = blocks.reduce((sum, block) => sum + block.massKg, massHangingKg + pulleyEquivalentKg);
+  const driveForceN = blocks.reduce((sum, block) => sum + block.slopeN, massHangingKg * gravity);
+  const maxStaticFrictionN = blocks.reduce((sum, block) => sum + block.maxStaticN, 0);
+  const normalForcesN = blocks.map((block) => block.normalN);
+  const dragForceN = dragForce(input, input.velocityMps);
+
+  /**
+   * @param {number} accelerationMps2
+   * @param {number[]} frictionSignedN
+   * @param {ChainForces["mode"]} mode
+   * @returns {ChainForces}
+   */
+  const finish = (accelerationMps2, frictionSignedN, mode) => {
+    const appliedDragN = mode === "static_hold" || mode === "breakaway" ? 0 : dragForceN;
+    const linkTensionsN = new Array(blocks.length).fill(0);
+    let trailingTensionN = 0;
+
+    for (let i = blocks.length - 1; i >= 0; i -= 1) {
+      const block = blocks[i];
+      trailingTensionN += block.massKg * accelerationMps2 - block.slopeN - frictionSignedN[i];
+      linkTensionsN[i] = trailingTensionN;
+    }
+
+    const netForceN = driveForceN + appliedDragN + frictionSignedN.reduce((sum, value) => sum + value, 0);
+    return {
+      accelerationMps2,
+      tensionHangingN: massHangingKg * (gravity - accelerationMps2) + appliedDragN,
+      linkTensionsN,
+      frictionSignedN,
+      normalForcesN,
+      dragForceN: appliedDragN,
+      netForceN,
+      driveForceN,
+      maxStaticFrictionN,
+      mode
+    };
+  };
+
+  if (totalMassKg <= 0) {
+    return finish(0, blocks.map(() => 0), "static_hold");
+  }
+
+  if (maxStaticFrictionN === 0) {
+    return finish((driveForceN + dragForceN) / totalMassKg, blocks.map(() => 0), "frictionless");
+  }
+
+  const speed = input.velocityMps;
+
+  if (Math.abs(speed) <= VELOCITY_EPSILON) {
+    if (Math.abs(driveForceN) <= maxStaticFrictionN) {
+      const share = maxStaticFrictionN > 0 ? -driveForceN / maxStaticFrictionN : 0;
+      return finish(0, blocks.map((block) => share * block.maxStaticN), "static_hold");
+    }
+
+    const direction = driveForceN > 0 ? -1 : 1;
+    const frictionSignedN = blocks.map((block) => direction * block.kineticN);
+    const netForceN = driveForceN + frictionSignedN.reduce((sum, value) => sum + value, 0);
+    return finish(netForceN / totalMassKg, frictionSignedN, "breakaway");
+  }
+
+  const direction = speed > 0 ? -1 : 1;
+  const frictionSignedN = blocks.map((block) => direction * block.kineticN);
+  const netForceN = driveForceN + dragForceN + frictionSignedN.reduce((sum, value) => sum + value, 0);
+  return finish(netForceN / totalMassKg, frictionSignedN, "kinetic");
+}
+
+/**
+ * A chain of table blocks released from rest.
+ * @param {{blocks:ChainBlock[],massHangingKg:number,frictionEnabled:boolean,gravity:number,targetDistanceM:number,pulleyInertiaKgM2?:number,pulleyRadiusM?:number} & InclineInput} input
+ * @returns {ChainForces & {moved:boolean, timeToTargetS:number|null}}
+ */
+export function calculateChainFromRest(input) {
+  const forces = resolveChainForces({ ...input, velocityMps: 0 });
+  const targetDistanceM = Math.max(0, input.targetDistanceM);
+
+  return {
+    ...forces,
+    moved: forces.accelerationMps2 !== 0,
+    timeToTargetS: forces.accelerationMps2 > 0 && targetDistanceM > 0
+      ? Math.sqrt((2 * targetDistanceM) / forces.accelerationMps2)
+      : null
+  };
+}
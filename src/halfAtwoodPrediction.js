@@ -0,0 +1,88 @@
+/**
+ * A student's prediction for one trial, made before pressing Start.
+ * @typedef {Object} StudentPrediction
+ * @property {number} accelerationMps2
+ * @property {number} tensionN Hanging-side tension (right mass in full mode).
+ * @property {boolean} moves
+ */
+
+/**
+ * A prediction alongside how far it was from the from-rest solution.
+ * Percent errors are null when the true value is zero and the prediction
+ * is not, since a percentage of zero means nothing.
+ * @typedef {StudentPrediction & {
+ *   accelerationErrorPercent: number|null,
+ *   tensionErrorPercent: number|null,
+ *   movesCorrect: boolean
+ * }} PredictionScore
+ */
+
+/** Percent error at or below which a prediction counts as close. */
+export const CLOSE_PREDICTION_PERCENT = 10;
+
+/**
+ * @param {unknown} value
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+  if (typeof value === "string" && value.trim() === "") {
+    return null;
+  }
+
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Reads the prediction form. Every field is required; the first problem is
+ * reported so the student knows what to fix.
+ * @param {{accelerationMps2:unknown, tensionN:unknown, outcome:unknown}} raw
+ * @returns {{prediction: StudentPrediction|null, error: string|null}}
+ */
+export function parsePrediction(raw) {
+  const accelerationMps2 = parseNumber(raw.accelerationMps2);
+  if (accelerationMps2 === null) {
+    return { prediction: null, error: "Enter a predicted acceleration in m/s²." };
+  }
+
+  const tensionN = parseNumber(raw.tensionN);
+  if (tensionN === null || tensionN < 0) {
+    return { prediction: null, error: "Enter a predicted tension in newtons (0 or more)." };
+  }
+
+  if (raw.outcome !== "moves" && raw.outcome !== "stuck") {
+    return { prediction: null, error: "Choose whether the system moves or stays stuck." };
+  }
+
+  return {
+    prediction: { accelerationMps2, tensionN, moves: raw.outcome === "moves" },
+    error: null
+  };
+}
+
+/**
+ * @param {number} predicted
+ * @param {number} actual
+ * @returns {number|null}
+ */
+export function percentError(predicted, actual) {
+  if (Math.abs(actual) < 1e-9) {
+    return Math.abs(predicted) < 1e-9 ? 0 : null;
+  }
+
+  return (Math.abs(predicted - actual) / Math.abs(actual)) * 100;
+}
+
+/**
+ * @param {StudentPrediction} prediction
+ * @param {{accelerationMps2:number, tensionN:number, moved:boolean}} actual From-rest solution.
+ * @returns {PredictionScore}
+ */
+export function scorePrediction(prediction, actual) {
+  return {
+    ...prediction,
+    accelerationErrorPercent: percentError(prediction.accelerationMps2, actual.accelerationMps2),
+    tensionErrorPercent: percentError(prediction.tensionN, actual.tensionN),
+    movesCorrect: prediction.moves === actual.moved
+  };
+}
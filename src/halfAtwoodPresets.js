@@ -0,0 +1,263 @@
+import { clamp } from "./halfAtwoodPhysics.js";
+import { DEFAULT_INPUTS, sanitizeInputs } from "./halfAtwoodInputs.js";
+
+export const PRESET_STORAGE_KEY = "te-half-atwood-presets";
+const PRESET_FILE_VERSION = 1;
+const MAX_LABEL_LENGTH = 60;
+const MAX_MESSAGE_LENGTH = 200;
+
+/**
+ * @typedef {import("./halfAtwoodInputs.js").HalfAtwoodInputs} HalfAtwoodInputs
+ */
+
+/**
+ * A complete scenario: every physics input, so loading one never keeps a
+ * pulley or rope setting left over from before. Custom presets also carry
+ * the motion-sensor settings they were saved with; built-ins leave them as
+ * they are.
+ * @typedef {Omit<HalfAtwoodInputs, "gravityMps2" | "showForces" | "predictFirst" | InstrumentKey>
+ *   & Partial<Pick<HalfAtwoodInputs, InstrumentKey>> & {
+ *   id: string,
+ *   label: string,
+ *   builtIn: boolean,
+ *   gravityMps2: number|null,
+ *   statusMessage: string|null
+ * }} ScenarioPreset
+ * `gravityMps2` is null to keep the current gravity setting; `statusMessage`
+ * is shown when the preset loads.
+ */
+
+/**
+ * Classroom choices rather than part of a scenario, so a preset leaves them
+ * as the teacher set them.
+ */
+const NON_SCENARIO_KEYS = Object.freeze(["showForces", "predictFirst"]);
+
+/**
+ * @typedef {"sensorNoise" | "sensorSampleRateHz" | "sensorJitterMs" | "sensorResolutionMm" | "sensorSeed"} InstrumentKey
+ */
+
+/**
+ * Motion-sensor settings. A built-in preset describes only the apparatus,
+ * so loading one keeps the sensor the class is already using.
+ * @type {ReadonlyArray<InstrumentKey>}
+ */
+const INSTRUMENT_KEYS = Object.freeze(["sensorNoise", "sensorSampleRateHz", "sensorJitterMs", "sensorResolutionMm", "sensorSeed"]);
+
+/**
+ * @param {HalfAtwoodInputs} inputs
+ * @returns {Omit<HalfAtwoodInputs, "showForces" | "predictFirst">}
+ */
+function scenarioInputs(inputs) {
+  const scenario = { ...inputs };
+  for (const key of NON_SCENARIO_KEYS) {
+    delete scenario[key];
+  }
+  return scenario;
+}
+
+/**
+ * @param {string} id
+ * @param {string} label
+ * @param {Partial<HalfAtwoodInputs>} overrides Only what differs from the defaults.
+ * @param {string} statusMessage
+ * @returns {Readonly<ScenarioPreset>}
+ */
+function builtInPreset(id, label, overrides, statusMessage) {
+  const scenario = scenarioInputs({ ...DEFAULT_INPUTS, ...overrides });
+  for (const key of INSTRUMENT_KEYS) {
+    delete scenario[key];
+  }
+  return Object.freeze({
+    ...scenario,
+    id,
+    label,
+    builtIn: true,
+    gravityMps2: null,
+    statusMessage
+  });
+}
+
+/** @type {ReadonlyArray<ScenarioPreset>} */
+export const BUILT_IN_PRESETS = Object.freeze([
+  builtInPreset("baseline", "Frictionless Baseline", { frictionEnabled: false }, "Loaded frictionless baseline."),
+  builtInPreset("packet", "Packet Style", { massHangingKg: 1.8 }, "Loaded packet-style friction scenario."),
+  builtInPreset(
+    "cliff",
+    "Car + Rock Analog",
+    { massTableKg: 1000, massHangingKg: 50, frictionEnabled: false },
+    "Loaded car + rock analog (packet-style Atwood context)."
+  )
+]);
+
+/**
+ * The inputs a preset sets when it loads. A null gravity is dropped so the
+ * current gravity setting stays.
+ * @param {ScenarioPreset} preset
+ * @returns {Partial<HalfAtwoodInputs>}
+ */
+export function presetInputs(preset) {
+  const { id, label, builtIn, statusMessage, gravityMps2, ...inputs } = preset;
+  return gravityMps2 === null ? inputs : { ...inputs, gravityMps2 };
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function cleanText(value, maxLength) {
+  return typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+}
+
+/**
+ * @param {string} label
+ * @param {Iterable<string>} takenIds
+ * @returns {string}
+ */
+export function createPresetId(label, takenIds) {
+  const taken = new Set(takenIds);
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "preset";
+  const base = `custom-${slug}`;
+  let id = base;
+  let counter = 2;
+
+  while (taken.has(id)) {
+    id = `${base}-${counter}`;
+    counter += 1;
+  }
+
+  return id;
+}
+
+/**
+ * Validates one teacher preset. Scenario values go through the control
+ * limits, and any that are missing (e.g. from a library saved before a
+ * control existed) take their defaults; anything without a usable label is
+ * rejected.
+ * @param {unknown} raw
+ * @returns {ScenarioPreset|null}
+ */
+export function normalizePreset(raw) {
+  if (typeof raw !== "object" || raw === null) {
+    return null;
+  }
+
+  const source = /** @type {Record<string, unknown>} */ (raw);
+  const label = cleanText(source.label, MAX_LABEL_LENGTH);
+  if (!label) {
+    return null;
+  }
+
+  const inputs = sanitizeInputs(source, DEFAULT_INPUTS);
+  const gravity = Number(source.gravityMps2);
+  const statusMessage = cleanText(source.statusMessage, MAX_MESSAGE_LENGTH);
+
+  return {
+    ...scenarioInputs(inputs),
+    id: typeof source.id === "string" && source.id.startsWith("custom-") ? source.id : createPresetId(label, []),
+    label,
+    builtIn: false,
+    gravityMps2: source.gravityMps2 !== null && source.gravityMps2 !== undefined && Number.isFinite(gravity)
+      ? clamp(gravity, 0.1, 50)
+      : null,
+    statusMessage: statusMessage || null
+  };
+}
+
+/**
+ * @param {ScenarioPreset[]} presets
+ * @returns {string}
+ */
+export function serializePresetLibrary(presets) {
+  return JSON.stringify({
+    version: PRESET_FILE_VERSION,
+    presets: presets.filter((preset) => !preset.builtIn)
+  }, null, 2);
+}
+
+/**
+ * Reads a preset library file. Accepts either the exported object or a bare
+ * array of presets; invalid entries are counted rather than thrown.
+ * @param {string} json
+ * @returns {{presets: ScenarioPreset[], rejected: number}}
+ */
+export function parsePresetLibrary(json) {
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    throw new Error("Preset file is not valid JSON.");
+  }
+
+  const list = Array.isArray(raw) ? raw : raw?.presets;
+  if (!Array.isArray(list)) {
+    throw new Error("Preset file does not contain a presets list.");
+  }
+
+  const presets = [];
+  let rejected = 0;
+
+  for (const item of list) {
+    const preset = normalizePreset(item);
+    if (preset) {
+      presets.push(preset);
+    } else {
+      rejected += 1;
+    }
+  }
+
+  return { presets, rejected };
+}
+
+/**
+ * Adds imported presets to a custom library. A preset whose label matches an
+ * existing one replaces it; others get a fresh id so nothing is overwritten
+ * by accident.
+ * @param {ScenarioPreset[]} existing
+ * @param {ScenarioPreset[]} incoming
+ * @returns {ScenarioPreset[]}
+ */
+export function mergePresets(existing, incoming) {
+  const merged = [...existing];
+
+  for (const preset of incoming) {
+    const matchIndex = merged.findIndex((item) => item.label.toLowerCase() === preset.label.toLowerCase());
+    if (matchIndex >= 0) {
+      merged[matchIndex] = { ...preset, id: merged[matchIndex].id };
+      continue;
+    }
+
+    const takenIds = [...BUILT_IN_PRESETS, ...merged].map((item) => item.id);
+    merged.push({ ...preset, id: createPresetId(preset.label, takenIds) });
+  }
+
+  return merged;
+}
+
+/**
+ * @param {Storage} storage
+ * @returns {ScenarioPreset[]}
+ */
+export function loadCustomPresets(storage) {
+  try {
+    const json = storage.getItem(PRESET_STORAGE_KEY);
+    return json ? mergePresets([], parsePresetLibrary(json).presets) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {Storage} storage
+ * @param {ScenarioPreset[]} presets
+ * @returns {boolean}
+ */
+export function saveCustomPresets(storage, presets) {
+  try {
+    storage.setItem(PRESET_STORAGE_KEY, serializePresetLibrary(presets));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,301 @@
+import { calculateHalfAtwoodFromRest } from "./halfAtwoodPhysics.js";
+import { DEFAULT_INPUTS } from "./halfAtwoodInputs.js";
+import { percentError } from "./halfAtwoodPrediction.js";
+import { createRng } from "./signals.js";
+
+/**
+ * @typedef {"acceleration"|"tension"|"time"|"moves"} ProblemKind
+ */
+
+/**
+ * Givens for one packet problem: a block on a level table tied over an
+ * ideal pulley to a hanging mass, released from rest.
+ * @typedef {Object} ProblemGivens
+ * @property {number} massTableKg
+ * @property {number} massHangingKg
+ * @property {boolean} frictionEnabled
+ * @property {number} muStatic
+ * @property {number} muKinetic
+ * @property {number} gravityMps2
+ * @property {number} distanceM How far the hanging mass falls in "time" problems.
+ */
+
+/**
+ * @typedef {Object} PracticeProblem
+ * @property {number} seed Regenerates the same problem.
+ * @property {ProblemKind} kind
+ * @property {ProblemGivens} givens
+ * @property {string} prompt
+ * @property {number|boolean} answer A number in `unit`, or whether the system moves.
+ * @property {string} unit
+ * @property {string[]} solution Worked steps, ending with the answer.
+ */
+
+export const PROBLEM_KINDS = Object.freeze(/** @type {ProblemKind[]} */ (["acceleration", "tension", "time", "moves"]));
+
+/** Numeric answers within this percent of the model answer count as correct. */
+export const ANSWER_TOLERANCE_PERCENT = 2;
+
+/** Packet problems use the exam convention. */
+const PROBLEM_GRAVITY = 10;
+/** Give up on drawing a moving system after this many tries and drop friction. */
+const MAX_DRAWS = 40;
+
+/** @type {Readonly<Record<ProblemKind, string>>} */
+const UNITS = Object.freeze({
+  acceleration: "m/s²",
+  tension: "N",
+  time: "s",
+  moves: ""
+});
+
+/**
+ * A value on an even grid from `min` to `max`, so givens read like a packet.
+ * @param {() => number} rng
+ * @param {number} min
+ * @param {number} max
+ * @param {number} step
+ * @returns {number}
+ */
+function pick(rng, min, max, step) {
+  const count = Math.round((max - min) / step) + 1;
+  return Number((min + step * Math.floor(rng() * count)).toFixed(2));
+}
+
+/**
+ * Three significant figures without trailing zeros.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+  return String(Number(value.toPrecision(3)));
+}
+
+/**
+ * @param {() => number} rng
+ * @param {ProblemKind} kind
+ * @returns {ProblemGivens}
+ */
+function drawGivens(rng, kind) {
+  const muStatic = pick(rng, 0.1, 0.6, 0.05);
+
+  return {
+    massTableKg: pick(rng, 1, 5, 0.5),
+    massHangingKg: pick(rng, 0.5, 3, 0.1),
+    // "Does it move?" only makes sense with friction to beat.
+    frictionEnabled: kind === "moves" || rng() < 0.75,
+    muStatic,
+    muKinetic: Math.max(0.05, Number((muStatic - pick(rng, 0.05, 0.15, 0.05)).toFixed(2))),
+    gravityMps2: PROBLEM_GRAVITY,
+    distanceM: pick(rng, 0.4, 0.7, 0.1)
+  };
+}
+
+/**
+ * @param {ProblemGivens} givens
+ */
+function solve(givens) {
+  return calculateHalfAtwoodFromRest({
+    massTableKg: givens.massTableKg,
+    massHangingKg: givens.massHangingKg,
+    frictionEnabled: givens.frictionEnabled,
+    muStatic: givens.muStatic,
+    muKinetic: givens.muKinetic,
+    gravity: givens.gravityMps2,
+    targetDistanceM: givens.distanceM
+  });
+}
+
+/**
+ * @param {ProblemKind} kind
+ * @param {ProblemGivens} givens
+ * @returns {string}
+ */
+function writePrompt(kind, givens) {
+  const surface = givens.frictionEnabled
+    ? `a level table (μₛ = ${givens.muStatic}, μₖ = ${givens.muKinetic})`
+    : "a frictionless, level table";
+  /** @type {Record<ProblemKind, string>} */
+  const questions = {
+    acceleration: "Find the acceleration of the system.",
+    tension: "Find the tension in the string.",
+    time: `How long does the hanging mass take to fall ${givens.distanceM} m?`,
+    moves: "Does the system start to move?"
+  };
+
+  return `A ${givens.massTableKg} kg block rests on ${surface}. A light string over a frictionless pulley ties it to a `
+    + `${givens.massHangingKg} kg hanging mass, and the system is released from rest. Use g = ${givens.gravityMps2} m/s². ${questions[kind]}`;
+}
+
+/**
+ * Worked solution written with the model equations, stopping once the
+ * asked-for quantity is reached.
+ * @param {ProblemKind} kind
+ * @param {ProblemGivens} givens
+ * @param {ReturnType<typeof calculateHalfAtwoodFromRest>} result
+ * @returns {string[]}
+ */
+function writeSolution(kind, givens, result) {
+  const g = givens.gravityMps2;
+  const weightN = givens.massHangingKg * g;
+  const steps = [`Weight of the hanging mass: mₕg = ${givens.massHangingKg} × ${g} = ${formatNumber(weightN)} N.`];
+
+  if (givens.frictionEnabled) {
+    const normalN = givens.massTableKg * g;
+    const maxStaticN = givens.muStatic * normalN;
+    steps.push(
+      `Normal force on the block: N = mₜg = ${givens.massTableKg} × ${g} = ${formatNumber(normalN)} N.`,
+      `Largest static friction: μₛN = ${givens.muStatic} × ${formatNumber(normalN)} = ${formatNumber(maxStaticN)} N.`
+    );
+
+    if (!result.moved) {
+      steps.push(
+        `${formatNumber(weightN)} N ≤ ${formatNumber(maxStaticN)} N, so static friction holds the system at rest: a = 0 and T = mₕg = ${formatNumber(weightN)} N.`,
+        "Answer: it stays at rest."
+      );
+      return steps;
+    }
+
+    steps.push(`${formatNumber(weightN)} N > ${formatNumber(maxStaticN)} N, so the system starts to move and kinetic friction takes over.`);
+  } else {
+    steps.push("With no friction, any hanging mass starts the system moving.");
+  }
+
+  if (kind === "moves") {
+    steps.push("Answer: it moves.");
+    return steps;
+  }
+
+  const a = result.accelerationMps2;
+  const totalKg = formatNumber(givens.massTableKg + givens.massHangingKg);
+  if (givens.frictionEnabled) {
+    const kineticN = givens.muKinetic * givens.massTableKg * g;
+    steps.push(
+      `Newton's second law for the whole system: a = (mₕg − μₖmₜg) / (mₜ + mₕ) = (${formatNumber(weightN)} − ${formatNumber(kineticN)}) / ${totalKg} = ${formatNumber(a)} m/s².`
+    );
+  } else {
+    steps.push(`Newton's second law for the whole system: a = mₕg / (mₜ + mₕ) = ${formatNumber(weightN)} / ${totalKg} = ${formatNumber(a)} m/s².`);
+  }
+
+  if (kind === "tension") {
+    steps.push(
+      `Newton's second law for the hanging mass: mₕg − T = mₕa, so T = mₕ(g − a) = ${givens.massHangingKg} × (${g} − ${formatNumber(a)}) = ${formatNumber(result.tensionHangingN)} N.`
+    );
+  } else if (kind === "time") {
+    steps.push(
+      `From rest, d = ½at², so t = √(2d / a) = √(2 × ${givens.distanceM} / ${formatNumber(a)}) = ${formatNumber(/** @type {number} */ (result.timeToTargetS))} s.`
+    );
+  }
+
+  steps.push(`Answer: ${formatNumber(/** @type {number} */ (answerFor(kind, result)))} ${UNITS[kind]}.`);
+  return steps;
+}
+
+/**
+ * @param {ProblemKind} kind
+ * @param {ReturnType<typeof calculateHalfAtwoodFromRest>} result
+ * @returns {number|boolean}
+ */
+function answerFor(kind, result) {
+  if (kind === "acceleration") {
+    return result.accelerationMps2;
+  }
+  if (kind === "tension") {
+    return result.tensionHangingN;
+  }
+  if (kind === "time") {
+    return /** @type {number} */ (result.timeToTargetS);
+  }
+  return result.moved;
+}
+
+/**
+ * Builds a packet-style problem from a seed. Numeric questions redraw
+ * until the system moves, since a, T and t are not interesting at rest.
+ * @param {number} seed
+ * @param {ProblemKind} [kind] Random when omitted.
+ * @returns {PracticeProblem}
+ */
+export function generateProblem(seed, kind) {
+  const rng = createRng(seed);
+  const problemKind = kind ?? PROBLEM_KINDS[Math.floor(rng() * PROBLEM_KINDS.length)];
+
+  let givens = drawGivens(rng, problemKind);
+  for (let draw = 1; draw < MAX_DRAWS && problemKind !== "moves" && !solve(givens).moved; draw += 1) {
+    givens = drawGivens(rng, problemKind);
+  }
+  if (problemKind !== "moves" && !solve(givens).moved) {
+    givens = { ...givens, frictionEnabled: false };
+  }
+
+  const result = solve(givens);
+  return {
+    seed,
+    kind: problemKind,
+    givens,
+    prompt: writePrompt(problemKind, givens),
+    answer: answerFor(problemKind, result),
+    unit: UNITS[problemKind],
+    solution: writeSolution(problemKind, givens, result)
+  };
+}
+
+/**
+ * Checks a student's answer: a number for a, T or t, or "moves"/"stuck".
+ * @param {PracticeProblem} problem
+ * @param {unknown} raw
+ * @returns {{correct: boolean, message: string}}
+ */
+export function checkAnswer(problem, raw) {
+  if (typeof problem.answer === "boolean") {
+    if (raw !== "moves" && raw !== "stuck") {
+      return { correct: false, message: "Choose whether the system moves or stays at rest." };
+    }
+    return (raw === "moves") === problem.answer
+      ? { correct: true, message: "Correct." }
+      : { correct: false, message: "Not quite. Compare the hanging weight with the largest static friction." };
+  }
+
+  const value = typeof raw === "string" && raw.trim() === "" ? NaN : Number(raw);
+  if (!Number.isFinite(value)) {
+    return { correct: false, message: `Enter a number in ${problem.unit}.` };
+  }
+
+  const error = /** @type {number} */ (percentError(value, problem.answer));
+  if (error <= ANSWER_TOLERANCE_PERCENT) {
+    return { correct: true, message: `Correct: ${formatNumber(problem.answer)} ${problem.unit}.` };
+  }
+  return {
+    correct: false,
+    message: `Not within ${ANSWER_TOLERANCE_PERCENT}% of the answer (you are ${Math.round(error)}% off). Try again or show the worked solution.`
+  };
+}
+
+/**
+ * Simulation inputs that reproduce the problem: the half machine on a level
+ * table with an ideal pulley and string and no drag.
+ * @param {PracticeProblem} problem
+ * @returns {Partial<import("./halfAtwoodInputs.js").HalfAtwoodInputs>}
+ */
+export function problemInputs(problem) {
+  const { givens } = problem;
+
+  return {
+    machineMode: "half",
+    massTableKg: givens.massTableKg,
+    massHangingKg: givens.massHangingKg,
+    initialVelocityMps: 0,
+    frictionEnabled: givens.frictionEnabled,
+    muStatic: givens.muStatic,
+    muKinetic: givens.muKinetic,
+    pulleyInertiaKgM2: 0,
+    ropeMassPerLengthKgPerM: 0,
+    gravityMps2: givens.gravityMps2,
+    inclineAngleDeg: 0,
+    trailingBlockEnabled: false,
+    cartEnabled: false,
+    linearDragNsPerM: 0,
+    quadraticDragNs2PerM2: 0,
+    floorHeightM: Math.max(DEFAULT_INPUTS.floorHeightM, givens.distanceM)
+  };
+}
@@ -0,0 +1,211 @@
+import { linearRegressionInWindow } from "./regression.js";
+import { buildNoiseSampler } from "./signals.js";
+
+/**
+ * @typedef {import("./halfAtwoodHistory.js").RunHistory} RunHistory
+ */
+
+/**
+ * Motion-sensor settings. The same seed and settings always give the same
+ * readings for the same run, so a teacher can reproduce a student's data.
+ * @typedef {Object} SensorSettings
+ * @property {number} seed
+ * @property {number} sampleRateHz
+ * @property {number} timingJitterMs Standard deviation of when each reading is actually taken.
+ * @property {number} positionResolutionMm Positions are rounded to this step.
+ */
+
+/**
+ * Index of the last sample at or before `timeS`.
+ * @param {number[]} timesS
+ * @param {number} timeS
+ * @returns {number}
+ */
+function sampleIndexAt(timesS, timeS) {
+  let low = 0;
+  let high = timesS.length - 1;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (timesS[mid] <= timeS) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Position between logged samples, carried forward from the last one with
+ * its velocity and acceleration. History is logged less often than the
+ * stepper steps, so this is an approximation wherever the acceleration
+ * changes between samples (drag, the landing, a friction stop), though a
+ * close one next to the sensor's own resolution.
+ * @param {RunHistory} history
+ * @param {number} timeS
+ * @returns {number}
+ */
+function displacementAt(history, timeS) {
+  const index = sampleIndexAt(history.timesS, timeS);
+  const dt = timeS - history.timesS[index];
+  return history.displacementM[index] + history.velocityMps[index] * dt + 0.5 * history.accelerationMps2[index] * dt * dt;
+}
+
+/**
+ * Central differences of `values` over evenly spaced `timesS`, one-sided at
+ * the ends, as sensor software does. Only entries from index `from` on are
+ * (re)written into `out`; earlier ones cannot change when readings are
+ * appended.
+ * @param {number[]} timesS
+ * @param {number[]} values
+ * @param {number[]} out
+ * @param {number} from
+ */
+function differentiateInto(timesS, values, out, from) {
+  const count = values.length;
+  out.length = count;
+
+  for (let index = Math.max(0, from); index < count; index += 1) {
+    if (count < 2) {
+      out[index] = 0;
+      continue;
+    }
+
+    const before = Math.max(0, index - 1);
+    const after = Math.min(count - 1, index + 1);
+    out[index] = (values[after] - values[before]) / (timesS[after] - timesS[before]);
+  }
+}
+
+/**
+ * Sensor readings for a run that is still being logged. Readings whose
+ * moment has been logged are kept; the last few, taken after the end of
+ * the log so far, are provisional and redone on the next update.
+ * @typedef {Object} SensorLog
+ * @property {RunHistory} source
+ * @property {SensorSettings} settings
+ * @property {RunHistory} measured Updated in place.
+ * @property {(scale: number) => number} noise
+ * @property {number} committed Readings in `measured` that will not change.
+ * @property {number[]} pendingJitterS Timing errors already drawn for the readings after those.
+ */
+
+/**
+ * @param {RunHistory} source
+ * @param {SensorSettings} settings
+ * @returns {SensorLog}
+ */
+export function createSensorLog(source, settings) {
+  return {
+    source,
+    settings,
+    measured: {
+      timesS: [],
+      displacementM: [],
+      velocityMps: [],
+      accelerationMps2: [],
+      tensionTableN: [],
+      tensionHangingN: [],
+      frictionN: [],
+      netForceN: [],
+      modes: []
+    },
+    noise: buildNoiseSampler(settings.seed, true),
+    committed: 0,
+    pendingJitterS: []
+  };
+}
+
+/**
+ * Brings the readings up to the end of the source history, doing work only
+ * for the readings since the last update. Gives the same readings as
+ * `sensorHistory` on the history as it stands.
+ * @param {SensorLog} log
+ * @returns {RunHistory} `log.measured`
+ */
+export function updateSensorLog(log) {
+  const { source, settings, measured } = log;
+  const count = source.timesS.length;
+  if (!count || settings.sampleRateHz <= 0) {
+    return measured;
+  }
+
+  const start = log.committed;
+  for (const values of Object.values(measured)) {
+    values.length = start;
+  }
+
+  const firstS = source.timesS[0];
+  const lastS = source.timesS[count - 1];
+  const periodS = 1 / settings.sampleRateHz;
+  const jitterS = Math.max(0, settings.timingJitterMs) / 1000;
+  const resolutionM = Math.max(0, settings.positionResolutionMm) / 1000;
+  let provisional = false;
+
+  for (let reading = start; firstS + reading * periodS <= lastS + 1e-9; reading += 1) {
+    const pending = reading - start;
+    if (pending >= log.pendingJitterS.length) {
+      log.pendingJitterS.push(log.noise(jitterS));
+    }
+
+    const timeS = firstS + reading * periodS;
+    const takenAtS = Math.max(firstS, timeS + log.pendingJitterS[pending]);
+    // A reading taken after the end of the log is clamped to it for now.
+    provisional = provisional || takenAtS > lastS;
+    if (!provisional) {
+      log.committed += 1;
+    }
+
+    const positionM = displacementAt(source, Math.min(lastS, takenAtS));
+    const nearest = sampleIndexAt(source.timesS, timeS);
+
+    measured.timesS.push(timeS);
+    measured.displacementM.push(resolutionM > 0 ? Math.round(positionM / resolutionM) * resolutionM : positionM);
+    measured.tensionTableN.push(source.tensionTableN[nearest]);
+    measured.tensionHangingN.push(source.tensionHangingN[nearest]);
+    measured.frictionN.push(source.frictionN[nearest]);
+    measured.netForceN.push(source.netForceN[nearest]);
+    measured.modes.push(source.modes[nearest]);
+  }
+
+  log.pendingJitterS.splice(0, log.committed - start);
+  differentiateInto(measured.timesS, measured.displacementM, measured.velocityMps, start - 1);
+  differentiateInto(measured.timesS, measured.velocityMps, measured.accelerationMps2, start - 2);
+  return measured;
+}
+
+/**
+ * What a motion sensor would have logged for a run: readings at a fixed
+ * rate, each taken slightly early or late, positions rounded to the
+ * sensor's resolution, and velocity and acceleration worked out from those
+ * positions. Forces are not measured, so they are copied from the nearest
+ * logged sample to keep the history's shape.
+ * @param {RunHistory} history
+ * @param {SensorSettings} settings
+ * @returns {RunHistory}
+ */
+export function sensorHistory(history, settings) {
+  return updateSensorLog(createSensorLog(history, settings));
+}
+
+/**
+ * Acceleration a student would get from the sensor data: the slope of the
+ * v–t readings from the start of the run to `endS` (e.g. the landing),
+ * leaving out the one-sided differences at each end.
+ * @param {RunHistory} measured
+ * @param {number} endS
+ * @returns {number|null}
+ */
+export function measuredAcceleration(measured, endS) {
+  const count = measured.timesS.length;
+  if (count < 4) {
+    return null;
+  }
+
+  const startS = measured.timesS[1];
+  const stopS = Math.min(endS, measured.timesS[count - 2]);
+  const fit = linearRegressionInWindow(measured.timesS, measured.velocityMps, startS, stopS);
+  return fit ? fit.slope : null;
+}
@@ -0,0 +1,186 @@
+import { sanitizeInputs } from "./halfAtwoodInputs.js";
+
+export const SESSION_STORAGE_KEY = "te-half-atwood-session";
+const SESSION_VERSION = 1;
+
+/**
+ * @typedef {import("./halfAtwoodInputs.js").HalfAtwoodInputs} HalfAtwoodInputs
+ * @typedef {import("./state.js").HalfAtwoodTrialRecord} HalfAtwoodTrialRecord
+ */
+
+/**
+ * @typedef {Object} HalfAtwoodSession
+ * @property {HalfAtwoodInputs} inputs
+ * @property {HalfAtwoodTrialRecord[]} records
+ * @property {number} nextTrialId
+ * @property {"discovery"|"theory"} activeTab
+ */
+
+/** Fields the trial table, analysis graph and exports read as numbers; a record missing one is dropped. */
+const REQUIRED_RECORD_NUMBERS = Object.freeze([
+  "id",
+  "massTableKg",
+  "massHangingKg",
+  "muStatic",
+  "muKinetic",
+  "gravityMps2",
+  "inclineAngleDeg",
+  "accel",
+  "tensionTable",
+  "tensionHanging"
+]);
+
+/** Numeric fields added after the first saved sessions, and what older records mean by them. */
+const DEFAULTED_RECORD_NUMBERS = Object.freeze({
+  pulleyInertiaKgM2: 0,
+  ropeMassPerLengthKgPerM: 0,
+  trailingMuStatic: 0,
+  trailingMuKinetic: 0,
+  linearDragNsPerM: 0,
+  quadraticDragNs2PerM2: 0,
+  initialVelocityMps: 0
+});
+
+/** Numeric fields that are null when they do not apply to the trial. */
+const NULLABLE_RECORD_NUMBERS = Object.freeze([
+  "trailingMassKg",
+  "rollingResistanceCoefficient",
+  "floorHeightM",
+  "tensionLink",
+  "slideAfterLandingM"
+]);
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * A stored trial with every field the app reads filled in, or null when
+ * the numbers it was recorded with are missing. Records saved before a
+ * field existed get the value that field meant then (no drag, no push).
+ * @param {unknown} value
+ * @returns {HalfAtwoodTrialRecord|null}
+ */
+function normalizeRecord(value) {
+  if (!isObject(value) || !REQUIRED_RECORD_NUMBERS.every((key) => Number.isFinite(value[key]))) {
+    return null;
+  }
+
+  const record = { ...value };
+  for (const [key, fallback] of Object.entries(DEFAULTED_RECORD_NUMBERS)) {
+    record[key] = Number.isFinite(value[key]) ? value[key] : fallback;
+  }
+  for (const key of NULLABLE_RECORD_NUMBERS) {
+    record[key] = Number.isFinite(value[key]) ? value[key] : null;
+  }
+
+  record.machineMode = value.machineMode === "full" ? "full" : "half";
+  record.frictionEnabled = value.frictionEnabled !== false;
+  record.moved = value.moved === true;
+  record.prediction = isObject(value.prediction) ? value.prediction : null;
+  record.history = isObject(value.history) && Array.isArray(value.history.timesS) && value.history.timesS.length
+    ? value.history
+    : null;
+  record.sensor = isObject(value.sensor) && Number.isFinite(value.sensor.seed) ? value.sensor : null;
+  record.timestampIso = typeof value.timestampIso === "string" ? value.timestampIso : "";
+  return /** @type {HalfAtwoodTrialRecord} */ (record);
+}
+
+/**
+ * Rebuilds a session from stored JSON. Anything malformed falls back to
+ * defaults rather than throwing, so a bad save never blocks the page.
+ * @param {string|null} json
+ * @returns {HalfAtwoodSession|null}
+ */
+export function parseSession(json) {
+  if (!json) {
+    return null;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    return null;
+  }
+
+  if (typeof raw !== "object" || raw === null || raw.version !== SESSION_VERSION) {
+    return null;
+  }
+
+  const records = Array.isArray(raw.records)
+    ? raw.records.map(normalizeRecord).filter((record) => record !== null)
+    : [];
+  const highestId = records.reduce((max, record) => Math.max(max, record.id), 0);
+  const storedNextId = Number.isInteger(raw.nextTrialId) ? raw.nextTrialId : 1;
+
+  return {
+    inputs: sanitizeInputs(typeof raw.inputs === "object" && raw.inputs !== null ? raw.inputs : {}),
+    records,
+    nextTrialId: Math.max(storedNextId, highestId + 1),
+    activeTab: raw.activeTab === "theory" ? "theory" : "discovery"
+  };
+}
+
+/**
+ * @param {HalfAtwoodSession} session
+ * @returns {string}
+ */
+export function serializeSession(session) {
+  return JSON.stringify({
+    version: SESSION_VERSION,
+    ...session
+  });
+}
+
+/**
+ * @param {Storage} storage
+ * @returns {HalfAtwoodSession|null}
+ */
+export function loadSession(storage) {
+  try {
+    return parseSession(storage.getItem(SESSION_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Saves the session. If it does not fit in storage, run histories are
+ * dropped so the inputs and trial table are still kept; the result says so,
+ * letting the caller warn that the histories were lost.
+ * @param {Storage} storage
+ * @param {HalfAtwoodSession} session
+ * @returns {"saved"|"withoutHistories"|"failed"}
+ */
+export function saveSession(storage, session) {
+  try {
+    storage.setItem(SESSION_STORAGE_KEY, serializeSession(session));
+    return "saved";
+  } catch {
+    // Fall through and retry without histories.
+  }
+
+  try {
+    const records = session.records.map((record) => ({ ...record, history: null }));
+    storage.setItem(SESSION_STORAGE_KEY, serializeSession({ ...session, records }));
+    return "withoutHistories";
+  } catch {
+    return "failed";
+  }
+}
+
+/**
+ * @param {Storage} storage
+ */
+export function clearSession(storage) {
+  try {
+    storage.removeItem(SESSION_STORAGE_KEY);
+  } catch {
+    // Storage unavailable; nothing to clear.
+  }
+}
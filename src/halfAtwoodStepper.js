@@ -0,0 +1,238 @@
+import { VELOCITY_EPSILON } from "./halfAtwoodPhysics.js";
+
+export const FIXED_STEP_S = 1 / 240;
+export const MAX_FRAME_S = 0.25;
+
+/**
+ * A jerk that would lift the hanging mass less than this counts as it
+ * settling on the floor, rather than bouncing ever smaller forever.
+ */
+const SETTLE_LIFT_M = 1e-3;
+
+/**
+ * Where a block jerking the string taut is put: just on the taut side of
+ * the landing point, so the force resolver sees the string taut.
+ */
+const TAUT_SIDE_M = 1e-9;
+
+/**
+ * @typedef {Object} MotionState
+ * @property {number} timeS
+ * @property {number} displacementM
+ * @property {number} velocityMps
+ */
+
+/**
+ * @typedef {(motion: MotionState) => {accelerationMps2:number, mode:string, dragForceN?:number}} ForceResolver
+ */
+
+/**
+ * @typedef {"running"|"held"|"boundary"} StepStatus
+ */
+
+/**
+ * Classic fourth-order Runge–Kutta step, for when drag makes the
+ * acceleration depend on velocity.
+ * @param {MotionState} motion
+ * @param {ForceResolver} resolveForces
+ * @param {number} dtS
+ * @param {number} accelerationMps2 The resolver's acceleration at `motion`.
+ * @returns {MotionState}
+ */
+function rungeKuttaStep(motion, resolveForces, dtS, accelerationMps2) {
+  /**
+   * @param {number} offsetS
+   * @param {{velocityMps:number, accelerationMps2:number}} slope
+   */
+  const slopeAt = (offsetS, slope) => {
+    const velocityMps = motion.velocityMps + slope.accelerationMps2 * offsetS;
+    const stage = {
+      timeS: motion.timeS + offsetS,
+      displacementM: motion.displacementM + slope.velocityMps * offsetS,
+      velocityMps
+    };
+    return { velocityMps, accelerationMps2: resolveForces(stage).accelerationMps2 };
+  };
+
+  const k1 = { velocityMps: motion.velocityMps, accelerationMps2 };
+  const k2 = slopeAt(dtS / 2, k1);
+  const k3 = slopeAt(dtS / 2, k2);
+  const k4 = slopeAt(dtS, k3);
+
+  return {
+    timeS: motion.timeS + dtS,
+    displacementM: motion.displacementM
+      + (dtS / 6) * (k1.velocityMps + 2 * k2.velocityMps + 2 * k3.velocityMps + k4.velocityMps),
+    velocityMps: motion.velocityMps
+      + (dtS / 6) * (k1.accelerationMps2 + 2 * k2.accelerationMps2 + 2 * k3.accelerationMps2 + k4.accelerationMps2)
+  };
+}
+
+/**
+ * Advances one step with the acceleration held constant across it, which is
+ * exact for the piecewise-constant Coulomb friction model. While drag acts,
+ * the acceleration changes with velocity inside the step, so the step is a
+ * Runge–Kutta one instead. When velocity would change sign, the step is
+ * split at the zero crossing so friction is re-evaluated at rest and static
+ * friction can take over; drag is tiny that close to rest, so the split
+ * keeps the constant-acceleration update.
+ * @param {MotionState} motion
+ * @param {ForceResolver} resolveForces
+ * @param {number} dtS
+ * @returns {{motion: MotionState, status: StepStatus}}
+ */
+export function stepMotion(motion, resolveForces, dtS) {
+  const forces = resolveForces(motion);
+  const velocityMps = motion.velocityMps;
+
+  if (forces.mode === "static_hold" && Math.abs(velocityMps) <= VELOCITY_EPSILON) {
+    return {
+      motion: {
+        timeS: motion.timeS + dtS,
+        displacementM: motion.displacementM,
+        velocityMps: 0
+      },
+      status: "held"
+    };
+  }
+
+  const accelerationMps2 = forces.accelerationMps2;
+
+  if (forces.dragForceN) {
+    const next = rungeKuttaStep(motion, resolveForces, dtS, accelerationMps2);
+    if (next.velocityMps * velocityMps > 0) {
+      return { motion: next, status: "running" };
+    }
+  }
+
+  const nextVelocityMps = velocityMps + accelerationMps2 * dtS;
+  const crossesZero = Math.abs(velocityMps) > VELOCITY_EPSILON && velocityMps * nextVelocityMps <= 0;
+
+  if (crossesZero && accelerationMps2 !== 0) {
+    const crossingS = -velocityMps / accelerationMps2;
+    const atRest = {
+      timeS: motion.timeS + crossingS,
+      displacementM: motion.displacementM + velocityMps * crossingS + 0.5 * accelerationMps2 * crossingS * crossingS,
+      velocityMps: 0
+    };
+    const remainderS = dtS - crossingS;
+
+    if (remainderS <= 0) {
+      return { motion: atRest, status: "running" };
+    }
+
+    return stepMotion(atRest, resolveForces, remainderS);
+  }
+
+  return {
+    motion: {
+      timeS: motion.timeS + dtS,
+      displacementM: motion.displacementM + velocityMps * dtS + 0.5 * accelerationMps2 * dtS * dtS,
+      velocityMps: nextVelocityMps
+    },
+    status: "running"
+  };
+}
+
+/**
+ * Redoes a step that crossed the point where the string goes slack, so the
+ * forces from one side are not carried past it: first up to that point
+ * (found by interpolating the step), then the rest of the step from there.
+ * Coming back onto the taut side the block jerks the string taut, sharing
+ * its momentum with the resting hanging mass; a jerk that would barely lift
+ * the hanging mass leaves it settled on the floor instead.
+ * @param {MotionState} motion
+ * @param {MotionState} crossed Where the whole step would have ended.
+ * @param {ForceResolver} resolveForces
+ * @param {{fromM:number, velocityRatio:number}} slackString
+ * @returns {{motion: MotionState, status: StepStatus}}
+ */
+function stepAcrossSlackPoint(motion, crossed, resolveForces, slackString) {
+  const dtS = crossed.timeS - motion.timeS;
+  const reachS = (dtS * (slackString.fromM - motion.displacementM)) / (crossed.displacementM - motion.displacementM);
+  const reached = stepMotion(motion, resolveForces, reachS).motion;
+  const landing = crossed.displacementM >= slackString.fromM;
+  const atPoint = landing
+    ? { ...reached, displacementM: slackString.fromM }
+    : {
+      ...reached,
+      displacementM: slackString.fromM - TAUT_SIDE_M,
+      velocityMps: reached.velocityMps * slackString.velocityRatio
+    };
+
+  const accelerationMps2 = resolveForces(atPoint).accelerationMps2;
+  if (!landing && accelerationMps2 > 0 && (atPoint.velocityMps * atPoint.velocityMps) / (2 * accelerationMps2) < SETTLE_LIFT_M) {
+    return {
+      motion: { timeS: crossed.timeS, displacementM: slackString.fromM, velocityMps: 0 },
+      status: "held"
+    };
+  }
+
+  return stepMotion(atPoint, resolveForces, dtS - reachS);
+}
+
+/**
+ * Runs as many whole fixed steps as fit in `elapsedS` and returns the unused
+ * time so the caller can carry it into the next frame. Stops early when
+ * static friction holds the system, the far travel limit is reached, or the
+ * forces pin the system against the near limit (e.g. a ramp pulling the
+ * block back onto its end stop).
+ * With `slackString`, the string is slack from `fromM` on, and a block that
+ * comes back below it jerks the string taut, scaling the velocity by
+ * `velocityRatio`.
+ * `onStep` sees the state after every completed step, including the last one.
+ * @param {MotionState} motion
+ * @param {ForceResolver} resolveForces
+ * @param {{elapsedS:number, stepS?:number, minDisplacementM?:number, maxDisplacementM?:number, slackString?:{fromM:number, velocityRatio:number}, onStep?:(motion: MotionState) => void}} options
+ * @returns {{motion: MotionState, status: StepStatus, remainderS: number}}
+ */
+export function advanceMotion(motion, resolveForces, options) {
+  const stepS = options.stepS ?? FIXED_STEP_S;
+  const minDisplacementM = options.minDisplacementM ?? Number.NEGATIVE_INFINITY;
+  const maxDisplacementM = options.maxDisplacementM ?? Number.POSITIVE_INFINITY;
+  const onStep = options.onStep ?? (() => {});
+  const slackString = options.slackString ?? null;
+
+  let current = motion;
+  let remainderS = Math.max(0, options.elapsedS);
+
+  while (remainderS >= stepS) {
+    let result = stepMotion(current, resolveForces, stepS);
+    if (slackString && (current.displacementM >= slackString.fromM) !== (result.motion.displacementM >= slackString.fromM)) {
+      result = stepAcrossSlackPoint(current, result.motion, resolveForces, slackString);
+    }
+    current = result.motion;
+    remainderS -= stepS;
+
+    if (current.displacementM < minDisplacementM) {
+      current = {
+        ...current,
+        displacementM: minDisplacementM,
+        velocityMps: Math.max(0, current.velocityMps)
+      };
+
+      if (current.velocityMps === 0 && resolveForces(current).accelerationMps2 < 0) {
+        onStep(current);
+        return { motion: current, status: "boundary", remainderS: 0 };
+      }
+    }
+
+    if (current.displacementM >= maxDisplacementM) {
+      current = {
+        ...current,
+        displacementM: maxDisplacementM,
+        velocityMps: 0
+      };
+      onStep(current);
+      return { motion: current, status: "boundary", remainderS: 0 };
+    }
+
+    onStep(current);
+
+    if (result.status === "held") {
+      return { motion: current, status: "held", remainderS: 0 };
+    }
+  }
+
+  return { motion: current, status: "running", remainderS };
+}
@@ -0,0 +1,119 @@
+import { NUMERIC_INPUT_LIMITS } from "./halfAtwoodInputs.js";
+
+/**
+ * @typedef {"massHangingKg"|"massTableKg"|"mu"|"initialVelocityMps"} SweepVariable
+ */
+
+/**
+ * A validated sweep: the variable and the value for each trial, in order.
+ * @typedef {Object} Sweep
+ * @property {SweepVariable} variable
+ * @property {number[]} values
+ */
+
+/** @type {Readonly<Record<SweepVariable, {label: string, unit: string}>>} */
+export const SWEEP_VARIABLES = Object.freeze({
+  massHangingKg: { label: "Hanging mass mₕ", unit: "kg" },
+  massTableKg: { label: "Table mass mₜ", unit: "kg" },
+  mu: { label: "Kinetic friction μₖ", unit: "" },
+  initialVelocityMps: { label: "Initial velocity v₀", unit: "m/s" }
+});
+
+/** Most trials one sweep may record. */
+export const MAX_SWEEP_TRIALS = 50;
+
+/**
+ * Input range for a sweep variable. On a cart, μ sweeps its rolling
+ * resistance, which has a smaller range.
+ * @param {SweepVariable} variable
+ * @param {{cartEnabled: boolean}} options
+ * @returns {{min: number, max: number}}
+ */
+export function sweepLimits(variable, options) {
+  if (variable === "mu") {
+    return NUMERIC_INPUT_LIMITS[options.cartEnabled ? "rollingResistanceCoefficient" : "muKinetic"];
+  }
+  return NUMERIC_INPUT_LIMITS[variable];
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+  if (typeof value === "string" && value.trim() === "") {
+    return null;
+  }
+
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Reads the sweep form. Values are evenly spaced from `from` to `to`,
+ * both ends included; the first problem is reported.
+ * @param {{variable: unknown, from: unknown, to: unknown, trials: unknown}} raw
+ * @param {{cartEnabled: boolean}} options
+ * @returns {{sweep: Sweep|null, error: string|null}}
+ */
+export function parseSweep(raw, options) {
+  if (typeof raw.variable !== "string" || !Object.keys(SWEEP_VARIABLES).includes(raw.variable)) {
+    return { sweep: null, error: "Choose a variable to sweep." };
+  }
+
+  const variable = /** @type {SweepVariable} */ (raw.variable);
+  const { min, max } = sweepLimits(variable, options);
+  const unit = SWEEP_VARIABLES[variable].unit;
+  const range = `between ${min} and ${max}${unit ? ` ${unit}` : ""}`;
+
+  const from = parseNumber(raw.from);
+  if (from === null || from < min || from > max) {
+    return { sweep: null, error: `Enter a start value ${range}.` };
+  }
+
+  const to = parseNumber(raw.to);
+  if (to === null || to < min || to > max) {
+    return { sweep: null, error: `Enter an end value ${range}.` };
+  }
+
+  if (from === to) {
+    return { sweep: null, error: "Start and end values must differ." };
+  }
+
+  const trials = parseNumber(raw.trials);
+  if (trials === null || !Number.isInteger(trials) || trials < 2 || trials > MAX_SWEEP_TRIALS) {
+    return { sweep: null, error: `Enter a whole number of trials from 2 to ${MAX_SWEEP_TRIALS}.` };
+  }
+
+  const values = Array.from({ length: trials }, (_, index) => Number((from + ((to - from) * index) / (trials - 1)).toFixed(6)));
+  return { sweep: { variable, values }, error: null };
+}
+
+/**
+ * Input changes for one sweep trial. μ sets μₖ on every block and keeps
+ * each μₛ as far above its μₖ as it is now, so the stick-slip gap the user
+ * chose survives; it also turns friction on. On a cart it sets the rolling
+ * resistance instead and leaves the trailing block as it is.
+ * @param {SweepVariable} variable
+ * @param {number} value
+ * @param {Pick<import("./halfAtwoodInputs.js").HalfAtwoodInputs, "cartEnabled" | "muStatic" | "muKinetic" | "trailingMuStatic" | "trailingMuKinetic">} inputs
+ *   The inputs before the sweep.
+ * @returns {Partial<import("./halfAtwoodInputs.js").HalfAtwoodInputs>}
+ */
+export function sweepChanges(variable, value, inputs) {
+  if (variable !== "mu") {
+    return { [variable]: value };
+  }
+
+  if (inputs.cartEnabled) {
+    return { frictionEnabled: true, rollingResistanceCoefficient: value };
+  }
+
+  return {
+    frictionEnabled: true,
+    muKinetic: value,
+    muStatic: Number((value + inputs.muStatic - inputs.muKinetic).toFixed(6)),
+    trailingMuKinetic: value,
+    trailingMuStatic: Number((value + inputs.trailingMuStatic - inputs.trailingMuKinetic).toFixed(6))
+  };
+}
@@ -30,10 +30,11 @@ function clamp(value, min, max) {
 }
 
 /**
+ * Seeded uniform generator on [0, 1), so the same seed replays the same sequence.
  * @param {number} seed
  * @returns {() => number}
  */
-function createRng(seed) {
+export function createRng(seed) {
   let state = seed >>> 0;
 
   return () => {
@@ -46,11 +47,13 @@ function createRng(seed) {
 }
 
 /**
+ * Seeded Gaussian noise (Box-Muller): each call returns a sample with
+ * standard deviation `scale`, or always 0 when noise is off.
  * @param {number} presetSeed
  * @param {boolean} noiseEnabled
  * @returns {(scale: number) => number}
  */
-function buildNoiseSampler(presetSeed, noiseEnabled) {
+export function buildNoiseSampler(presetSeed, noiseEnabled) {
   if (!noiseEnabled) {
     return () => 0;
   }
@@ -28,6 +28,46 @@
  * @property {string} timestamp_iso
  */
 
+/**
+ * @typedef {Object} HalfAtwoodTrialRecord
+ * @property {number} id
+ * @property {"half"|"full"} machineMode Full-mode trials store the left and right masses as table and hanging.
+ * @property {number} massTableKg
+ * @property {number} massHangingKg
+ * @property {boolean} frictionEnabled
+ * @property {number} muStatic
+ * @property {number} muKinetic
+ * @property {number} pulleyInertiaKgM2
+ * @property {number} ropeMassPerLengthKgPerM
+ * @property {number} gravityMps2
+ * @property {number} inclineAngleDeg
+ * @property {number|null} trailingMassKg Null when only one block is on the table.
+ * @property {number} trailingMuStatic
+ * @property {number} trailingMuKinetic
+ * @property {number|null} rollingResistanceCoefficient Null unless the table body is a cart.
+ * @property {number} linearDragNsPerM
+ * @property {number} quadraticDragNs2PerM2
+ * @property {number|null} floorHeightM Null for full-Atwood trials, which have no floor stop.
+ * @property {number} initialVelocityMps Launch velocity of the run; the from-rest results ignore it.
+ * @property {number} accel From rest, except in a v₀ sweep, where this and the tensions are
+ *   fitted and averaged from the run up to the landing.
+ * @property {number} tensionTable
+ * @property {number} tensionHanging
+ * @property {number|null} tensionLink String between the table block and the trailing block. Not logged, so null in a v₀ sweep.
+ * @property {boolean} moved
+ * @property {import("./halfAtwoodPrediction.js").PredictionScore|null} prediction Null when the trial was run without one.
+ * @property {number|null} slideAfterLandingM How far the block slid after the hanging mass landed, if it came to rest on the table.
+ * @property {import("./halfAtwoodHistory.js").RunHistory|null} history Sensor readings when `sensor` is set.
+ * @property {HalfAtwoodSensorReadout|null} [sensor] Null when the run was logged without measurement noise.
+ * @property {string} timestampIso
+ */
+
+/**
+ * Settings that reproduce a noisy run's readings, and the acceleration
+ * fitted from them.
+ * @typedef {import("./halfAtwoodSensor.js").SensorSettings & {measuredAccelMps2: number|null}} HalfAtwoodSensorReadout
+ */
+
 /**
  * @typedef {Object} CurrentTrial
  * @property {number} id
@@ -0,0 +1,102 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { halfAtwoodTrialsToCsv } from "../src/export.js";
+
+/**
+ * @param {number} id
+ * @param {boolean} moved
+ */
+function record(id, moved) {
+  return {
+    id,
+    machineMode: "half",
+    massTableKg: 2.5,
+    massHangingKg: 1.2,
+    frictionEnabled: true,
+    muStatic: 0.25,
+    muKinetic: 0.2,
+    pulleyInertiaKgM2: 0,
+    ropeMassPerLengthKgPerM: 0,
+    gravityMps2: 10,
+    inclineAngleDeg: -15,
+    trailingMassKg: null,
+    trailingMuStatic: 0.25,
+    trailingMuKinetic: 0.2,
+    rollingResistanceCoefficient: null,
+    linearDragNsPerM: 0,
+    quadraticDragNs2PerM2: 0,
+    floorHeightM: 0.8,
+    initialVelocityMps: 0,
+    accel: 1.5,
+    tensionTable: 10.2,
+    tensionHanging: 10.2,
+    moved,
+    slideAfterLandingM: null,
+    prediction: null,
+    history: null,
+    timestampIso: "2026-01-01T00:00:00.000Z"
+  };
+}
+
+test("half-Atwood CSV lists trials oldest first under a header row", () => {
+  const csv = halfAtwoodTrialsToCsv([record(2, false), record(1, true)]);
+  const lines = csv.split("\n");
+
+  assert.equal(lines.length, 3);
+  assert.ok(lines[0].startsWith("trial_id,machine_mode,table_mass_kg,hanging_mass_kg,friction_enabled"));
+  assert.equal(lines[1], '1,"half",2.5,1.2,true,0.25,0.2,0,0,10,-15,,,,,0,0,0.8,0,1.5,10.2,10.2,,,,,,,,"moves",,,,,,"2026-01-01T00:00:00.000Z"');
+  assert.ok(lines[2].startsWith("2,"));
+  assert.ok(lines[2].includes('"stuck"'));
+});
+
+test("half-Atwood CSV fills the trailing-block columns only for chains", () => {
+  const chained = { ...record(3, true), trailingMassKg: 1.5, tensionLink: 4.4 };
+  const [, line] = halfAtwoodTrialsToCsv([chained]).split("\n");
+
+  assert.ok(line.includes(",-15,1.5,0.25,0.2,,0,0,0.8,0,1.5,10.2,10.2,4.4,,"));
+});
+
+test("half-Atwood CSV records rolling resistance only for carts", () => {
+  const cart = { ...record(4, true), rollingResistanceCoefficient: 0.02, linearDragNsPerM: 0.5, quadraticDragNs2PerM2: 0.1 };
+  const [, line] = halfAtwoodTrialsToCsv([cart]).split("\n");
+
+  assert.ok(line.includes(",-15,,,,0.02,0.5,0.1,0.8,0,1.5,"));
+});
+
+test("half-Atwood CSV adds the student's prediction and its percent errors", () => {
+  const predicted = {
+    ...record(6, true),
+    prediction: { accelerationMps2: 1.8, tensionN: 9, moves: true, accelerationErrorPercent: 20, tensionErrorPercent: null, movesCorrect: true }
+  };
+  const [, line] = halfAtwoodTrialsToCsv([predicted]).split("\n");
+
+  assert.ok(line.includes(',"moves",1.8,9,"moves",20,,"2026'));
+});
+
+test("half-Atwood CSV records the slide after landing when the run measured one", () => {
+  const landed = { ...record(5, true), slideAfterLandingM: 0.42 };
+  const [, line] = halfAtwoodTrialsToCsv([landed]).split("\n");
+
+  assert.ok(line.includes(",10.2,10.2,,0.42,,,,,,\"moves\","));
+});
+
+test("half-Atwood CSV records the launch velocity, defaulting to rest for older trials", () => {
+  const pushed = { ...record(7, true), initialVelocityMps: -0.5 };
+  const older = { ...record(8, true) };
+  delete older.initialVelocityMps;
+  const [, pushedLine, olderLine] = halfAtwoodTrialsToCsv([older, pushed]).split("\n");
+
+  assert.ok(pushedLine.includes(",0.8,-0.5,1.5,"));
+  assert.ok(olderLine.includes(",0.8,0,1.5,"));
+});
+
+test("half-Atwood CSV records the sensor settings that reproduce a noisy run", () => {
+  const noisy = {
+    ...record(9, true),
+    sensor: { seed: 4821, sampleRateHz: 20, timingJitterMs: 2, positionResolutionMm: 1, measuredAccelMps2: 1.47 }
+  };
+  const [, line] = halfAtwoodTrialsToCsv([noisy]).split("\n");
+
+  assert.ok(line.includes(",10.2,10.2,,,4821,20,2,1,1.47,\"moves\","));
+});
@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { analysisData, axisTitle, interpretFit } from "../src/halfAtwoodAnalysis.js";
+import { calculateHalfAtwoodFromRest } from "../src/halfAtwoodPhysics.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+/**
+ * A frictionless trial as recordTrial would store it.
+ * @param {number} massTableKg
+ * @param {number} massHangingKg
+ */
+function trial(massTableKg, massHangingKg) {
+  const rest = calculateHalfAtwoodFromRest({
+    massTableKg,
+    massHangingKg,
+    muStatic: 0,
+    muKinetic: 0,
+    frictionEnabled: false,
+    gravity: 9.8,
+    targetDistanceM: 1
+  });
+
+  return {
+    massTableKg,
+    massHangingKg,
+    trailingMassKg: null,
+    muKinetic: 0,
+    rollingResistanceCoefficient: null,
+    gravityMps2: 9.8,
+    initialVelocityMps: 0,
+    accel: rest.accelerationMps2,
+    tensionTable: rest.tensionTableN,
+    tensionHanging: rest.tensionHangingN,
+    slideAfterLandingM: null
+  };
+}
+
+test("a against the hanging-mass fraction is a line with slope g", () => {
+  const records = [trial(2, 0.5), trial(2, 1), trial(1, 1.5), trial(3, 2)];
+  const data = analysisData(records, { x: "massFraction", y: "accel" });
+
+  assert.equal(data.points.length, 4);
+  assert.equal(data.skipped, 0);
+  nearlyEqual(data.fit.slope, 9.8);
+  nearlyEqual(data.fit.intercept, 0);
+  assert.equal(axisTitle(data.y), "a (m/s²)");
+  assert.equal(axisTitle(data.x), "mₕ/(total mass)");
+});
+
+test("linearizing a against total mass with 1/x straightens it", () => {
+  // Fixed hanging mass, so a = mₕg / M and a is linear in 1/M.
+  const records = [trial(0.5, 1), trial(1, 1), trial(2, 1), trial(4, 1)];
+  const curved = analysisData(records, { x: "totalMassKg", y: "accel" });
+  const straight = analysisData(records, { x: "totalMassKg", y: "accel", xTransform: "inverse" });
+
+  assert.ok(curved.fit.r2 < 0.99);
+  nearlyEqual(straight.fit.r2, 1);
+  nearlyEqual(straight.fit.slope, 9.8);
+  assert.equal(axisTitle(straight.x), "1/(total mass) (1/kg)");
+});
+
+test("trials missing a value are skipped rather than plotted as zero", () => {
+  const records = [trial(2, 1), { ...trial(2, 1.5), slideAfterLandingM: 0.3 }, { ...trial(2, 2), slideAfterLandingM: 0.5 }];
+  const data = analysisData(records, { x: "massHangingKg", y: "slideAfterLandingM" });
+
+  assert.equal(data.points.length, 2);
+  assert.equal(data.skipped, 1);
+});
+
+test("interpretFit explains the slope and intercept with units and model hints", () => {
+  const lines = interpretFit({ slope: 9.79, intercept: -0.012, r2: 0.9995, count: 5 }, { x: "massFraction", y: "accel" });
+
+  assert.equal(lines[0], "a = 9.79·mₕ/(total mass) − 0.012");
+  assert.match(lines[1], /^Slope: 9.79 m\/s²\./);
+  assert.match(lines[3], /straight line/);
+  assert.match(lines[4], /slope estimates g/);
+
+  const tension = interpretFit({ slope: -1.2, intercept: 11.8, r2: 0.95, count: 4 }, { x: "accel", y: "tensionHanging" });
+  assert.match(tension[1], /N per m\/s²/);
+  assert.match(tension[3], /linearize/);
+  assert.match(interpretFit(null, { x: "accel", y: "tensionHanging" })[0], /at least two trials/);
+});
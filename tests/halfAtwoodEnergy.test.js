@@ -0,0 +1,211 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createEnergyLedger,
+  energyParts,
+  energySummary,
+  recordEnergyStep,
+  retensionVelocityRatio
+} from "../src/halfAtwoodEnergy.js";
+import { resolveDynamicForces, resolveFullAtwoodForces, resolveSlackStringForces } from "../src/halfAtwoodPhysics.js";
+import { advanceMotion } from "../src/halfAtwoodStepper.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+/** @type {import("../src/halfAtwoodEnergy.js").EnergySystem} */
+const SYSTEM = {
+  machineMode: "half",
+  massTableKg: 2.5,
+  trailingMassKg: 0,
+  massHangingKg: 1.2,
+  gravityMps2: 10,
+  inclineAngleDeg: 0,
+  pulleyInertiaKgM2: 0,
+  pulleyRadiusM: 0.05,
+  ropeMassPerLengthKgPerM: 0,
+  ropeTableLengthM: 1.5,
+  ropeHangingLengthM: 0.4,
+  floorDropM: 0.5
+};
+
+/**
+ * Runs the stepper the way the app does and books every step.
+ * @param {import("../src/halfAtwoodEnergy.js").EnergySystem} system
+ * @param {(motion: {displacementM:number, velocityMps:number}) => any} resolve
+ * @param {{elapsedS: number, maxDisplacementM?: number, minDisplacementM?: number, slackString?: {fromM:number, velocityRatio:number}, start?: {displacementM:number, velocityMps:number}}} options
+ */
+function runWithLedger(system, resolve, options) {
+  const start = { timeS: 0, displacementM: 0, velocityMps: 0, ...options.start };
+  const ledger = createEnergyLedger(system, start);
+  let previous = start;
+  const motions = [];
+
+  const result = advanceMotion(start, resolve, {
+    elapsedS: options.elapsedS,
+    minDisplacementM: options.minDisplacementM ?? 0,
+    maxDisplacementM: options.maxDisplacementM,
+    slackString: options.slackString,
+    onStep: (motion) => {
+      const forces = resolve(previous);
+      recordEnergyStep(ledger, system, previous, motion, {
+        ...forces,
+        stoppedAtEnd: motion.displacementM >= (options.maxDisplacementM ?? Number.POSITIVE_INFINITY)
+      });
+      previous = motion;
+      motions.push(motion);
+    }
+  });
+
+  return { ledger, motion: result.motion, status: result.status, motions };
+}
+
+/**
+ * @param {import("../src/halfAtwoodEnergy.js").EnergySystem} system
+ * @param {number} [linearDragNsPerM]
+ */
+function halfResolver(system, linearDragNsPerM = 0.8) {
+  const friction = { frictionEnabled: true, muStatic: 0.25, muKinetic: 0.2 };
+  return (motion) => {
+    if (motion.displacementM >= system.floorDropM) {
+      return resolveSlackStringForces({ massTableKg: system.massTableKg, ...friction, gravity: 10, velocityMps: motion.velocityMps });
+    }
+    return resolveDynamicForces({
+      massTableKg: system.massTableKg,
+      massHangingKg: system.massHangingKg,
+      ...friction,
+      gravity: system.gravityMps2,
+      pulleyInertiaKgM2: system.pulleyInertiaKgM2,
+      pulleyRadiusM: system.pulleyRadiusM,
+      ropeMassPerLengthKgPerM: system.ropeMassPerLengthKgPerM,
+      ropeTableLengthM: Math.max(0, system.ropeTableLengthM - motion.displacementM),
+      ropeHangingLengthM: system.ropeHangingLengthM + motion.displacementM,
+      linearDragNsPerM,
+      velocityMps: motion.velocityMps
+    });
+  };
+}
+
+test("energy parts split kinetic energy by body and measure potential from the start", () => {
+  const parts = energyParts({ ...SYSTEM, pulleyInertiaKgM2: 0.0025 }, { displacementM: 0.3, velocityMps: 2 });
+
+  nearlyEqual(parts.kineticJ.table, 5);
+  nearlyEqual(parts.kineticJ.hanging, 2.4);
+  nearlyEqual(parts.kineticJ.pulleyRope, 2);
+  nearlyEqual(parts.potentialJ.hanging, -3.6);
+  nearlyEqual(parts.potentialJ.table, 0);
+
+  const ramp = energyParts({ ...SYSTEM, inclineAngleDeg: 30, floorDropM: 0.2 }, { displacementM: 0.3, velocityMps: 1 });
+  nearlyEqual(ramp.kineticJ.hanging, 0);
+  nearlyEqual(ramp.potentialJ.hanging, -2.4);
+  nearlyEqual(ramp.potentialJ.table, 3.75);
+});
+
+test("friction, drag and the landing account for all the energy of a half-Atwood run", () => {
+  const system = { ...SYSTEM, pulleyInertiaKgM2: 0.002, ropeMassPerLengthKgPerM: 0.05 };
+  const { ledger, motion, status } = runWithLedger(system, halfResolver(system), { elapsedS: 5 });
+  const summary = energySummary(ledger, system, motion);
+
+  assert.equal(status, "held");
+  assert.ok(motion.displacementM > system.floorDropM);
+  assert.ok(ledger.frictionJ > 0 && ledger.dragJ > 0 && ledger.impactJ > 0);
+  nearlyEqual(summary.deltaKineticJ, 0);
+  assert.ok(summary.residualPercent < 1, `residual ${summary.residualPercent}%`);
+});
+
+test("without losses the full Atwood machine trades potential for kinetic energy", () => {
+  /** @type {import("../src/halfAtwoodEnergy.js").EnergySystem} */
+  const system = {
+    ...SYSTEM,
+    machineMode: "full",
+    massTableKg: 1,
+    massHangingKg: 1.5,
+    pulleyInertiaKgM2: 0.001,
+    ropeMassPerLengthKgPerM: 0.1,
+    ropeTableLengthM: 0.8,
+    ropeHangingLengthM: 0.8,
+    floorDropM: Number.POSITIVE_INFINITY
+  };
+  const resolve = (motion) => ({
+    frictionMagnitudeN: 0,
+    ...resolveFullAtwoodForces({
+      massLeftKg: 1,
+      massRightKg: 1.5,
+      gravity: 10,
+      pulleyInertiaKgM2: 0.001,
+      pulleyRadiusM: 0.05,
+      ropeMassPerLengthKgPerM: 0.1,
+      ropeLeftLengthM: Math.max(0, 0.8 - motion.displacementM),
+      ropeRightLengthM: 0.8 + motion.displacementM,
+      velocityMps: motion.velocityMps
+    })
+  });
+  const { ledger, motion } = runWithLedger(system, resolve, { elapsedS: 0.5 });
+  const summary = energySummary(ledger, system, motion);
+
+  assert.equal(summary.thermalJ, 0);
+  assert.ok(summary.deltaKineticJ > 0);
+  assert.ok(summary.residualPercent < 0.5, `residual ${summary.residualPercent}%`);
+});
+
+test("stopping at the end of the track books the lost kinetic energy as impact heat", () => {
+  const system = { ...SYSTEM, floorDropM: 2 };
+  const { ledger, motion, status } = runWithLedger(system, halfResolver(system), { elapsedS: 3, maxDisplacementM: 0.6 });
+  const summary = energySummary(ledger, system, motion);
+
+  assert.equal(status, "boundary");
+  assert.equal(motion.velocityMps, 0);
+  assert.ok(ledger.impactJ > 0);
+  assert.ok(summary.residualPercent < 1, `residual ${summary.residualPercent}%`);
+});
+
+test("a block that slides back down a ramp books each jerk of the string as impact heat", () => {
+  const system = { ...SYSTEM, massTableKg: 2, massHangingKg: 3, inclineAngleDeg: 30 };
+  const surface = { massTableKg: 2, muStatic: 0, muKinetic: 0, frictionEnabled: false, gravity: 10, inclineAngleDeg: 30 };
+  const resolve = (motion) => ({
+    frictionMagnitudeN: 0,
+    ...(motion.displacementM >= system.floorDropM
+      ? resolveSlackStringForces({ ...surface, velocityMps: motion.velocityMps })
+      : resolveDynamicForces({ ...surface, massHangingKg: 3, velocityMps: motion.velocityMps }))
+  });
+  const velocityRatio = retensionVelocityRatio(system);
+  const { ledger, motion, status } = runWithLedger(system, resolve, {
+    elapsedS: 5,
+    slackString: { fromM: system.floorDropM, velocityRatio }
+  });
+  const summary = energySummary(ledger, system, motion);
+
+  // Settled at the landing point: U fell by 15 − 5 = 10 J and all of it went
+  // into the landing and the jerks.
+  nearlyEqual(velocityRatio, 0.4);
+  assert.equal(status, "held");
+  nearlyEqual(ledger.impactJ, 10, 0.1);
+  assert.ok(summary.residualPercent < 1, `residual ${summary.residualPercent}%`);
+});
+
+test("a summary for an earlier moment uses the heat booked by then", () => {
+  const { ledger, motion, motions } = runWithLedger(SYSTEM, halfResolver(SYSTEM), { elapsedS: 5 });
+  const earlier = motions[60];
+  const summary = energySummary(ledger, SYSTEM, earlier);
+
+  assert.equal(summary.thermal.frictionJ, ledger.steps[60].frictionJ);
+  assert.ok(summary.thermalJ < energySummary(ledger, SYSTEM, motion).thermalJ);
+  assert.ok(summary.residualPercent < 1, `residual ${summary.residualPercent}%`);
+  assert.equal(energySummary(ledger, SYSTEM, { timeS: 0, displacementM: 0, velocityMps: 0 }).thermalJ, 0);
+});
+
+test("friction is booked along the path when a push away from the pulley turns around", () => {
+  const { ledger, motion, motions } = runWithLedger(SYSTEM, halfResolver(SYSTEM, 0), {
+    elapsedS: 0.6,
+    minDisplacementM: -1,
+    start: { displacementM: 0.3, velocityMps: -1.5 }
+  });
+  const frictionN = 0.2 * 2.5 * 10;
+  const turnM = 0.3 - (1.5 * 1.5) / (2 * ((12 + frictionN) / 3.7));
+
+  assert.ok(motions.some((step) => step.velocityMps > 0) && motion.displacementM < SYSTEM.floorDropM);
+  nearlyEqual(ledger.frictionJ, frictionN * ((0.3 - turnM) + (motion.displacementM - turnM)), 1e-9);
+  assert.ok(energySummary(ledger, SYSTEM, motion).residualPercent < 0.01);
+});
@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { checkFreeBodyDiagram, expectedFreeBodyDiagrams, snapDirection } from "../src/halfAtwoodFbd.js";
+import { resolveDynamicForces } from "../src/halfAtwoodPhysics.js";
+
+const bodies = { massTableKg: 2, massHangingKg: 1, gravity: 10 };
+
+function heldForces() {
+  return resolveDynamicForces({
+    massTableKg: 2,
+    massHangingKg: 0.4,
+    muStatic: 0.5,
+    muKinetic: 0.4,
+    frictionEnabled: true,
+    gravity: 10,
+    velocityMps: 0
+  });
+}
+
+test("drags snap to the nearest of the four directions", () => {
+  assert.equal(snapDirection(30, 5), "right");
+  assert.equal(snapDirection(-30, 20), "left");
+  assert.equal(snapDirection(4, -40), "up");
+  assert.equal(snapDirection(-4, 40), "down");
+});
+
+test("expected diagrams follow the solver, including static friction and a frictionless table", () => {
+  const held = expectedFreeBodyDiagrams(heldForces(), { ...bodies, massHangingKg: 0.4 });
+  assert.deepEqual(held.table.map((arrow) => [arrow.kind, arrow.direction]), [
+    ["weight", "down"],
+    ["normal", "up"],
+    ["tension", "right"],
+    ["friction", "left"]
+  ]);
+  assert.deepEqual(held.hanging.map((arrow) => arrow.kind), ["weight", "tension"]);
+
+  const frictionless = expectedFreeBodyDiagrams(
+    resolveDynamicForces({ ...bodies, muStatic: 0, muKinetic: 0, frictionEnabled: false, velocityMps: 0 }),
+    bodies
+  );
+  assert.ok(!frictionless.table.some((arrow) => arrow.kind === "friction"));
+});
+
+test("a correct diagram passes and wrong directions, gaps and extras are named", () => {
+  const { table } = expectedFreeBodyDiagrams(heldForces(), { ...bodies, massHangingKg: 0.4 });
+  const correct = [
+    { kind: "weight", direction: "down", lengthPx: 80 },
+    { kind: "normal", direction: "up", lengthPx: 78 },
+    { kind: "tension", direction: "right", lengthPx: 30 },
+    { kind: "friction", direction: "left", lengthPx: 32 }
+  ];
+  assert.deepEqual(checkFreeBodyDiagram(correct, table), { correct: true, feedback: [] });
+
+  const wrong = checkFreeBodyDiagram([
+    { kind: "weight", direction: "down", lengthPx: 80 },
+    { kind: "tension", direction: "left", lengthPx: 30 },
+    { kind: "friction", direction: "left", lengthPx: 30 },
+    { kind: "friction", direction: "left", lengthPx: 30 }
+  ], table);
+  assert.equal(wrong.correct, false);
+  assert.deepEqual(wrong.feedback, [
+    "Normal force is missing.",
+    "Tension should point right.",
+    "Friction is drawn more than once."
+  ]);
+
+  const extra = checkFreeBodyDiagram([{ kind: "normal", direction: "up", lengthPx: 40 }], [
+    { kind: "weight", direction: "down", magnitudeN: 10 }
+  ]);
+  assert.ok(extra.feedback.includes("Normal force does not act on this body right now."));
+});
+
+test("relative lengths are checked once every arrow points the right way", () => {
+  const expected = [
+    { kind: "weight", direction: "down", magnitudeN: 10 },
+    { kind: "tension", direction: "up", magnitudeN: 6 }
+  ];
+
+  const result = checkFreeBodyDiagram([
+    { kind: "weight", direction: "down", lengthPx: 40 },
+    { kind: "tension", direction: "up", lengthPx: 60 }
+  ], expected);
+
+  assert.deepEqual(result.feedback, ["Weight should be longer than tension."]);
+});
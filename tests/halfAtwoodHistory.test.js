@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { appendSample, cloneRunHistory, createRunHistory, motionAtTime, runOutcome, sampleAt } from "../src/halfAtwoodHistory.js";
+
+/**
+ * @param {number} timeS
+ */
+function sample(timeS) {
+  return {
+    timeS,
+    displacementM: timeS * 0.5,
+    velocityMps: timeS,
+    accelerationMps2: 2,
+    tensionTableN: 5,
+    tensionHangingN: 5,
+    frictionN: -1,
+    netForceN: 4,
+    mode: "kinetic"
+  };
+}
+
+test("appendSample decimates to the requested interval", () => {
+  const history = createRunHistory();
+
+  assert.equal(appendSample(history, sample(0), 0.02), true);
+  assert.equal(appendSample(history, sample(0.01), 0.02), false);
+  assert.equal(appendSample(history, sample(0.02), 0.02), true);
+  assert.equal(appendSample(history, sample(0.025), 0), true);
+  assert.equal(appendSample(history, sample(0.025), 0), false);
+
+  assert.deepEqual(history.timesS, [0, 0.02, 0.025]);
+  assert.equal(history.modes.length, 3);
+});
+
+test("sampleAt returns one row and clones are independent", () => {
+  const history = createRunHistory();
+  appendSample(history, sample(0), 0);
+  appendSample(history, sample(0.1), 0);
+
+  const copy = cloneRunHistory(history);
+  appendSample(history, sample(0.2), 0);
+
+  assert.deepEqual(sampleAt(copy, 1), sample(0.1));
+  assert.equal(copy.timesS.length, 2);
+  assert.equal(history.timesS.length, 3);
+});
+
+test("motionAtTime interpolates between samples and clamps to the run", () => {
+  const history = createRunHistory();
+  appendSample(history, sample(0), 0);
+  appendSample(history, sample(0.1), 0);
+  appendSample(history, sample(0.3), 0);
+
+  const between = motionAtTime(history, 0.2);
+  assert.equal(between.timeS, 0.2);
+  assert.ok(Math.abs(between.displacementM - 0.1) < 1e-12);
+  assert.ok(Math.abs(between.velocityMps - 0.2) < 1e-12);
+
+  assert.deepEqual(motionAtTime(history, -1), { timeS: 0, displacementM: 0, velocityMps: 0 });
+  assert.deepEqual(motionAtTime(history, 5), { timeS: 0.3, displacementM: 0.15, velocityMps: 0.3 });
+});
+
+test("runOutcome fits v–t and averages the tensions up to the end time", () => {
+  const history = createRunHistory();
+  for (let index = 0; index <= 10; index += 1) {
+    appendSample(history, { ...sample(index / 10), tensionTableN: index }, 0);
+  }
+
+  const outcome = runOutcome(history, 0.5);
+  assert.ok(Math.abs(outcome.accelerationMps2 - 1) < 1e-12);
+  assert.ok(Math.abs(outcome.tensionTableN - 2.5) < 1e-12);
+  assert.equal(outcome.tensionHangingN, 5);
+  assert.equal(outcome.moved, true);
+
+  const stuck = createRunHistory();
+  appendSample(stuck, sample(0), 0);
+  appendSample(stuck, { ...sample(0), timeS: 1 }, 0);
+  assert.equal(runOutcome(stuck, 1).accelerationMps2, 0);
+  assert.equal(runOutcome(stuck, 1).moved, false);
+});
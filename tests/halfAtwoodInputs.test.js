@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_INPUTS, gravityOptionId, sanitizeInputs } from "../src/halfAtwoodInputs.js";
+
+test("sanitizeInputs clamps numbers to the control limits", () => {
+  const inputs = sanitizeInputs({
+    massTableKg: "9000",
+    massHangingKg: 0,
+    initialVelocityMps: "-12",
+    muStatic: 1.7,
+    pulleyRadiusM: "abc",
+    sensorSeed: "12.6"
+  });
+
+  assert.equal(inputs.massTableKg, 2500);
+  assert.equal(inputs.massHangingKg, 0.1);
+  assert.equal(inputs.initialVelocityMps, -4);
+  assert.equal(inputs.muStatic, 1);
+  assert.equal(inputs.pulleyRadiusM, 0.01);
+  assert.equal(inputs.sensorSeed, 13);
+});
+
+test("sanitizeInputs keeps the fallback for missing or mistyped fields", () => {
+  const fallback = { ...DEFAULT_INPUTS, muKinetic: 0.33, frictionEnabled: false };
+  const inputs = sanitizeInputs({ frictionEnabled: "yes", showForces: false }, fallback);
+
+  assert.equal(inputs.muKinetic, 0.33);
+  assert.equal(inputs.frictionEnabled, false);
+  assert.equal(inputs.showForces, false);
+  assert.equal(inputs.massTableKg, DEFAULT_INPUTS.massTableKg);
+});
+
+test("gravity is clamped and matched to the named options", () => {
+  assert.equal(sanitizeInputs({ gravityMps2: "0" }).gravityMps2, 0.1);
+  assert.equal(sanitizeInputs({ gravityMps2: 3.71 }).gravityMps2, 3.71);
+  assert.equal(gravityOptionId(10), "exam");
+  assert.equal(gravityOptionId(1.62), "moon");
+  assert.equal(gravityOptionId(7), "custom");
+});
+
+test("machine mode only accepts the known choices", () => {
+  assert.equal(sanitizeInputs({ machineMode: "full" }).machineMode, "full");
+  assert.equal(sanitizeInputs({ machineMode: "double" }).machineMode, "half");
+  assert.equal(sanitizeInputs({ machineMode: 1 }, { ...DEFAULT_INPUTS, machineMode: "full" }).machineMode, "full");
+});
+
+test("static friction is raised to kinetic friction where it is smaller", () => {
+  const inputs = sanitizeInputs({ muStatic: 0.1, muKinetic: 0.4, trailingMuStatic: 0.3, trailingMuKinetic: 0.2 });
+
+  assert.equal(inputs.muStatic, 0.4);
+  assert.equal(inputs.muKinetic, 0.4);
+  assert.equal(inputs.trailingMuStatic, 0.3);
+  assert.equal(inputs.trailingMuKinetic, 0.2);
+});
@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  detectGatePasses,
+  REACTION_TIME_MEAN_S,
+  reactionTimeS,
+  stopwatchNoise,
+  stopwatchReadingS
+} from "../src/halfAtwoodInstruments.js";
+import { buildNoiseSampler } from "../src/signals.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+test("gate passes are interpolated within the step and listed in crossing order", () => {
+  const gates = [{ id: 2, positionM: 0.3 }, { id: 1, positionM: 0.15 }, { id: 3, positionM: 0.6 }];
+  const passes = detectGatePasses(
+    gates,
+    { timeS: 1, displacementM: 0.1, velocityMps: 1 },
+    { timeS: 1.5, displacementM: 0.5, velocityMps: 2 }
+  );
+
+  assert.deepEqual(passes.map((pass) => pass.gateId), [1, 2]);
+  nearlyEqual(passes[0].timeS, 1.0625);
+  nearlyEqual(passes[0].speedMps, 1.125);
+  nearlyEqual(passes[1].timeS, 1.25);
+  nearlyEqual(passes[1].speedMps, 1.5);
+});
+
+test("a gate counts once as the front edge reaches it, in either direction", () => {
+  const gates = [{ id: 1, positionM: 0.2 }];
+
+  assert.equal(detectGatePasses(gates, { timeS: 0, displacementM: 0.1, velocityMps: 1 }, { timeS: 0.1, displacementM: 0.2, velocityMps: 1 }).length, 1);
+  assert.equal(detectGatePasses(gates, { timeS: 0.1, displacementM: 0.2, velocityMps: 1 }, { timeS: 0.2, displacementM: 0.3, velocityMps: 1 }).length, 0);
+
+  const [back] = detectGatePasses(gates, { timeS: 0, displacementM: 0.3, velocityMps: -2 }, { timeS: 0.1, displacementM: 0.1, velocityMps: -2 });
+  nearlyEqual(back.timeS, 0.05);
+  nearlyEqual(back.speedMps, 2);
+  assert.equal(detectGatePasses(gates, { timeS: 0, displacementM: 0.2, velocityMps: 0 }, { timeS: 0.1, displacementM: 0.2, velocityMps: 0 }).length, 0);
+});
+
+test("stopwatch readings scatter around the true time at hundredth resolution", () => {
+  const noise = buildNoiseSampler(7, true);
+  const readings = Array.from({ length: 200 }, () => stopwatchReadingS(0.5, 1.7, noise));
+  const mean = readings.reduce((sum, readingS) => sum + readingS, 0) / readings.length;
+
+  nearlyEqual(mean, 1.2, 0.02);
+  assert.ok(readings.some((readingS) => Math.abs(readingS - 1.2) >= 0.05));
+  for (const readingS of readings) {
+    nearlyEqual(readingS * 100, Math.round(readingS * 100), 1e-6);
+  }
+});
+
+test("reaction times center on the typical delay and never drop below the floor", () => {
+  const noise = buildNoiseSampler(11, true);
+  const times = Array.from({ length: 400 }, () => reactionTimeS(noise));
+  const mean = times.reduce((sum, value) => sum + value, 0) / times.length;
+
+  nearlyEqual(mean, REACTION_TIME_MEAN_S, 0.01);
+  assert.ok(Math.min(...times) >= 0.1);
+  assert.equal(reactionTimeS(() => 0), REACTION_TIME_MEAN_S);
+});
+
+test("a seed reproduces the hand-timed reading without sharing the sensor's noise", () => {
+  assert.equal(stopwatchReadingS(0, 1.3, stopwatchNoise(8)), stopwatchReadingS(0, 1.3, stopwatchNoise(8)));
+  assert.notEqual(stopwatchNoise(8)(1), buildNoiseSampler(8, true)(1));
+
+  const readings = new Set(Array.from({ length: 20 }, (_, seed) => stopwatchReadingS(0, 1.3, stopwatchNoise(seed))));
+  assert.ok(readings.size > 1);
+});
@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_INPUTS } from "../src/halfAtwoodInputs.js";
+import { buildScenarioLink, encodeScenarioParams, parseScenarioParams } from "../src/halfAtwoodLink.js";
+
+test("encoded scenario parses back to the same inputs", () => {
+  const inputs = {
+    ...DEFAULT_INPUTS,
+    massTableKg: 4,
+    massHangingKg: 0.6,
+    initialVelocityMps: 1.25,
+    frictionEnabled: false,
+    muStatic: 0.4,
+    muKinetic: 0.3,
+    gravityMps2: 3.71,
+    inclineAngleDeg: -12,
+    machineMode: "full",
+    trailingBlockEnabled: true,
+    trailingMassKg: 0.8,
+    trailingMuStatic: 0.3,
+    cartEnabled: true,
+    rollingResistanceCoefficient: 0.02,
+    linearDragNsPerM: 1.5,
+    quadraticDragNs2PerM2: 0.25,
+    floorHeightM: 1.4,
+    sensorNoise: true,
+    sensorSampleRateHz: 10,
+    sensorJitterMs: 5,
+    sensorResolutionMm: 2,
+    sensorSeed: 48213
+  };
+
+  const parsed = parseScenarioParams(`?${encodeScenarioParams(inputs)}`, DEFAULT_INPUTS);
+  assert.deepEqual(parsed, inputs);
+});
+
+test("link parameters are clamped and missing values keep the fallback", () => {
+  const parsed = parseScenarioParams("#mh=9999&v0=-10&fr=0", DEFAULT_INPUTS);
+
+  assert.ok(parsed);
+  assert.equal(parsed.massHangingKg, 500);
+  assert.equal(parsed.initialVelocityMps, -4);
+  assert.equal(parsed.frictionEnabled, false);
+  assert.equal(parsed.massTableKg, DEFAULT_INPUTS.massTableKg);
+});
+
+test("URLs without scenario parameters are ignored", () => {
+  assert.equal(parseScenarioParams("?utm_source=mail", DEFAULT_INPUTS), null);
+  assert.equal(parseScenarioParams("", DEFAULT_INPUTS), null);
+});
+
+test("buildScenarioLink keeps the page path and drops any old query", () => {
+  const link = buildScenarioLink({ origin: "https://example.org", pathname: "/sim/index.html" }, DEFAULT_INPUTS);
+  assert.ok(link.startsWith("https://example.org/sim/index.html?mt=2.5&mh=1.2"));
+});
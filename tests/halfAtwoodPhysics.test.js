@@ -1,7 +1,22 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
-import { calculateHalfAtwoodFromRest, resolveDynamicForces } from "../src/halfAtwoodPhysics.js";
+import {
+  calculateChainFromRest,
+  calculateFullAtwoodFromRest,
+  calculateHalfAtwoodFromRest,
+  hangingMassForTimeToDistance,
+  hangingMassFromAcceleration,
+  maximumMuStaticForMotion,
+  minimumHangingMassToStart,
+  muKineticFromAcceleration,
+  resolveChainForces,
+  resolveDynamicForces,
+  resolveFullAtwoodForces,
+  resolveSlackStringForces,
+  slackStoppingDistance,
+  terminalSpeedMps
+} from "../src/halfAtwoodPhysics.js";
 
 function nearlyEqual(actual, expected, tolerance = 1e-9) {
   assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
@@ -11,7 +26,8 @@ test("frictionless half-atwood from rest matches closed-form acceleration", () =
   const result = calculateHalfAtwoodFromRest({
     massTableKg: 2,
     massHangingKg: 1,
-    mu: 0.35,
+    muStatic: 0.35,
+    muKinetic: 0.35,
     frictionEnabled: false,
     gravity: 10,
     targetDistanceM: 2
@@ -28,7 +44,8 @@ test("from rest with friction can remain stuck if drive is too small", () => {
   const result = calculateHalfAtwoodFromRest({
     massTableKg: 6,
     massHangingKg: 1,
-    mu: 0.2,
+    muStatic: 0.2,
+    muKinetic: 0.2,
     frictionEnabled: true,
     gravity: 10,
     targetDistanceM: 2
@@ -45,7 +62,8 @@ test("dynamic forces oppose current velocity direction when friction is enabled"
   const movingRight = resolveDynamicForces({
     massTableKg: 4,
     massHangingKg: 2,
-    mu: 0.25,
+    muStatic: 0.25,
+    muKinetic: 0.25,
     frictionEnabled: true,
     gravity: 10,
     velocityMps: 1.4
@@ -54,7 +72,8 @@ test("dynamic forces oppose current velocity direction when friction is enabled"
   const movingLeft = resolveDynamicForces({
     massTableKg: 4,
     massHangingKg: 2,
-    mu: 0.25,
+    muStatic: 0.25,
+    muKinetic: 0.25,
     frictionEnabled: true,
     gravity: 10,
     velocityMps: -1.4
@@ -64,3 +83,435 @@ test("dynamic forces oppose current velocity direction when friction is enabled"
   assert.ok(movingLeft.frictionSignedN > 0);
   assert.ok(movingLeft.accelerationMps2 > movingRight.accelerationMps2);
 });
+
+test("system between kinetic and static thresholds stays stuck from rest but keeps sliding once pushed", () => {
+  const base = {
+    massTableKg: 4,
+    massHangingKg: 1,
+    muStatic: 0.3,
+    muKinetic: 0.15,
+    frictionEnabled: true,
+    gravity: 10
+  };
+
+  const fromRest = calculateHalfAtwoodFromRest({ ...base, targetDistanceM: 1 });
+  const atRest = resolveDynamicForces({ ...base, velocityMps: 0 });
+  const pushed = resolveDynamicForces({ ...base, velocityMps: 0.5 });
+
+  assert.equal(fromRest.mode, "static_hold");
+  assert.equal(fromRest.moved, false);
+  nearlyEqual(fromRest.maxStaticFrictionN, 12);
+  assert.equal(atRest.mode, "static_hold");
+  assert.equal(pushed.mode, "kinetic");
+  nearlyEqual(pushed.frictionMagnitudeN, 6);
+  nearlyEqual(pushed.accelerationMps2, (10 - 6) / 5);
+});
+
+test("breaking free from rest uses kinetic friction for the sliding acceleration", () => {
+  const result = calculateHalfAtwoodFromRest({
+    massTableKg: 2,
+    massHangingKg: 1,
+    muStatic: 0.4,
+    muKinetic: 0.2,
+    frictionEnabled: true,
+    gravity: 10,
+    targetDistanceM: 1
+  });
+
+  assert.equal(result.mode, "breakaway");
+  assert.equal(result.moved, true);
+  nearlyEqual(result.frictionN, 4);
+  nearlyEqual(result.accelerationMps2, 2);
+});
+
+test("static threshold is never below the kinetic coefficient", () => {
+  const result = resolveDynamicForces({
+    massTableKg: 2,
+    massHangingKg: 1,
+    muStatic: 0.1,
+    muKinetic: 0.6,
+    frictionEnabled: true,
+    gravity: 10,
+    velocityMps: 0
+  });
+
+  assert.equal(result.mode, "static_hold");
+  nearlyEqual(result.maxStaticFrictionN, 12);
+});
+
+test("massive pulley slows the system and splits the tension on each side", () => {
+  const result = calculateHalfAtwoodFromRest({
+    massTableKg: 2,
+    massHangingKg: 1,
+    muStatic: 0,
+    muKinetic: 0,
+    frictionEnabled: false,
+    gravity: 10,
+    targetDistanceM: 1,
+    pulleyInertiaKgM2: 0.01,
+    pulleyRadiusM: 0.1
+  });
+
+  nearlyEqual(result.accelerationMps2, 2.5);
+  nearlyEqual(result.tensionTableN, 5);
+  nearlyEqual(result.tensionHangingN, 7.5);
+  nearlyEqual(result.tensionHangingN - result.tensionTableN, (0.01 / 0.01) * result.accelerationMps2);
+});
+
+test("rope mass adds hanging weight and inertia", () => {
+  const result = resolveDynamicForces({
+    massTableKg: 2,
+    massHangingKg: 1,
+    muStatic: 0,
+    muKinetic: 0,
+    frictionEnabled: false,
+    gravity: 10,
+    velocityMps: 0,
+    ropeMassPerLengthKgPerM: 0.5,
+    ropeTableLengthM: 1,
+    ropeHangingLengthM: 0.4
+  });
+
+  nearlyEqual(result.driveForceN, 12);
+  nearlyEqual(result.accelerationMps2, 12 / 3.7);
+  nearlyEqual(result.tensionTableN, 2 * (12 / 3.7));
+  nearlyEqual(result.tensionHangingN, 10 - 12 / 3.7);
+});
+
+test("ideal pulley and string keep both tensions equal", () => {
+  const result = resolveDynamicForces({
+    massTableKg: 4,
+    massHangingKg: 2,
+    muStatic: 0.25,
+    muKinetic: 0.2,
+    frictionEnabled: true,
+    gravity: 10,
+    velocityMps: 1
+  });
+
+  nearlyEqual(result.tensionTableN, result.tensionHangingN);
+});
+
+test("acceleration and tension scale with gravity while stuck stays stuck", () => {
+  const base = {
+    massTableKg: 2,
+    massHangingKg: 1,
+    muStatic: 0.3,
+    muKinetic: 0.2,
+    frictionEnabled: true,
+    targetDistanceM: 2
+  };
+  const earth = calculateHalfAtwoodFromRest({ ...base, gravity: 10 });
+  const moon = calculateHalfAtwoodFromRest({ ...base, gravity: 1.62 });
+
+  nearlyEqual(moon.accelerationMps2, earth.accelerationMps2 * 0.162);
+  nearlyEqual(moon.tensionN, earth.tensionN * 0.162);
+
+  const stuckEarth = calculateHalfAtwoodFromRest({ ...base, massTableKg: 5, gravity: 10 });
+  const stuckJupiter = calculateHalfAtwoodFromRest({ ...base, massTableKg: 5, gravity: 24.79 });
+  assert.equal(stuckEarth.moved, false);
+  assert.equal(stuckJupiter.moved, false);
+});
+
+test("incline adds the slope component and reduces the normal force", () => {
+  const result = calculateHalfAtwoodFromRest({
+    massTableKg: 2,
+    massHangingKg: 3,
+    muStatic: 0.2,
+    muKinetic: 0.2,
+    frictionEnabled: true,
+    gravity: 10,
+    inclineAngleDeg: 30,
+    targetDistanceM: 1
+  });
+
+  const normal = 2 * 10 * Math.cos(Math.PI / 6);
+  const expectedA = (30 - 2 * 10 * 0.5 - 0.2 * normal) / 5;
+
+  nearlyEqual(result.normalForceN, normal);
+  nearlyEqual(result.frictionN, 0.2 * normal);
+  nearlyEqual(result.accelerationMps2, expectedA);
+  nearlyEqual(result.tensionTableN, 2 * expectedA + 0.2 * normal + 10);
+  nearlyEqual(result.tensionTableN, result.tensionHangingN);
+});
+
+test("steep upward ramp slides the block back with friction pointing toward the pulley", () => {
+  const input = {
+    massTableKg: 4,
+    massHangingKg: 1,
+    muStatic: 0.1,
+    muKinetic: 0.1,
+    frictionEnabled: true,
+    gravity: 10,
+    inclineAngleDeg: 30
+  };
+  const rest = calculateHalfAtwoodFromRest({ ...input, targetDistanceM: 1 });
+  const dynamic = resolveDynamicForces({ ...input, velocityMps: 0 });
+
+  assert.equal(rest.moved, true);
+  assert.ok(rest.accelerationMps2 < 0);
+  assert.equal(rest.timeToTargetS, null);
+  assert.ok(dynamic.frictionSignedN > 0);
+  nearlyEqual(dynamic.accelerationMps2, rest.accelerationMps2);
+});
+
+test("static friction on a ramp can hold against a backward pull", () => {
+  const result = resolveDynamicForces({
+    massTableKg: 2,
+    massHangingKg: 0.5,
+    muStatic: 0.6,
+    muKinetic: 0.4,
+    frictionEnabled: true,
+    gravity: 10,
+    inclineAngleDeg: 25,
+    velocityMps: 0
+  });
+
+  const drive = 5 - 20 * Math.sin((25 * Math.PI) / 180);
+  assert.equal(result.mode, "static_hold");
+  nearlyEqual(result.frictionSignedN, -drive);
+  nearlyEqual(result.frictionMagnitudeN, Math.abs(drive));
+});
+
+test("full Atwood machine matches the closed-form acceleration and tensions", () => {
+  const result = calculateFullAtwoodFromRest({
+    massLeftKg: 2,
+    massRightKg: 3,
+    gravity: 10,
+    targetDistanceM: 1
+  });
+
+  nearlyEqual(result.accelerationMps2, 2);
+  nearlyEqual(result.tensionLeftN, 24);
+  nearlyEqual(result.tensionRightN, 24);
+  nearlyEqual(result.timeToTargetS, 1);
+  assert.equal(result.moved, true);
+});
+
+test("heavier left mass turns the full Atwood machine the other way", () => {
+  const result = calculateFullAtwoodFromRest({
+    massLeftKg: 4,
+    massRightKg: 1,
+    gravity: 10,
+    targetDistanceM: 1.2,
+    pulleyInertiaKgM2: 0.01,
+    pulleyRadiusM: 0.1
+  });
+
+  nearlyEqual(result.accelerationMps2, -30 / 6);
+  nearlyEqual(result.tensionLeftN - result.tensionRightN, 1 * 5);
+  nearlyEqual(result.timeToTargetS, Math.sqrt(2 * 1.2 / 5));
+});
+
+test("balanced full Atwood machine stays at rest but coasts once pushed", () => {
+  const input = { massLeftKg: 1.5, massRightKg: 1.5, gravity: 9.8 };
+  const rest = calculateFullAtwoodFromRest({ ...input, targetDistanceM: 1 });
+  const pushed = resolveFullAtwoodForces({ ...input, velocityMps: 0.4 });
+
+  assert.equal(rest.moved, false);
+  assert.equal(rest.timeToTargetS, null);
+  assert.equal(resolveFullAtwoodForces({ ...input, velocityMps: 0 }).mode, "static_hold");
+  assert.equal(pushed.mode, "frictionless");
+  assert.equal(pushed.accelerationMps2, 0);
+  nearlyEqual(pushed.tensionLeftN, 1.5 * 9.8);
+});
+
+test("two-block chain gives a tension for each string and friction for each block", () => {
+  const result = calculateChainFromRest({
+    blocks: [
+      { massKg: 2, muStatic: 0.3, muKinetic: 0.2 },
+      { massKg: 3, muStatic: 0.15, muKinetic: 0.1 }
+    ],
+    massHangingKg: 4,
+    frictionEnabled: true,
+    gravity: 10,
+    targetDistanceM: 1
+  });
+
+  const a = 33 / 9;
+  nearlyEqual(result.accelerationMps2, a);
+  assert.deepEqual(result.frictionSignedN, [-4, -3]);
+  nearlyEqual(result.linkTensionsN[1], 3 * a + 3);
+  nearlyEqual(result.linkTensionsN[0], 3 * a + 3 + 2 * a + 4);
+  nearlyEqual(result.linkTensionsN[0], result.tensionHangingN);
+  assert.equal(result.mode, "breakaway");
+  assert.equal(result.moved, true);
+});
+
+test("a one-block chain matches the single-block solver", () => {
+  const shared = { massHangingKg: 1.8, frictionEnabled: true, gravity: 9.8, velocityMps: -0.3, inclineAngleDeg: 12 };
+  const chain = resolveChainForces({ ...shared, blocks: [{ massKg: 2.5, muStatic: 0.25, muKinetic: 0.2 }] });
+  const single = resolveDynamicForces({ ...shared, massTableKg: 2.5, muStatic: 0.25, muKinetic: 0.2 });
+
+  nearlyEqual(chain.accelerationMps2, single.accelerationMps2);
+  nearlyEqual(chain.linkTensionsN[0], single.tensionTableN);
+  nearlyEqual(chain.frictionSignedN[0], single.frictionSignedN);
+  nearlyEqual(chain.normalForcesN[0], single.normalForceN);
+});
+
+test("a held chain shares the load in proportion to each static limit", () => {
+  const result = resolveChainForces({
+    blocks: [
+      { massKg: 2, muStatic: 0.5, muKinetic: 0.4 },
+      { massKg: 2, muStatic: 0.25, muKinetic: 0.2 }
+    ],
+    massHangingKg: 1.2,
+    frictionEnabled: true,
+    gravity: 10,
+    velocityMps: 0
+  });
+
+  assert.equal(result.mode, "static_hold");
+  nearlyEqual(result.frictionSignedN[0], -8);
+  nearlyEqual(result.frictionSignedN[1], -4);
+  nearlyEqual(result.linkTensionsN[1], 4);
+  nearlyEqual(result.linkTensionsN[0], 12);
+});
+
+test("drag on the falling hanging mass slows the system and adds to its tension", () => {
+  const result = resolveDynamicForces({
+    massTableKg: 2,
+    massHangingKg: 1,
+    muStatic: 0.2,
+    muKinetic: 0.1,
+    frictionEnabled: true,
+    gravity: 10,
+    velocityMps: 2,
+    linearDragNsPerM: 0.5,
+    quadraticDragNs2PerM2: 0.25
+  });
+
+  nearlyEqual(result.dragForceN, -2);
+  nearlyEqual(result.netForceN, 10 - 2 - 2);
+  nearlyEqual(result.accelerationMps2, 2);
+  nearlyEqual(result.tensionHangingN, 1 * (10 - 2) - 2);
+  nearlyEqual(result.tensionTableN, 2 * 2 + 2);
+});
+
+test("drag never acts at rest, so it cannot change whether the block starts", () => {
+  const input = {
+    massTableKg: 2,
+    massHangingKg: 0.4,
+    muStatic: 0.25,
+    muKinetic: 0.2,
+    frictionEnabled: true,
+    gravity: 10,
+    velocityMps: 0,
+    linearDragNsPerM: 5
+  };
+
+  assert.equal(resolveDynamicForces(input).mode, "static_hold");
+  assert.equal(resolveDynamicForces(input).dragForceN, 0);
+});
+
+test("a cart swaps sliding friction for its rolling resistance", () => {
+  const result = calculateHalfAtwoodFromRest({
+    massTableKg: 2,
+    massHangingKg: 0.4,
+    muStatic: 0.25,
+    muKinetic: 0.2,
+    frictionEnabled: true,
+    rollingResistanceCoefficient: 0.05,
+    gravity: 10,
+    targetDistanceM: 1
+  });
+
+  assert.equal(result.mode, "breakaway");
+  nearlyEqual(result.frictionN, 1);
+  nearlyEqual(result.accelerationMps2, 3 / 2.4);
+});
+
+test("terminal speed balances the steady force against linear and quadratic drag", () => {
+  nearlyEqual(terminalSpeedMps(6, { linearDragNsPerM: 3 }), 2);
+  nearlyEqual(terminalSpeedMps(6, { linearDragNsPerM: 1, quadraticDragNs2PerM2: 1 }), 2);
+  assert.equal(terminalSpeedMps(6, {}), null);
+  assert.equal(terminalSpeedMps(-1, { linearDragNsPerM: 1 }), null);
+});
+
+test("slack string leaves the block sliding under friction alone", () => {
+  const result = resolveSlackStringForces({
+    massTableKg: 2,
+    muStatic: 0.25,
+    muKinetic: 0.2,
+    frictionEnabled: true,
+    gravity: 10,
+    velocityMps: 1.5
+  });
+
+  assert.equal(result.stringSlack, true);
+  assert.equal(result.tensionTableN, 0);
+  assert.equal(result.tensionHangingN, 0);
+  nearlyEqual(result.accelerationMps2, -2);
+  nearlyEqual(result.frictionSignedN, -4);
+});
+
+test("stopping distance after landing follows v² = 2ad", () => {
+  const stop = slackStoppingDistance(2, -2);
+  nearlyEqual(stop.stoppingDistanceM, 1);
+  nearlyEqual(stop.stoppingTimeS, 1);
+  assert.deepEqual(slackStoppingDistance(0, -2), { stoppingDistanceM: 0, stoppingTimeS: 0 });
+  assert.equal(slackStoppingDistance(2, 0), null);
+});
+
+test("inverse solvers recover mu and the hanging mass from a measured acceleration", () => {
+  const forward = calculateHalfAtwoodFromRest({
+    massTableKg: 2,
+    massHangingKg: 1.2,
+    muStatic: 0.3,
+    muKinetic: 0.25,
+    frictionEnabled: true,
+    gravity: 9.8,
+    inclineAngleDeg: 10,
+    pulleyInertiaKgM2: 0.002,
+    pulleyRadiusM: 0.05,
+    targetDistanceM: 1
+  });
+
+  nearlyEqual(muKineticFromAcceleration({
+    massTableKg: 2,
+    massHangingKg: 1.2,
+    gravity: 9.8,
+    inclineAngleDeg: 10,
+    pulleyInertiaKgM2: 0.002,
+    pulleyRadiusM: 0.05
+  }, forward.accelerationMps2), 0.25);
+
+  const base = {
+    massTableKg: 2,
+    muStatic: 0.3,
+    muKinetic: 0.25,
+    frictionEnabled: true,
+    gravity: 9.8,
+    inclineAngleDeg: 10,
+    pulleyInertiaKgM2: 0.002,
+    pulleyRadiusM: 0.05
+  };
+  nearlyEqual(hangingMassFromAcceleration(base, forward.accelerationMps2), 1.2);
+  nearlyEqual(hangingMassForTimeToDistance(base, 1, forward.timeToTargetS), 1.2);
+
+  assert.equal(muKineticFromAcceleration({ massTableKg: 2, massHangingKg: 1, gravity: 10 }, 4), null);
+  assert.equal(hangingMassFromAcceleration({ ...base, inclineAngleDeg: 0 }, 10), null);
+});
+
+test("hanging masses too light to break static friction have no inverse solution", () => {
+  const base = { massTableKg: 2, muStatic: 0.5, muKinetic: 0.2, frictionEnabled: true, gravity: 10 };
+
+  // mh = 0.5 kg would give a = 0.4 m/s² with kinetic friction, but 5 N cannot beat 10 N of static friction.
+  assert.equal(hangingMassFromAcceleration(base, 0.4), null);
+  nearlyEqual(minimumHangingMassToStart(base), 1);
+  assert.equal(calculateHalfAtwoodFromRest({ ...base, massHangingKg: 1, targetDistanceM: 1 }).moved, false);
+  assert.equal(calculateHalfAtwoodFromRest({ ...base, massHangingKg: 1.001, targetDistanceM: 1 }).moved, true);
+});
+
+test("largest static coefficient that still lets the system start", () => {
+  nearlyEqual(maximumMuStaticForMotion({ massTableKg: 2, massHangingKg: 1, gravity: 10 }), 0.5);
+  nearlyEqual(minimumHangingMassToStart({
+    massTableKg: 2,
+    muStatic: 0,
+    muKinetic: 0,
+    frictionEnabled: false,
+    gravity: 10,
+    inclineAngleDeg: -20
+  }), 0);
+  assert.equal(maximumMuStaticForMotion({ massTableKg: 2, massHangingKg: 0.2, gravity: 10, inclineAngleDeg: 30 }), null);
+});
@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parsePrediction, percentError, scorePrediction } from "../src/halfAtwoodPrediction.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+test("parsePrediction needs all three answers", () => {
+  assert.deepEqual(parsePrediction({ accelerationMps2: "2.5", tensionN: "7", outcome: "moves" }), {
+    prediction: { accelerationMps2: 2.5, tensionN: 7, moves: true },
+    error: null
+  });
+
+  assert.match(parsePrediction({ accelerationMps2: "", tensionN: "7", outcome: "moves" }).error, /acceleration/);
+  assert.match(parsePrediction({ accelerationMps2: "0", tensionN: "-1", outcome: "stuck" }).error, /tension/);
+  assert.match(parsePrediction({ accelerationMps2: "0", tensionN: "4", outcome: "" }).error, /moves or stays/);
+});
+
+test("percent error is relative to the true value and undefined against zero", () => {
+  nearlyEqual(percentError(2.2, 2), 10);
+  nearlyEqual(percentError(1.5, 2), 25);
+  assert.equal(percentError(0, 0), 0);
+  assert.equal(percentError(0.5, 0), null);
+});
+
+test("scorePrediction compares against the from-rest solution", () => {
+  const score = scorePrediction(
+    { accelerationMps2: 3, tensionN: 6, moves: true },
+    { accelerationMps2: 2.5, tensionN: 7.5, moved: true }
+  );
+
+  nearlyEqual(score.accelerationErrorPercent, 20);
+  nearlyEqual(score.tensionErrorPercent, 20);
+  assert.equal(score.movesCorrect, true);
+
+  const stuck = scorePrediction(
+    { accelerationMps2: 1, tensionN: 4, moves: true },
+    { accelerationMps2: 0, tensionN: 4, moved: false }
+  );
+  assert.equal(stuck.accelerationErrorPercent, null);
+  assert.equal(stuck.tensionErrorPercent, 0);
+  assert.equal(stuck.movesCorrect, false);
+});
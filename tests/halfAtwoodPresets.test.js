@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  BUILT_IN_PRESETS,
+  createPresetId,
+  mergePresets,
+  normalizePreset,
+  parsePresetLibrary,
+  presetInputs,
+  serializePresetLibrary
+} from "../src/halfAtwoodPresets.js";
+import { DEFAULT_INPUTS } from "../src/halfAtwoodInputs.js";
+
+test("normalizePreset clamps scenario values and requires a label", () => {
+  assert.equal(normalizePreset({ massTableKg: 3 }), null);
+  assert.equal(normalizePreset({ label: "   " }), null);
+
+  const preset = normalizePreset({
+    label: "  Heavy cart ",
+    massTableKg: 99999,
+    muStatic: -1,
+    muKinetic: 0,
+    gravityMps2: 1.62,
+    inclineAngleDeg: 45,
+    statusMessage: "Moon version"
+  });
+
+  assert.ok(preset);
+  assert.equal(preset.label, "Heavy cart");
+  assert.equal(preset.massTableKg, 2500);
+  assert.equal(preset.muStatic, 0);
+  assert.equal(preset.gravityMps2, 1.62);
+  assert.equal(preset.inclineAngleDeg, 30);
+  assert.equal(preset.statusMessage, "Moon version");
+  assert.equal(preset.builtIn, false);
+});
+
+test("exported library only carries custom presets and reads back", () => {
+  const custom = normalizePreset({ label: "Lab B", massHangingKg: 0.7 });
+  const json = serializePresetLibrary([...BUILT_IN_PRESETS, custom]);
+  const { presets, rejected } = parsePresetLibrary(json);
+
+  assert.equal(rejected, 0);
+  assert.equal(presets.length, 1);
+  assert.equal(presets[0].label, "Lab B");
+  assert.equal(presets[0].massHangingKg, 0.7);
+});
+
+test("parsePresetLibrary counts invalid entries and rejects non-libraries", () => {
+  const { presets, rejected } = parsePresetLibrary(JSON.stringify([{ label: "ok" }, { nope: true }, 5]));
+  assert.equal(presets.length, 1);
+  assert.equal(rejected, 2);
+
+  assert.throws(() => parsePresetLibrary("not json"), /not valid JSON/);
+  assert.throws(() => parsePresetLibrary("{\"items\": []}"), /presets list/);
+});
+
+test("mergePresets replaces same-named presets and keeps ids unique", () => {
+  const first = { ...normalizePreset({ label: "Lab A", massHangingKg: 1 }), id: "custom-lab-a" };
+  const merged = mergePresets([first], [
+    normalizePreset({ label: "lab a", massHangingKg: 2 }),
+    normalizePreset({ label: "Lab A!", massHangingKg: 3 })
+  ]);
+
+  assert.equal(merged.length, 2);
+  assert.equal(merged[0].id, "custom-lab-a");
+  assert.equal(merged[0].massHangingKg, 2);
+  assert.equal(merged[1].id, "custom-lab-a-2");
+  assert.equal(createPresetId("Lab A", ["custom-lab-a", "custom-lab-a-2"]), "custom-lab-a-3");
+});
+
+test("presets carry every scenario input so nothing is left over from before", () => {
+  const packet = BUILT_IN_PRESETS.find((preset) => preset.id === "packet");
+  const inputs = presetInputs(packet);
+
+  assert.equal(inputs.massHangingKg, 1.8);
+  assert.equal(inputs.pulleyInertiaKgM2, DEFAULT_INPUTS.pulleyInertiaKgM2);
+  assert.equal(inputs.ropeMassPerLengthKgPerM, DEFAULT_INPUTS.ropeMassPerLengthKgPerM);
+  assert.equal("gravityMps2" in inputs, false);
+  assert.equal("predictFirst" in inputs, false);
+  assert.equal("label" in inputs, false);
+
+  const custom = normalizePreset({
+    ...DEFAULT_INPUTS,
+    label: "Heavy pulley",
+    pulleyInertiaKgM2: 0.01,
+    ropeMassPerLengthKgPerM: 0.3,
+    sensorNoise: true,
+    sensorSeed: 42
+  });
+  const { presets } = parsePresetLibrary(serializePresetLibrary([custom]));
+  assert.equal(presets[0].pulleyInertiaKgM2, 0.01);
+  assert.equal(presets[0].ropeMassPerLengthKgPerM, 0.3);
+  assert.equal(presets[0].sensorNoise, true);
+  assert.equal(presets[0].sensorSeed, 42);
+  assert.equal(presetInputs(presets[0]).gravityMps2, 10);
+});
+
+test("built-in presets leave the motion-sensor settings alone", () => {
+  for (const preset of BUILT_IN_PRESETS) {
+    const inputs = presetInputs(preset);
+    for (const key of ["sensorNoise", "sensorSampleRateHz", "sensorJitterMs", "sensorResolutionMm", "sensorSeed"]) {
+      assert.equal(key in inputs, false, `${preset.id} sets ${key}`);
+    }
+  }
+});
@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { calculateHalfAtwoodFromRest } from "../src/halfAtwoodPhysics.js";
+import { checkAnswer, generateProblem, PROBLEM_KINDS, problemInputs } from "../src/halfAtwoodProblems.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+test("the same seed gives the same problem", () => {
+  assert.deepEqual(generateProblem(1234), generateProblem(1234));
+  assert.equal(generateProblem(99, "tension").kind, "tension");
+});
+
+test("numeric problems always move and match the from-rest model", () => {
+  for (let seed = 1; seed <= 40; seed += 1) {
+    for (const kind of ["acceleration", "tension", "time"]) {
+      const problem = generateProblem(seed, kind);
+      const { givens } = problem;
+      const result = calculateHalfAtwoodFromRest({
+        ...givens,
+        gravity: givens.gravityMps2,
+        targetDistanceM: givens.distanceM
+      });
+
+      assert.equal(result.moved, true);
+      const expected = { acceleration: result.accelerationMps2, tension: result.tensionHangingN, time: result.timeToTargetS }[kind];
+      nearlyEqual(problem.answer, expected);
+      assert.match(problem.solution.at(-1), /^Answer: /);
+    }
+  }
+});
+
+test("does-it-move problems always have friction and cover both outcomes", () => {
+  const outcomes = new Set();
+  for (let seed = 1; seed <= 40; seed += 1) {
+    const problem = generateProblem(seed, "moves");
+    assert.equal(problem.givens.frictionEnabled, true);
+    outcomes.add(problem.answer);
+  }
+
+  assert.deepEqual([...outcomes].sort(), [false, true]);
+  assert.ok(PROBLEM_KINDS.includes(generateProblem(7).kind));
+});
+
+test("worked solution walks through the model equations to the answer", () => {
+  for (let seed = 1; seed <= 20; seed += 1) {
+    const problem = generateProblem(seed, "time");
+    const text = problem.solution.join("\n");
+
+    assert.match(text, problem.givens.frictionEnabled ? /a = \(mₕg − μₖmₜg\) \/ \(mₜ \+ mₕ\)/ : /a = mₕg \/ \(mₜ \+ mₕ\)/);
+    assert.match(text, /t = √\(2d \/ a\)/);
+    assert.equal(problem.solution.at(-1), `Answer: ${Number(problem.answer.toPrecision(3))} s.`);
+  }
+});
+
+test("problemInputs loads the givens into an ideal level setup", () => {
+  const problem = generateProblem(3, "acceleration");
+  const inputs = problemInputs(problem);
+
+  assert.equal(inputs.machineMode, "half");
+  assert.equal(inputs.massTableKg, problem.givens.massTableKg);
+  assert.equal(inputs.muKinetic, problem.givens.muKinetic);
+  assert.equal(inputs.gravityMps2, 10);
+  assert.equal(inputs.inclineAngleDeg, 0);
+  assert.equal(inputs.trailingBlockEnabled, false);
+  assert.equal(inputs.pulleyInertiaKgM2, 0);
+});
+
+test("checkAnswer accepts numbers within tolerance and moves/stuck choices", () => {
+  const problem = generateProblem(5, "acceleration");
+  const answer = /** @type {number} */ (problem.answer);
+
+  assert.equal(checkAnswer(problem, String(answer * 1.015)).correct, true);
+  assert.equal(checkAnswer(problem, String(answer * 1.05)).correct, false);
+  assert.match(checkAnswer(problem, "").message, /Enter a number/);
+
+  const moves = generateProblem(5, "moves");
+  assert.equal(checkAnswer(moves, moves.answer ? "moves" : "stuck").correct, true);
+  assert.equal(checkAnswer(moves, moves.answer ? "stuck" : "moves").correct, false);
+  assert.match(checkAnswer(moves, "").message, /moves or stays/);
+});
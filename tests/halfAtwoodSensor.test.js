@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { appendSample, createRunHistory } from "../src/halfAtwoodHistory.js";
+import { createSensorLog, measuredAcceleration, sensorHistory, updateSensorLog } from "../src/halfAtwoodSensor.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+/**
+ * Exact log of a run accelerating from rest at 2 m/s² for 1.5 s.
+ */
+function uniformRun() {
+  const history = createRunHistory();
+  for (let step = 0; step <= 75; step += 1) {
+    const timeS = step * 0.02;
+    appendSample(history, {
+      timeS,
+      displacementM: timeS * timeS,
+      velocityMps: 2 * timeS,
+      accelerationMps2: 2,
+      tensionTableN: 5,
+      tensionHangingN: 7,
+      frictionN: -2,
+      netForceN: 3,
+      mode: "kinetic"
+    }, 0);
+  }
+  return history;
+}
+
+test("an ideal sensor reads the run exactly at its own sample rate", () => {
+  const measured = sensorHistory(uniformRun(), { seed: 1, sampleRateHz: 20, timingJitterMs: 0, positionResolutionMm: 0 });
+
+  assert.equal(measured.timesS.length, 31);
+  nearlyEqual(measured.timesS[10], 0.5);
+  nearlyEqual(measured.displacementM[10], 0.25);
+  // Central differences of a parabola are exact.
+  nearlyEqual(measured.velocityMps[10], 1);
+  nearlyEqual(measured.accelerationMps2[15], 2, 1e-6);
+  assert.equal(measured.tensionHangingN[10], 7);
+  nearlyEqual(measuredAcceleration(measured, 1.5), 2, 1e-9);
+});
+
+test("positions are rounded to the sensor resolution", () => {
+  const measured = sensorHistory(uniformRun(), { seed: 1, sampleRateHz: 25, timingJitterMs: 0, positionResolutionMm: 5 });
+
+  for (const value of measured.displacementM) {
+    nearlyEqual(value / 0.005, Math.round(value / 0.005), 1e-6);
+  }
+  nearlyEqual(measured.displacementM[1], 0);
+});
+
+test("jitter is repeatable for a seed and differs between seeds", () => {
+  const settings = { seed: 4242, sampleRateHz: 20, timingJitterMs: 3, positionResolutionMm: 1 };
+  const first = sensorHistory(uniformRun(), settings);
+  const again = sensorHistory(uniformRun(), settings);
+  const other = sensorHistory(uniformRun(), { ...settings, seed: 4243 });
+
+  assert.deepEqual(first, again);
+  assert.notDeepEqual(first.displacementM, other.displacementM);
+
+  const accel = measuredAcceleration(first, 1.5);
+  assert.notEqual(accel, 2);
+  nearlyEqual(accel, 2, 0.2);
+});
+
+test("a sensor log kept up as the run grows matches reading the whole run", () => {
+  const full = uniformRun();
+  const growing = createRunHistory();
+  const settings = { seed: 99, sampleRateHz: 50, timingJitterMs: 15, positionResolutionMm: 1 };
+  const log = createSensorLog(growing, settings);
+
+  for (let index = 0; index < full.timesS.length; index += 1) {
+    for (const key of Object.keys(growing)) {
+      growing[key].push(full[key][index]);
+    }
+
+    const live = updateSensorLog(log);
+    assert.deepEqual(live, sensorHistory(growing, settings));
+  }
+  assert.equal(log.measured, updateSensorLog(log));
+});
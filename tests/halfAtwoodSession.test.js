@@ -0,0 +1,119 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_INPUTS } from "../src/halfAtwoodInputs.js";
+import {
+  loadSession,
+  parseSession,
+  saveSession,
+  SESSION_STORAGE_KEY,
+  serializeSession
+} from "../src/halfAtwoodSession.js";
+
+function memoryStorage(limitChars = Number.POSITIVE_INFINITY) {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      if (value.length > limitChars) {
+        throw new Error("QuotaExceededError");
+      }
+      items.set(key, value);
+    },
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+function sampleRecord(overrides = {}) {
+  return {
+    id: 3,
+    massTableKg: 2.5,
+    massHangingKg: 1.8,
+    muStatic: 0.25,
+    muKinetic: 0.2,
+    gravityMps2: 10,
+    inclineAngleDeg: 0,
+    accel: 3.5,
+    tensionTable: 13.8,
+    tensionHanging: 11.7,
+    ...overrides
+  };
+}
+
+function sampleSession() {
+  return {
+    inputs: { ...DEFAULT_INPUTS, massHangingKg: 1.8 },
+    records: [sampleRecord({ history: { timesS: new Array(400).fill(0) } })],
+    nextTrialId: 4,
+    activeTab: /** @type {"theory"} */ ("theory")
+  };
+}
+
+test("session round-trips through storage", () => {
+  const storage = memoryStorage();
+  assert.equal(saveSession(storage, sampleSession()), "saved");
+
+  const restored = loadSession(storage);
+  assert.ok(restored);
+  assert.equal(restored.inputs.massHangingKg, 1.8);
+  assert.equal(restored.records.length, 1);
+  assert.equal(restored.nextTrialId, 4);
+  assert.equal(restored.activeTab, "theory");
+});
+
+test("corrupt or foreign data is ignored", () => {
+  assert.equal(parseSession(null), null);
+  assert.equal(parseSession("{not json"), null);
+  assert.equal(parseSession(JSON.stringify({ version: 99 })), null);
+});
+
+test("parsed session clamps inputs and never reuses a recorded trial id", () => {
+  const json = serializeSession({
+    inputs: { ...DEFAULT_INPUTS, massTableKg: -5 },
+    records: [sampleRecord({ id: 7 }), "junk"],
+    nextTrialId: 2,
+    activeTab: "discovery"
+  });
+
+  const session = parseSession(json);
+  assert.ok(session);
+  assert.equal(session.inputs.massTableKg, 0.2);
+  assert.equal(session.records.length, 1);
+  assert.equal(session.nextTrialId, 8);
+});
+
+test("save drops run histories when storage is nearly full", () => {
+  const storage = memoryStorage(1000);
+  assert.equal(saveSession(storage, sampleSession()), "withoutHistories");
+
+  const stored = JSON.parse(storage.getItem(SESSION_STORAGE_KEY));
+  assert.equal(stored.records[0].history, null);
+  assert.equal(saveSession(memoryStorage(10), sampleSession()), "failed");
+});
+
+test("stale records are dropped or filled in before the table reads them", () => {
+  const json = serializeSession({
+    inputs: DEFAULT_INPUTS,
+    records: [
+      { id: 1, massHangingKg: 1.2 },
+      sampleRecord({ id: 2, accel: "3.5" }),
+      sampleRecord({ id: 4, history: { timesS: "junk" }, sensor: {}, prediction: 5 })
+    ],
+    nextTrialId: 5,
+    activeTab: "discovery"
+  });
+
+  const session = parseSession(json);
+  assert.ok(session);
+  assert.deepEqual(session.records.map((record) => record.id), [4]);
+
+  const [record] = session.records;
+  assert.equal(record.machineMode, "half");
+  assert.equal(record.initialVelocityMps, 0);
+  assert.equal(record.linearDragNsPerM, 0);
+  assert.equal(record.trailingMassKg, null);
+  assert.equal(record.slideAfterLandingM, null);
+  assert.equal(record.history, null);
+  assert.equal(record.sensor, null);
+  assert.equal(record.prediction, null);
+});
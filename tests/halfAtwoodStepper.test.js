@@ -0,0 +1,180 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveDynamicForces, resolveSlackStringForces, terminalSpeedMps } from "../src/halfAtwoodPhysics.js";
+import { advanceMotion, FIXED_STEP_S, stepMotion } from "../src/halfAtwoodStepper.js";
+
+function nearlyEqual(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be near ${expected}`);
+}
+
+/**
+ * @param {Partial<Parameters<typeof resolveDynamicForces>[0]>} overrides
+ */
+function resolverFor(overrides) {
+  return (motion) => resolveDynamicForces({
+    massTableKg: 2,
+    massHangingKg: 1,
+    muStatic: 0,
+    muKinetic: 0,
+    frictionEnabled: false,
+    gravity: 10,
+    velocityMps: motion.velocityMps,
+    ...overrides
+  });
+}
+
+test("fixed steps reproduce constant-acceleration kinematics", () => {
+  const result = advanceMotion(
+    { timeS: 0, displacementM: 0, velocityMps: 0 },
+    resolverFor({}),
+    { elapsedS: 0.5 }
+  );
+
+  const a = 10 / 3;
+  nearlyEqual(result.motion.timeS, 0.5, 1e-9);
+  nearlyEqual(result.motion.velocityMps, a * 0.5, 1e-9);
+  nearlyEqual(result.motion.displacementM, 0.5 * a * 0.25, 1e-9);
+  assert.equal(result.status, "running");
+});
+
+test("result does not depend on how elapsed time is split into frames", () => {
+  const resolve = resolverFor({ frictionEnabled: true, muStatic: 0.3, muKinetic: 0.2 });
+  const start = { timeS: 0, displacementM: 0, velocityMps: 0.4 };
+
+  const oneFrame = advanceMotion(start, resolve, { elapsedS: 86 / 144 });
+
+  let motion = start;
+  let remainderS = 0;
+  for (let frame = 0; frame < 86; frame += 1) {
+    const result = advanceMotion(motion, resolve, { elapsedS: remainderS + 1 / 144 });
+    motion = result.motion;
+    remainderS = result.remainderS;
+  }
+
+  nearlyEqual(motion.timeS, oneFrame.motion.timeS, 1e-9);
+  nearlyEqual(motion.displacementM, oneFrame.motion.displacementM, 1e-9);
+  nearlyEqual(motion.velocityMps, oneFrame.motion.velocityMps, 1e-9);
+});
+
+test("step splits at the zero-velocity crossing and static friction takes over", () => {
+  const resolve = resolverFor({ massTableKg: 4, massHangingKg: 1, frictionEnabled: true, muStatic: 0.4, muKinetic: 0.3 });
+  const crossingS = 0.05 / (2 / 5);
+  const start = { timeS: 0, displacementM: 0, velocityMps: 0.05 };
+
+  const step = stepMotion(start, resolve, 0.2);
+
+  assert.equal(step.status, "held");
+  assert.equal(step.motion.velocityMps, 0);
+  nearlyEqual(step.motion.timeS, 0.2);
+  nearlyEqual(step.motion.displacementM, 0.05 * crossingS - 0.5 * 0.4 * crossingS * crossingS);
+});
+
+test("negative push reverses without overshoot when drive beats static friction", () => {
+  const resolve = resolverFor({ frictionEnabled: true, muStatic: 0.2, muKinetic: 0.1 });
+  const result = advanceMotion(
+    { timeS: 0, displacementM: 0, velocityMps: -0.3 },
+    resolve,
+    { elapsedS: 1 }
+  );
+
+  assert.equal(result.status, "running");
+  assert.ok(result.motion.velocityMps > 0);
+});
+
+test("drag brings the velocity up to the terminal speed", () => {
+  const result = advanceMotion(
+    { timeS: 0, displacementM: 0, velocityMps: 0 },
+    resolverFor({ linearDragNsPerM: 5 }),
+    { elapsedS: 10 }
+  );
+
+  nearlyEqual(result.motion.velocityMps, 2, 1e-3);
+  assert.equal(result.status, "running");
+});
+
+test("linear drag follows the analytic v(t) and approaches the terminal speed", () => {
+  // 3 kg driven by 10 N against 5v N of drag: v(t) = 2(1 − e^(−5t/3)).
+  const drag = { linearDragNsPerM: 5 };
+  const terminal = terminalSpeedMps(10, drag);
+  const samples = [];
+  const result = advanceMotion(
+    { timeS: 0, displacementM: 0, velocityMps: 0 },
+    resolverFor(drag),
+    { elapsedS: 6, onStep: (motion) => samples.push(motion) }
+  );
+
+  // The first step starts at rest with no drag, so it is off by O(b·dt²/m).
+  for (const motion of samples.filter((_, index) => index % 60 === 59)) {
+    nearlyEqual(motion.velocityMps, terminal * (1 - Math.exp((-5 * motion.timeS) / 3)), 1e-4);
+  }
+  nearlyEqual(result.motion.velocityMps, terminal, 1e-4);
+  assert.ok(samples.every((motion) => motion.velocityMps < terminal));
+});
+
+test("a block sliding back down a ramp jerks the slack string taut", () => {
+  const surface = { massTableKg: 2, muStatic: 0, muKinetic: 0, frictionEnabled: false, gravity: 10, inclineAngleDeg: 30 };
+  const samples = [];
+  const result = advanceMotion(
+    { timeS: 0, displacementM: 0, velocityMps: 0 },
+    (motion) => (motion.displacementM >= 0.5
+      ? resolveSlackStringForces({ ...surface, velocityMps: motion.velocityMps })
+      : resolveDynamicForces({ ...surface, massHangingKg: 3, velocityMps: motion.velocityMps })),
+    { elapsedS: 5, slackString: { fromM: 0.5, velocityRatio: 2 / 5 }, onStep: (motion) => samples.push(motion) }
+  );
+
+  // Lands at 2 m/s, coasts 0.4 m up the ramp and comes back at −2 m/s. Sharing
+  // that with the 3 kg hanging mass leaves −0.8 m/s, which the string's
+  // 4 m/s² stops within 0.08 m.
+  const back = samples.findIndex((motion, index) => index > 0 && samples[index - 1].displacementM >= 0.5 && motion.displacementM < 0.5);
+  nearlyEqual(samples[back].velocityMps, -0.8, 0.02);
+  nearlyEqual(Math.min(...samples.map((motion) => motion.displacementM).slice(back)), 0.42, 0.01);
+
+  // Each bounce keeps 2/5 of the speed; by the fourth it lifts the hanging
+  // mass well under a millimetre, so it settles at the landing point.
+  assert.equal(result.status, "held");
+  assert.equal(result.motion.displacementM, 0.5);
+  assert.ok(result.motion.timeS < 3);
+});
+
+test("block slides on after the hanging mass lands and friction stops it", () => {
+  const surface = { massTableKg: 2, muStatic: 0.25, muKinetic: 0.2, frictionEnabled: true, gravity: 10 };
+  const result = advanceMotion(
+    { timeS: 0, displacementM: 0, velocityMps: 0 },
+    (motion) => (motion.displacementM >= 0.5
+      ? resolveSlackStringForces({ ...surface, velocityMps: motion.velocityMps })
+      : resolveDynamicForces({ ...surface, massHangingKg: 1, velocityMps: motion.velocityMps })),
+    { elapsedS: 5 }
+  );
+
+  // Lands at v² = 2·2·0.5, then slides v²/(2·2) = 0.5 m further.
+  assert.equal(result.status, "held");
+  nearlyEqual(result.motion.displacementM, 1, 1e-2);
+});
+
+test("advance stops at the far travel limit", () => {
+  const result = advanceMotion(
+    { timeS: 0, displacementM: 0, velocityMps: 0 },
+    resolverFor({}),
+    { elapsedS: 5, maxDisplacementM: 0.5 }
+  );
+
+  assert.equal(result.status, "boundary");
+  assert.equal(result.motion.displacementM, 0.5);
+  assert.equal(result.motion.velocityMps, 0);
+  assert.ok(result.motion.timeS < 5);
+  assert.ok(result.remainderS < FIXED_STEP_S + 1e-12);
+});
+
+test("advance stops when the forces pin the system against the near limit", () => {
+  const result = advanceMotion(
+    { timeS: 0, displacementM: 0.2, velocityMps: 0 },
+    resolverFor({ massTableKg: 4, inclineAngleDeg: 30 }),
+    { elapsedS: 5, minDisplacementM: 0 }
+  );
+
+  assert.equal(result.status, "boundary");
+  assert.equal(result.motion.displacementM, 0);
+  assert.equal(result.motion.velocityMps, 0);
+  assert.ok(result.motion.timeS < 5);
+});
@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { MAX_SWEEP_TRIALS, parseSweep, sweepChanges, sweepLimits } from "../src/halfAtwoodSweep.js";
+
+test("parseSweep spaces the trials evenly with both ends included", () => {
+  assert.deepEqual(parseSweep({ variable: "massHangingKg", from: "0.5", to: "2.5", trials: "5" }, { cartEnabled: false }), {
+    sweep: { variable: "massHangingKg", values: [0.5, 1, 1.5, 2, 2.5] },
+    error: null
+  });
+
+  const down = parseSweep({ variable: "mu", from: "0.3", to: "0", trials: "4" }, { cartEnabled: false });
+  assert.deepEqual(down.sweep.values, [0.3, 0.2, 0.1, 0]);
+});
+
+test("parseSweep rejects values outside the control range and bad trial counts", () => {
+  const block = { cartEnabled: false };
+  assert.match(parseSweep({ variable: "speed", from: "0", to: "1", trials: "3" }, block).error, /variable/);
+  assert.match(parseSweep({ variable: "mu", from: "", to: "0.5", trials: "3" }, block).error, /start value between 0 and 1/);
+  assert.match(parseSweep({ variable: "initialVelocityMps", from: "0", to: "9", trials: "3" }, block).error, /end value between -4 and 4 m\/s/);
+  assert.match(parseSweep({ variable: "massTableKg", from: "1", to: "1", trials: "3" }, block).error, /differ/);
+  assert.match(parseSweep({ variable: "massTableKg", from: "1", to: "2", trials: "2.5" }, block).error, /whole number/);
+  assert.match(parseSweep({ variable: "massTableKg", from: "1", to: "2", trials: String(MAX_SWEEP_TRIALS + 1) }, block).error, /whole number/);
+
+  // A cart sweeps rolling resistance, which tops out lower than μ.
+  assert.equal(sweepLimits("mu", { cartEnabled: true }).max, 0.2);
+  assert.match(parseSweep({ variable: "mu", from: "0", to: "0.5", trials: "3" }, { cartEnabled: true }).error, /end value between 0 and 0.2/);
+});
+
+test("sweepChanges sets μₖ on every block keeping each static gap, or the cart's rolling resistance", () => {
+  const inputs = { cartEnabled: false, muStatic: 0.3, muKinetic: 0.2, trailingMuStatic: 0.4, trailingMuKinetic: 0.4 };
+  assert.deepEqual(sweepChanges("massTableKg", 3, inputs), { massTableKg: 3 });
+  assert.deepEqual(sweepChanges("mu", 0.05, inputs), {
+    frictionEnabled: true,
+    muKinetic: 0.05,
+    muStatic: 0.15,
+    trailingMuKinetic: 0.05,
+    trailingMuStatic: 0.05
+  });
+  assert.deepEqual(sweepChanges("mu", 0.05, { ...inputs, cartEnabled: true }), { frictionEnabled: true, rollingResistanceCoefficient: 0.05 });
+});